@@ -21,6 +21,7 @@ import { getNeighbors } from '../core/hex-layout.js';
 import { buildTransitionMatrix, stepsToAngle, calculateFullEnergy } from '../physics/energy.js';
 import { Complex } from '../core/complex.js';
 import { Molecule } from '../core/molecule.js';
+import { SeededRandom } from '../core/rng.js';
 
 /**
  * ANSI escape codes for terminal control
@@ -369,10 +370,19 @@ export class ProteinFoldingAnimation {
  * (avoids async import issues)
  */
 export class ProteinFoldingAnimationSync {
+  /**
+   * @param {Object} options
+   * @param {number} options.frameDelay - Milliseconds per frame (default 500)
+   * @param {boolean} options.showEnergy - Show energy under each frame (default true)
+   * @param {number|string} options.seed - Seed for the simulation RNG (default: random)
+   * @param {Function} options.randomFn - Random function; overrides seed
+   */
   constructor(options = {}) {
     this.renderer = new MultiLineRenderer();
     this.frameDelay = options.frameDelay || 500;
     this.showEnergy = options.showEnergy !== false;
+    this.rng = new SeededRandom(options.seed);
+    this.random = options.randomFn || this.rng.random;
   }
 
   /**
@@ -680,7 +690,7 @@ export class ProteinFoldingAnimationSync {
       }
 
       // Sample a transition based on rates (weighted random selection)
-      const rand = Math.random() * (validTotalRate + stayRate);
+      const rand = this.random() * (validTotalRate + stayRate);
 
       if (rand < stayRate) {
         // Stay in current state - show frame anyway to represent time passing
@@ -763,13 +773,14 @@ export function sleep(ms) {
 /**
  * Generate a random protein sequence
  * @param {number} length - Number of amino acids (2-12)
+ * @param {Function} randomFn - Random function (default Math.random)
  * @returns {string[]} Random sequence of amino acid codes
  */
-export function generateRandomSequence(length) {
+export function generateRandomSequence(length, randomFn = Math.random) {
   const aminoAcids = ['STR', 'L60', 'R60', 'L12', 'R12', 'FLX', 'POS', 'NEG', 'PHO', 'PHI'];
   const sequence = [];
   for (let i = 0; i < length; i++) {
-    sequence.push(aminoAcids[Math.floor(Math.random() * aminoAcids.length)]);
+    sequence.push(aminoAcids[Math.floor(randomFn() * aminoAcids.length)]);
   }
   return sequence;
 }
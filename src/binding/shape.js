@@ -0,0 +1,168 @@
+/**
+ * Shape-Complementarity Binding
+ *
+ * Scores how well two folded molecules fit together, for any pair of
+ * molecule types (protein–protein, protein–RNA, strand–strand). Unlike
+ * binding.js, which only matches BTx runs against straight DNA, this works
+ * on arbitrary hex footprints.
+ *
+ * A footprint is a list of occupied hexes: [{q, r, type}, ...]. The mobile
+ * footprint is given relative to its own pivot (usually the molecule offset)
+ * and is tried in all six rotations at every offset that brings it into
+ * contact with the fixed footprint. Poses that overlap are rejected.
+ *
+ * Each pair of touching residues contributes:
+ * - SHAPE_CONTACT for the contact itself (surface fit)
+ * - RECOGNITION for BTx–nucleotide or complementary base pairs
+ * - ELECTROSTATIC for opposite charges (negative for like charges)
+ * - HYDROPHOBIC for two hydrophobic residues
+ *
+ * Strength is the sum over all contacts; higher binds tighter.
+ */
+
+import { getNeighbors, rotateHex } from '../core/hex-layout.js';
+import { canBindToNucleotide, getAminoAcidProperties } from '../data/amino-acids.js';
+import { BasePairingComponent } from '../ecs/components/basePairingComponent.js';
+
+/**
+ * Score contributions per contact
+ */
+export const CONTACT_SCORES = {
+  SHAPE_CONTACT: 0.1,
+  RECOGNITION: 1.0,
+  ELECTROSTATIC: 1.0,
+  HYDROPHOBIC: 0.5
+};
+
+/**
+ * Score one contact between two touching residues
+ * @param {string} typeA - Residue type (amino acid code or nucleotide)
+ * @param {string} typeB - Residue type (amino acid code or nucleotide)
+ * @returns {number} Contact score (shape term included)
+ */
+export function scoreContact(typeA, typeB) {
+  let score = CONTACT_SCORES.SHAPE_CONTACT;
+
+  if (canBindToNucleotide(typeA, typeB) || canBindToNucleotide(typeB, typeA) ||
+      BasePairingComponent.areComplementary(typeA, typeB) ||
+      BasePairingComponent.areComplementary(typeB, typeA)) {
+    score += CONTACT_SCORES.RECOGNITION;
+  }
+
+  const a = getAminoAcidProperties(typeA);
+  const b = getAminoAcidProperties(typeB);
+  if (a && b) {
+    if (a.charge * b.charge !== 0) {
+      score -= Math.sign(a.charge * b.charge) * CONTACT_SCORES.ELECTROSTATIC;
+    }
+    if (a.hydrophobicity === 'hydrophobic' && b.hydrophobicity === 'hydrophobic') {
+      score += CONTACT_SCORES.HYDROPHOBIC;
+    }
+  }
+
+  return score;
+}
+
+/**
+ * Rotate and translate a footprint
+ * @param {Array} footprint - [{q, r, type}, ...] relative to the pivot
+ * @param {Object} pose - {q, r, rotation} (rotation in 60° clockwise steps)
+ * @returns {Array} [{q, r, type}, ...] in world coordinates
+ */
+export function transformFootprint(footprint, pose) {
+  return footprint.map(cell => {
+    const [q, r] = rotateHex(cell.q, cell.r, pose.rotation);
+    return { q: q + pose.q, r: r + pose.r, type: cell.type };
+  });
+}
+
+/**
+ * Score a placed footprint against a fixed one
+ * @param {Array} fixed - [{q, r, type}, ...]
+ * @param {Array} placed - [{q, r, type}, ...] already transformed
+ * @returns {Object|null} {strength, contacts: [{fixed, mobile, score}, ...]} or null on overlap
+ */
+export function scoreFootprints(fixed, placed) {
+  const fixedIndex = new Map(fixed.map((cell, i) => [`${cell.q},${cell.r}`, i]));
+
+  const contacts = [];
+  let strength = 0;
+
+  for (let i = 0; i < placed.length; i++) {
+    const cell = placed[i];
+    if (fixedIndex.has(`${cell.q},${cell.r}`)) return null;
+
+    for (const neighbor of getNeighbors(cell.q, cell.r)) {
+      const j = fixedIndex.get(`${neighbor.q},${neighbor.r}`);
+      if (j === undefined) continue;
+
+      const score = scoreContact(fixed[j].type, cell.type);
+      contacts.push({ fixed: j, mobile: i, score });
+      strength += score;
+    }
+  }
+
+  return { strength, contacts };
+}
+
+/**
+ * Enumerate every touching, non-overlapping pose of a mobile footprint
+ * @param {Array} fixed - [{q, r, type}, ...]
+ * @param {Array} mobile - [{q, r, type}, ...] relative to its pivot
+ * @param {Object} options
+ * @param {Set} options.obstacles - "q,r" keys the mobile footprint may not enter
+ * @returns {Array} [{pose: {q, r, rotation}, strength, contacts}, ...] strongest first
+ */
+export function findPoses(fixed, mobile, options = {}) {
+  const { obstacles = new Set() } = options;
+
+  // Empty hexes touching the fixed footprint
+  const seen = new Set(fixed.map(cell => `${cell.q},${cell.r}`));
+  const surface = [];
+  for (const cell of fixed) {
+    for (const neighbor of getNeighbors(cell.q, cell.r)) {
+      const key = `${neighbor.q},${neighbor.r}`;
+      if (!seen.has(key) && !obstacles.has(key)) {
+        seen.add(key);
+        surface.push(neighbor);
+      }
+    }
+  }
+
+  const poses = [];
+  for (let rotation = 0; rotation < 6; rotation++) {
+    const rotated = transformFootprint(mobile, { q: 0, r: 0, rotation });
+    const tried = new Set();
+
+    // Any pose with a contact puts some mobile hex on the fixed surface
+    for (const site of surface) {
+      for (const cell of rotated) {
+        const pose = { q: site.q - cell.q, r: site.r - cell.r, rotation };
+        const key = `${pose.q},${pose.r}`;
+        if (tried.has(key)) continue;
+        tried.add(key);
+
+        const placed = transformFootprint(mobile, pose);
+        if (placed.some(c => obstacles.has(`${c.q},${c.r}`))) continue;
+
+        const score = scoreFootprints(fixed, placed);
+        if (score) {
+          poses.push({ pose, ...score });
+        }
+      }
+    }
+  }
+
+  return poses.sort((a, b) => b.strength - a.strength);
+}
+
+/**
+ * Find the strongest pose of a mobile footprint against a fixed one
+ * @param {Array} fixed - [{q, r, type}, ...]
+ * @param {Array} mobile - [{q, r, type}, ...] relative to its pivot
+ * @param {Object} options - See findPoses
+ * @returns {Object|null} {pose, strength, contacts} or null if nothing fits
+ */
+export function findBestPose(fixed, mobile, options = {}) {
+  return findPoses(fixed, mobile, options)[0] || null;
+}
@@ -0,0 +1,92 @@
+/**
+ * Tests for Shape-Complementarity Binding
+ *
+ * Tests footprint matching including:
+ * - Per-contact scoring
+ * - Pose search over rotations and offsets
+ * - Overlap and obstacle rejection
+ */
+
+import {
+  CONTACT_SCORES,
+  scoreContact,
+  transformFootprint,
+  findPoses,
+  findBestPose
+} from './shape.js';
+
+describe('scoreContact', () => {
+  // INPUT: Recognition, charge and hydrophobic pairs, plus a neutral pair
+  // EXPECTED: Each adds its score on top of the shape contact term
+  // WHY: Contact chemistry decides which poses bind tightest
+  test('scores chemistry on top of the shape term', () => {
+    const { SHAPE_CONTACT, RECOGNITION, ELECTROSTATIC, HYDROPHOBIC } = CONTACT_SCORES;
+
+    expect(scoreContact('STR', 'FLX')).toBeCloseTo(SHAPE_CONTACT);
+    expect(scoreContact('BTA', 'A')).toBeCloseTo(SHAPE_CONTACT + RECOGNITION);
+    expect(scoreContact('U', 'A')).toBeCloseTo(SHAPE_CONTACT + RECOGNITION);
+    expect(scoreContact('A', 'U')).toBeCloseTo(SHAPE_CONTACT + RECOGNITION);
+    expect(scoreContact('POS', 'NEG')).toBeCloseTo(SHAPE_CONTACT + ELECTROSTATIC);
+    expect(scoreContact('POS', 'POS')).toBeCloseTo(SHAPE_CONTACT - ELECTROSTATIC);
+    expect(scoreContact('PHO', 'PHO')).toBeCloseTo(SHAPE_CONTACT + HYDROPHOBIC);
+  });
+});
+
+describe('findBestPose', () => {
+  const protein = [
+    { q: 0, r: 0, type: 'BTA' },
+    { q: 1, r: 0, type: 'BTC' }
+  ];
+
+  // INPUT: BTA-BTC footprint and a C-A strand pointing East
+  // EXPECTED: Best pose turns the strand 180° so A meets BTA and C meets BTC
+  // WHY: The matcher must search rotations, not just offsets
+  test('finds the complementary pose across rotations', () => {
+    const strand = [
+      { q: 0, r: 0, type: 'C' },
+      { q: 1, r: 0, type: 'A' }
+    ];
+
+    const best = findBestPose(protein, strand);
+
+    expect(best.strength).toBeCloseTo(2 * (CONTACT_SCORES.SHAPE_CONTACT + CONTACT_SCORES.RECOGNITION) + CONTACT_SCORES.SHAPE_CONTACT);
+    const recognized = best.contacts.filter(c => c.score > 1);
+    expect(recognized.map(c => [protein[c.fixed].type, strand[c.mobile].type]).sort())
+      .toEqual([['BTA', 'A'], ['BTC', 'C']]);
+  });
+
+  // INPUT: All poses of a 3-hex chain, with obstacles on one side
+  // EXPECTED: No pose overlaps the fixed footprint or any obstacle
+  // WHY: Bound molecules can never share a hex
+  test('rejects overlapping and obstructed poses', () => {
+    const chain = [
+      { q: 0, r: 0, type: 'STR' },
+      { q: 1, r: 0, type: 'STR' },
+      { q: 2, r: 0, type: 'STR' }
+    ];
+    const obstacles = new Set(['0,1', '1,1', '-1,1']);
+    const blocked = new Set(['0,0', '1,0', ...obstacles]);
+
+    const poses = findPoses(protein, chain, { obstacles });
+
+    expect(poses.length).toBeGreaterThan(0);
+    for (const { pose, contacts } of poses) {
+      const placed = transformFootprint(chain, pose);
+      expect(placed.some(c => blocked.has(`${c.q},${c.r}`))).toBe(false);
+      expect(contacts.length).toBeGreaterThan(0);
+    }
+  });
+
+  // INPUT: Two like-charged footprints
+  // EXPECTED: The best pose keeps contacts to a minimum (still negative)
+  // WHY: Strength must expose repulsion so callers can refuse to bind
+  test('like charges give negative strength', () => {
+    const a = [{ q: 0, r: 0, type: 'POS' }];
+    const b = [{ q: 0, r: 0, type: 'POS' }];
+
+    const best = findBestPose(a, b);
+
+    expect(best.contacts).toHaveLength(1);
+    expect(best.strength).toBeLessThan(0);
+  });
+});
@@ -15,17 +15,48 @@ import { Molecule } from './molecule.js';
 import {
   moveInDirection,
   applyBend,
-  getNeighbors
+  getNeighbors,
+  rotateHex,
+  reflectHex
 } from './hex-layout.js';
-import { DEFAULT_SIGNAL_CONFIG } from '../physics/signal.js';
+import {
+  DEFAULT_SIGNAL_CONFIG,
+  getSignalStrength,
+  computeSignalProbabilities as computeSignalProbabilitiesPure
+} from '../physics/signal.js';
 import { signalSystemPure } from '../ecs/systems/signalSystemPure.js';
 import {
   processATRs as processATRsECS,
   calculateEnergy as calculateEnergyECS,
   getATPPositions as getATPPositionsECS
 } from '../ecs/systems/energySystem.js';
+import { processPSHs as processPSHsECS } from '../ecs/systems/pushSystem.js';
+import { processEJTs as processEJTsECS } from '../ecs/systems/ejectSystem.js';
+import { processRPFs as processRPFsECS } from '../ecs/systems/transcriptionSystem.js';
+import { processPBFs as processPBFsECS } from '../ecs/systems/translationSystem.js';
+import { processFolding as processFoldingECS } from '../ecs/systems/foldingSystem.js';
+import {
+  processBrownianMotion as processBrownianMotionECS,
+  findRigidGroups
+} from '../ecs/systems/brownianSystem.js';
+import {
+  processHeat as processHeatECS,
+  addHeat as addHeatECS,
+  getTemperatureAt as getTemperatureAtECS,
+  getResidueTemperatures as getResidueTemperaturesECS,
+  findDenaturedResidues
+} from '../ecs/systems/heatSystem.js';
+import {
+  processATPSupply as processATPSupplyECS,
+  getATPConcentration as getATPConcentrationECS,
+  findATPField
+} from '../ecs/systems/atpSystem.js';
+import { findBestPose } from '../binding/shape.js';
+import { STANDARD_CODON_TABLE, loadCodonTable } from '../data/codon-table.js';
+import { SeededRandom, generateId } from './rng.js';
 import {
   AMINO_ACID_TYPES,
+  ENERGY_CONSTANTS,
   getBindingTarget
 } from '../data/amino-acids.js';
 import { World } from '../ecs/World.js';
@@ -37,11 +68,36 @@ import {
   createSignalComponent,
   createMoleculeMetaComponent,
   createConfigComponent,
-  createIndexManagerComponent
+  createIndexManagerComponent,
+  createShapeBondComponent,
+  createTemperatureFieldComponent,
+  createATPComponent,
+  createADPComponent,
+  createATPFieldComponent,
+  createATPSourceComponent
 } from '../ecs/components.js';
+import { queryATP, queryADP, residuesByHex } from '../ecs/queries.js';
 import { canSignal } from '../data/amino-acids.js';
 import { BasePairingComponent } from '../ecs/components/basePairingComponent.js';
 
+/**
+ * Scheduler phases for one simulation tick, in order
+ */
+const TICK_PHASES = ['binding', 'signals', 'actuators', 'motion', 'folding', 'heat', 'energy'];
+
+/**
+ * What to do when placing, moving or refolding a molecule would land a
+ * residue on an occupied hex
+ * - reject: change nothing and report the conflicting residues
+ * - push: move the molecules in the way aside first (see _planPushAside)
+ */
+const COLLISION_POLICIES = ['reject', 'push'];
+
+/**
+ * Furthest a molecule is pushed aside, in hexes
+ */
+const MAX_PUSH_DISTANCE = 8;
+
 /**
  * Entry for a molecule in a complex
  * @typedef {Object} MoleculeEntry
@@ -55,15 +111,23 @@ export class Complex {
    * Create a new Complex
    * @param {Object} options
    * @param {string} options.id - Optional unique identifier
+   * @param {number|string} options.seed - Seed for the complex's RNG (default: random)
    */
   constructor(options = {}) {
-    this.id = options.id ?? `complex_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`;
+    // Seeded RNG shared by every stochastic system (see rng.js)
+    this.rng = new SeededRandom(options.seed);
+    this.random = this.rng.random;
+
+    this.id = options.id ?? generateId('complex', this.random);
 
     // ECS World stores all entities and components
     this.world = new World();
 
     // System scheduler manages system execution
-    this.scheduler = new SystemScheduler(this.world);
+    this.scheduler = new SystemScheduler(this.world, { phases: TICK_PHASES });
+
+    // State carried between step() calls (saved by toJSON)
+    this._tickState = { tick: 0, time: 0, bindings: null };
 
     // Create singleton entities for global state
     this._createSingletonEntities();
@@ -92,6 +156,22 @@ export class Complex {
       COMPONENT_TYPES.INDEX_MANAGER,
       createIndexManagerComponent(0)
     );
+
+    // Temperature field entity - per-hex temperatures
+    this._temperatureEntityId = this.world.createEntity();
+    this.world.addComponent(
+      this._temperatureEntityId,
+      COMPONENT_TYPES.TEMPERATURE_FIELD,
+      createTemperatureFieldComponent(ENERGY_CONSTANTS.ROOM_TEMPERATURE)
+    );
+
+    // ATP field entity - free ATP concentration per hex
+    this._atpFieldEntityId = this.world.createEntity();
+    this.world.addComponent(
+      this._atpFieldEntityId,
+      COMPONENT_TYPES.ATP_FIELD,
+      createATPFieldComponent(ENERGY_CONSTANTS.ATP_BASELINE)
+    );
   }
 
   /**
@@ -134,6 +214,11 @@ export class Complex {
    * @private
    */
   _registerSystems() {
+    // Binding detection system (BTx residues next to matching nucleotides)
+    this.scheduler.registerSystem('binding', () => {
+      return { bindings: this.findBindings(), shapeBonds: this.getShapeBonds() };
+    }, { phase: 'binding', priority: 0 });
+
     // Signal propagation system
     this.scheduler.registerSystem('signal', (world, context) => {
       return signalSystemPure(world, {
@@ -141,16 +226,29 @@ export class Complex {
         atpPositions: context.atpPositions || new Set(),
         config: context.config || this._getSignalConfig(),
         stepped: context.stepped || false,
-        randomFn: context.randomFn || Math.random
+        randomFn: context.randomFn || this.random
       });
-    }, { phase: 'physics', priority: 1 });
+    }, { phase: 'signals', priority: 0 });
 
     // Energy calculation system
     this.scheduler.registerSystem('energy', (world, context) => {
       return {
         energy: calculateEnergyECS(world, context.bindings || new Map())
       };
-    }, { phase: 'physics', priority: 2 });
+    }, { phase: 'energy', priority: 0 });
+
+    // ATP supply system (regeneration sites and concentration field)
+    this.scheduler.registerSystem('atp', (world, context) => {
+      if (!context.onRegenerate) {
+        return { regenerated: [], supplied: 0, count: 0 };
+      }
+
+      return processATPSupplyECS(world, {
+        diffusionRate: context.diffusionRate,
+        exchangeRate: context.exchangeRate,
+        onRegenerate: context.onRegenerate
+      });
+    }, { phase: 'energy', priority: 1 });
 
     // ATP attractor system (ATR residues)
     this.scheduler.registerSystem('attractors', (world, context) => {
@@ -161,24 +259,135 @@ export class Complex {
       return processATRsECS(world, {
         signalState: context.signalState || new Map(),
         attractChance: context.attractChance || 0.75,
-        randomFn: context.randomFn || Math.random,
+        randomFn: context.randomFn || this.random,
         onSpawnATP: context.onSpawnATP
       });
-    }, { phase: 'physics', priority: 3 });
+    }, { phase: 'actuators', priority: 1 });
+
+    // Push system (PSH residues)
+    this.scheduler.registerSystem('push', (world, context) => {
+      if (!context.onPush || !context.onConsumeATP) {
+        return { pushed: [], blocked: [], count: 0 };
+      }
+
+      return processPSHsECS(world, {
+        signalState: context.signalState || new Map(),
+        onPush: context.onPush,
+        onConsumeATP: context.onConsumeATP
+      });
+    }, { phase: 'actuators', priority: 2 });
+
+    // Eject system (EJT residues)
+    this.scheduler.registerSystem('eject', (world, context) => {
+      if (!context.onMove || !context.onConsumeATP) {
+        return { ejected: [], blocked: [], count: 0 };
+      }
+
+      return processEJTsECS(world, {
+        signalState: context.signalState || new Map(),
+        onMove: context.onMove,
+        onConsumeATP: context.onConsumeATP,
+        maxDistance: context.maxDistance
+      });
+    }, { phase: 'actuators', priority: 3 });
+
+    // Transcription system (RPF residues)
+    this.scheduler.registerSystem('transcription', (world, context) => {
+      if (!context.onStartChain || !context.onExtendChain || !context.onMove || !context.onConsumeATP) {
+        return { transcribed: [], blocked: [], count: 0 };
+      }
+
+      return processRPFsECS(world, {
+        signalState: context.signalState || new Map(),
+        onStartChain: context.onStartChain,
+        onExtendChain: context.onExtendChain,
+        onMove: context.onMove,
+        onConsumeATP: context.onConsumeATP,
+        advance: context.advance
+      });
+    }, { phase: 'actuators', priority: 4 });
+
+    // Translation system (PBF residues)
+    this.scheduler.registerSystem('translation', (world, context) => {
+      if (!context.onStartChain || !context.onExtendChain || !context.onConsumeATP) {
+        return { translated: [], released: [], count: 0 };
+      }
+
+      return processPBFsECS(world, {
+        signalState: context.signalState || new Map(),
+        codonTable: context.codonTable || loadCodonTable(this.getCodonTable()),
+        onStartChain: context.onStartChain,
+        onExtendChain: context.onExtendChain,
+        onConsumeATP: context.onConsumeATP
+      });
+    }, { phase: 'actuators', priority: 5 });
+
+    // Brownian motion system (rigid groups of bound molecules)
+    this.scheduler.registerSystem('brownian', (world, context) => {
+      if (!context.onMove) {
+        return { moved: [], blocked: [], count: 0 };
+      }
+
+      return processBrownianMotionECS(world, {
+        temperature: context.temperature,
+        translationRate: context.translationRate,
+        rotationRate: context.rotationRate,
+        anchored: context.anchored,
+        randomFn: context.randomFn || this.random,
+        onMove: context.onMove
+      });
+    }, { phase: 'motion', priority: 0 });
+
+    // Heat diffusion and dissipation
+    this.scheduler.registerSystem('heat', (world, context) => {
+      return processHeatECS(world, {
+        diffusionRate: context.diffusionRate,
+        dissipationRate: context.dissipationRate
+      });
+    }, { phase: 'heat', priority: 0 });
+
+    // Kinetic Monte Carlo folding system
+    this.scheduler.registerSystem('folding', (world, context) => {
+      if (!context.moleculeId || !context.onSetFold) {
+        return { trajectory: [], time: 0, energy: 0, count: 0 };
+      }
+
+      return processFoldingECS(world, {
+        moleculeId: context.moleculeId,
+        steps: context.steps,
+        temperature: context.temperature,
+        time: context.time,
+        duration: context.duration,
+        randomFn: context.randomFn || this.random,
+        onSetFold: context.onSetFold
+      });
+    }, { phase: 'folding', priority: 0 });
   }
 
   /**
    * Add a molecule to this complex
+   * Use findConflicts first to check a placement without throwing.
    * @param {Molecule} molecule
    * @param {Object} options
    * @param {Object} options.offset - Position offset {q, r} (default {q:0, r:0})
    * @param {number} options.direction - Starting direction 0-5 (default 0)
+   * @param {string} options.collision - 'reject' (default) or 'push' (see COLLISION_POLICIES)
    * @returns {Complex} this (for chaining)
+   * @throws {Error} If the molecule overlaps itself, or other molecules and they could not be pushed aside
    */
   addMolecule(molecule, options = {}) {
     const offset = options.offset ? { ...options.offset } : { q: 0, r: 0 };
     const direction = options.direction ?? 0;
 
+    const layout = this._layoutMolecule(molecule, offset, direction);
+    const result = this._resolveCollisions([{ molecule, layout }], options);
+    if (!result.placed) {
+      const where = result.conflicts
+        .map(c => `(${c.q},${c.r}) held by ${c.moleculeId} residue ${c.residue}`)
+        .join(', ');
+      throw new Error(`Cannot place molecule ${molecule.id}: ${where}`);
+    }
+
     // Create a molecule entity to hold metadata
     const moleculeEntity = this.world.createEntity();
     this.world.addComponent(
@@ -201,44 +410,32 @@ export class Complex {
    * @param {number} direction
    */
   _createMoleculeEntities(molecule, offset, direction) {
+    this._layoutMolecule(molecule, offset, direction).forEach(({ q, r }, i) => {
+      this._createResidueEntity(molecule, i, q, r);
+    });
+  }
 
+  /**
+   * Hex of each residue of a molecule, following its fold states
+   * @private
+   * @param {Molecule} molecule
+   * @param {Object} offset - {q, r} of the first residue
+   * @param {number} direction - Starting direction 0-5
+   * @returns {Array} [{q, r}, ...] in chain order
+   */
+  _layoutMolecule(molecule, offset, direction) {
+    const layout = [];
     let currentQ = offset.q;
     let currentR = offset.r;
     let currentDir = direction;
 
     for (let i = 0; i < molecule.length; i++) {
-      const entity = this.world.createEntity();
-
-      // Assign globally unique index
-      const globalIndex = this._getNextGlobalIndex();
-
-      // Add Position component
-      this.world.addComponent(
-        entity,
-        COMPONENT_TYPES.POSITION,
-        createPositionComponent(currentQ, currentR, molecule.id)
-      );
-
-      // Add Residue component with global index
-      const foldState = molecule.getFoldAt(i);
-      const residueType = molecule.getTypeAt(i);
-      this.world.addComponent(
-        entity,
-        COMPONENT_TYPES.RESIDUE,
-        createResidueComponent(residueType, foldState, globalIndex)
-      );
-
-      // Add Signal component if this residue can signal
-      if (canSignal(residueType) || getBindingTarget(residueType)) {
-        this.world.addComponent(
-          entity,
-          COMPONENT_TYPES.SIGNAL,
-          createSignalComponent(false, false, 1.0)
-        );
-      }
+      layout.push({ q: currentQ, r: currentR });
 
       // Move to next position (apply fold, then step)
       if (i < molecule.length - 1) {
+        const foldState = molecule.getFoldAt(i);
+
         // Apply fold (change direction based on fold state)
         if (foldState !== 0) {
           const angle = Math.abs(foldState) * 60;
@@ -250,6 +447,122 @@ export class Complex {
         [currentQ, currentR] = moveInDirection(currentQ, currentR, currentDir);
       }
     }
+
+    return layout;
+  }
+
+  /**
+   * Create the entity for one residue of a molecule
+   * @private
+   * @param {Molecule} molecule
+   * @param {number} i - Residue index within the molecule
+   * @param {number} q
+   * @param {number} r
+   * @returns {number} Entity ID
+   */
+  _createResidueEntity(molecule, i, q, r) {
+    const entity = this.world.createEntity();
+
+    // Assign globally unique index
+    const globalIndex = this._getNextGlobalIndex();
+
+    // Add Position component
+    this.world.addComponent(
+      entity,
+      COMPONENT_TYPES.POSITION,
+      createPositionComponent(q, r, molecule.id)
+    );
+
+    // Add Residue component with global index
+    const foldState = molecule.getFoldAt(i);
+    const residueType = molecule.getTypeAt(i);
+    this.world.addComponent(
+      entity,
+      COMPONENT_TYPES.RESIDUE,
+      createResidueComponent(residueType, foldState, globalIndex)
+    );
+
+    // Mark energy carriers so ATP/ADP queries can find them
+    if (residueType === 'ATP') {
+      this.world.addComponent(entity, COMPONENT_TYPES.ATP, createATPComponent());
+    } else if (residueType === 'ADP') {
+      this.world.addComponent(entity, COMPONENT_TYPES.ADP, createADPComponent());
+    }
+
+    // Add Signal component if this residue can signal
+    if (canSignal(residueType) || getBindingTarget(residueType)) {
+      this.world.addComponent(
+        entity,
+        COMPONENT_TYPES.SIGNAL,
+        createSignalComponent(false, false, 1.0)
+      );
+    }
+
+    return entity;
+  }
+
+  /**
+   * Append a residue to the C-terminal (3') end of a molecule
+   * The new residue must be placed adjacent to the current last residue;
+   * the fold at the old last residue is set so the chain reaches it.
+   * Existing residue entities are left untouched.
+   * @param {string} moleculeId
+   * @param {string} type - Residue/nucleotide code
+   * @param {number} q
+   * @param {number} r
+   * @returns {boolean} True if appended
+   */
+  appendToMolecule(moleculeId, type, q, r) {
+    const meta = this._getMoleculeMeta(moleculeId);
+    if (!meta || this.isOccupied(q, r)) return false;
+
+    const molecule = meta.molecule;
+    const residues = this._getMoleculeResidues(moleculeId);
+    const last = residues[residues.length - 1];
+
+    const step = getNeighbors(last.q, last.r).find(n => n.q === q && n.r === r);
+    if (!step) return false;
+
+    const lastIndex = molecule.length - 1;
+    if (lastIndex === 0) {
+      // Single residue: the chain direction is simply the step direction
+      meta.direction = step.direction;
+    } else {
+      // Heading into the last residue, then the fold that turns onto the step
+      const prev = residues[residues.length - 2];
+      const heading = getNeighbors(prev.q, prev.r)
+        .find(n => n.q === last.q && n.r === last.r).direction;
+      let fold = (heading - step.direction + 6) % 6;
+      if (fold > 3) fold -= 6;
+      molecule.setFoldAt(lastIndex, fold);
+      this.world.getComponent(last.entityId, COMPONENT_TYPES.RESIDUE).foldState = fold;
+    }
+
+    molecule.sequence.push(type);
+    molecule.foldStates.push(0);
+    this._createResidueEntity(molecule, molecule.length - 1, q, r);
+
+    return true;
+  }
+
+  /**
+   * Get the residue entities of a molecule in chain order
+   * @private
+   * @param {string} moleculeId
+   * @returns {Array} [{entityId, q, r, index}, ...]
+   */
+  _getMoleculeResidues(moleculeId) {
+    const residues = [];
+    const entityIds = this.world.query([COMPONENT_TYPES.POSITION, COMPONENT_TYPES.RESIDUE]);
+
+    for (const entityId of entityIds) {
+      const position = this.world.getComponent(entityId, COMPONENT_TYPES.POSITION);
+      if (position.moleculeId !== moleculeId) continue;
+      const residue = this.world.getComponent(entityId, COMPONENT_TYPES.RESIDUE);
+      residues.push({ entityId, q: position.q, r: position.r, index: residue.index });
+    }
+
+    return residues.sort((a, b) => a.index - b.index);
   }
 
   /**
@@ -290,11 +603,28 @@ export class Complex {
       this.world.destroyEntity(entityId);
     }
 
-    // Destroy molecule meta entity
+    // Destroy molecule meta entity, any shape locks and chains it takes part in
     this.world.destroyEntity(moleculeMetaEntity);
+    this.releaseShapeBond(id);
+    this._dropGrowingChains(id);
     return true;
   }
 
+  /**
+   * Destroy growing chains whose catalyst, product or template is a molecule
+   * @private
+   * @param {string} moleculeId
+   */
+  _dropGrowingChains(moleculeId) {
+    for (const entityId of this.world.query([COMPONENT_TYPES.GROWING_CHAIN])) {
+      const chain = this.world.getComponent(entityId, COMPONENT_TYPES.GROWING_CHAIN);
+      if (chain.catalystMoleculeId === moleculeId || chain.chainMoleculeId === moleculeId ||
+          chain.templateMoleculeId === moleculeId) {
+        this.world.destroyEntity(entityId);
+      }
+    }
+  }
+
   /**
    * Get a molecule entry by molecule id
    * @param {string} moleculeId
@@ -323,46 +653,347 @@ export class Complex {
    * @param {number} q
    * @param {number} r
    * @param {number} direction
+   * @param {Object} options
+   * @param {string} options.collision - 'reject' (default) or 'push' (see COLLISION_POLICIES)
+   * @returns {Object|null} {placed, conflicts, pushed} (see moveMolecules), or null if the molecule is not here
    */
-  setMoleculePosition(moleculeId, q, r, direction = undefined) {
-    // Find and update molecule meta
-    const metaEntities = this.world.query([COMPONENT_TYPES.MOLECULE_META]);
-    let meta = null;
+  setMoleculePosition(moleculeId, q, r, direction = undefined, options = {}) {
+    if (!this._getMoleculeMeta(moleculeId)) return null;
+    return this.moveMolecules([{ moleculeId, q, r, direction }], options);
+  }
 
-    for (const entityId of metaEntities) {
-      const m = this.world.getComponent(entityId, COMPONENT_TYPES.MOLECULE_META);
-      if (m.molecule.id === moleculeId) {
-        meta = m;
-        break;
+  /**
+   * Move several molecules at once
+   * Collisions are checked for the whole set, so molecules that move
+   * together (a bound group) may step into each other's old hexes.
+   *
+   * @param {Array} moves - [{moleculeId, q, r, direction}, ...] (direction optional)
+   * @param {Object} options
+   * @param {string} options.collision - 'reject' (default) or 'push' (see COLLISION_POLICIES)
+   * @returns {Object} {placed: boolean, conflicts: [{q, r, moleculeId, residue, index, type}, ...],
+   *   pushed: [{moleculeId, delta: {q, r}}, ...]}
+   * @throws {Error} If a molecule is not in this complex
+   */
+  moveMolecules(moves, options = {}) {
+    const placements = moves.map(({ moleculeId, q, r, direction }) => {
+      const meta = this._getMoleculeMeta(moleculeId);
+      if (!meta) {
+        throw new Error(`Molecule ${moleculeId} not found`);
+      }
+      const turned = direction ?? meta.direction;
+      return {
+        meta,
+        molecule: meta.molecule,
+        offset: { q, r },
+        direction: turned,
+        layout: this._layoutMolecule(meta.molecule, { q, r }, turned)
+      };
+    });
+
+    const result = this._resolveCollisions(placements, options);
+    if (!result.placed) return result;
+
+    for (const { meta, offset, direction } of placements) {
+      this._placeMolecule(meta, offset.q, offset.r, direction);
+    }
+    return result;
+  }
+
+  /**
+   * Molecules held together with a molecule
+   * Bindings, base pairing and shape locks join molecules into a group that
+   * Brownian motion moves as one rigid body.
+   * @param {string} moleculeId
+   * @returns {string[]} Molecule IDs in the group, including moleculeId ([] if not here)
+   */
+  getBoundGroup(moleculeId) {
+    const moleculeIds = this.molecules.map(m => m.id);
+    const groups = findRigidGroups(this.world, moleculeIds, residuesByHex(this.world));
+    return groups.find(group => group.includes(moleculeId)) ?? [];
+  }
+
+  /**
+   * Rotate a molecule, or its bound group, about a pivot in 60° steps
+   * The chain keeps its shape; only its offset and direction change.
+   * @param {string} moleculeId
+   * @param {number} steps - 60° clockwise steps (negative for counter-clockwise)
+   * @param {Object} options
+   * @param {Object} options.pivot - Hex {q, r}, or {residue} chain position in this molecule
+   *   (default: its first residue)
+   * @param {boolean} options.group - Rotate the whole bound group (default false)
+   * @param {string} options.collision - 'reject' (default) or 'push' (see COLLISION_POLICIES)
+   * @returns {Object|null} {placed, conflicts, pushed} (see moveMolecules), or null if the molecule is not here
+   */
+  rotateMolecule(moleculeId, steps, options = {}) {
+    const transform = this._resolveTransform(moleculeId, options);
+    if (!transform) return null;
+
+    const { metas, pivot } = transform;
+    return this.moveMolecules(metas.map(meta => {
+      const [q, r] = rotateHex(meta.offsetQ, meta.offsetR, steps, pivot);
+      const direction = (((meta.direction + steps) % 6) + 6) % 6;
+      return { moleculeId: meta.molecule.id, q, r, direction };
+    }), options);
+  }
+
+  /**
+   * Mirror a molecule, or its bound group, across a line through a pivot
+   * Mirrored chains bend the other way, so every fold state is negated.
+   * @param {string} moleculeId
+   * @param {number} axis - Direction 0-5 the mirror line runs along (see reflectHex)
+   * @param {Object} options - As for rotateMolecule
+   * @returns {Object|null} {placed, conflicts, pushed} (see moveMolecules), or null if the molecule is not here
+   */
+  reflectMolecule(moleculeId, axis, options = {}) {
+    const transform = this._resolveTransform(moleculeId, options);
+    if (!transform) return null;
+
+    const { metas, pivot } = transform;
+    const mirrorFolds = () => {
+      for (const { molecule } of metas) {
+        molecule.foldStates.forEach((steps, i) => molecule.setFoldAt(i, steps === 0 ? 0 : -steps));
+      }
+    };
+
+    mirrorFolds();
+    let result = null;
+    try {
+      result = this.moveMolecules(metas.map(meta => {
+        const [q, r] = reflectHex(meta.offsetQ, meta.offsetR, axis, pivot);
+        const direction = (((2 * axis - meta.direction) % 6) + 6) % 6;
+        return { moleculeId: meta.molecule.id, q, r, direction };
+      }), options);
+    } finally {
+      if (!result?.placed) mirrorFolds(); // Undo
+    }
+    return result;
+  }
+
+  /**
+   * Molecules and pivot hex for rotateMolecule/reflectMolecule
+   * @private
+   * @param {string} moleculeId
+   * @param {Object} options - {pivot, group}
+   * @returns {Object|null} {metas, pivot: {q, r}}, or null if the molecule is not here
+   * @throws {Error} If the pivot residue is outside the molecule
+   */
+  _resolveTransform(moleculeId, options) {
+    const { pivot = { residue: 0 }, group = false } = options;
+    if (!this._getMoleculeMeta(moleculeId)) return null;
+
+    let center = pivot;
+    if (pivot.residue !== undefined) {
+      const residue = this._getMoleculeResidues(moleculeId)[pivot.residue];
+      if (!residue) {
+        throw new Error(`Pivot residue ${pivot.residue} is outside molecule ${moleculeId}`);
       }
+      center = { q: residue.q, r: residue.r };
     }
 
-    if (!meta) return;
+    const ids = group ? this.getBoundGroup(moleculeId) : [moleculeId];
+    return { metas: ids.map(id => this._getMoleculeMeta(id)), pivot: center };
+  }
 
-    // Update metadata
+  /**
+   * Update a molecule's metadata and move its residues there
+   * @private
+   * @param {Object} meta - MoleculeMetaComponent
+   * @param {number} q
+   * @param {number} r
+   * @param {number} direction
+   */
+  _placeMolecule(meta, q, r, direction) {
     meta.offsetQ = q;
     meta.offsetR = r;
-    if (direction !== undefined) {
-      meta.direction = direction;
+    meta.direction = direction;
+    this._relayoutMolecule(meta.molecule, { q, r }, direction);
+  }
+
+  /**
+   * Move a molecule's residue entities to a new layout
+   * Positions are replaced in place (so the spatial index follows) and fold
+   * states copied from the molecule; entity IDs, global indices, signal
+   * state and base pairing are untouched.
+   * @private
+   * @param {Molecule} molecule
+   * @param {Object} offset - {q, r}
+   * @param {number} direction
+   */
+  _relayoutMolecule(molecule, offset, direction) {
+    const layout = this._layoutMolecule(molecule, offset, direction);
+
+    this._getMoleculeResidues(molecule.id).forEach(({ entityId }, i) => {
+      const { q, r } = layout[i];
+      this.world.addComponent(
+        entityId,
+        COMPONENT_TYPES.POSITION,
+        createPositionComponent(q, r, molecule.id)
+      );
+      this.world.getComponent(entityId, COMPONENT_TYPES.RESIDUE).foldState = molecule.getFoldAt(i);
+    });
+  }
+
+  /**
+   * Residues that a placement would land on
+   * Molecules being placed are checked against each other and against
+   * every residue of molecules not being placed.
+   *
+   * @param {Molecule} molecule - Molecule to place (need not be in this complex)
+   * @param {Object} options
+   * @param {Object} options.offset - Position offset {q, r} (default {q:0, r:0})
+   * @param {number} options.direction - Starting direction 0-5 (default 0)
+   * @returns {Array} [{q, r, moleculeId, residue, index, type}, ...] residues in the way;
+   *   residue is the chain position, index the global index (null if not placed yet)
+   */
+  findConflicts(molecule, options = {}) {
+    const offset = options.offset ?? { q: 0, r: 0 };
+    const layout = this._layoutMolecule(molecule, offset, options.direction ?? 0);
+    return this._findConflicts([{ molecule, layout }]);
+  }
+
+  /**
+   * Residues in the way of a set of molecule layouts
+   * @private
+   * @param {Array} placements - [{molecule, layout: [{q, r}, ...]}, ...]
+   * @returns {Array} Conflicts (see findConflicts)
+   */
+  _findConflicts(placements) {
+    const moving = new Set(placements.map(({ molecule }) => molecule.id));
+    const claimed = new Map();
+    const conflicts = [];
+
+    for (const { molecule, layout } of placements) {
+      const residues = this._getMoleculeResidues(molecule.id);
+
+      layout.forEach(({ q, r }, i) => {
+        const key = `${q},${r}`;
+        if (claimed.has(key)) {
+          conflicts.push({ q, r, ...claimed.get(key) });
+          return;
+        }
+        claimed.set(key, {
+          moleculeId: molecule.id,
+          residue: i,
+          index: residues[i]?.index ?? null,
+          type: molecule.getTypeAt(i)
+        });
+
+        for (const entityId of this.world.getEntitiesAt(q, r)) {
+          const position = this.world.getComponent(entityId, COMPONENT_TYPES.POSITION);
+          if (moving.has(position.moleculeId)) continue;
+          const residue = this.world.getComponent(entityId, COMPONENT_TYPES.RESIDUE);
+          if (!residue) continue;
+
+          conflicts.push({
+            q,
+            r,
+            moleculeId: position.moleculeId,
+            residue: this._getMoleculeResidues(position.moleculeId).findIndex(e => e.entityId === entityId),
+            index: residue.index,
+            type: residue.type
+          });
+        }
+      });
     }
 
-    // Recreate residue entities for this molecule with new position
-    // First, remove old residue entities
-    const positions = this.world.getComponents(COMPONENT_TYPES.POSITION);
-    const entitiesToDestroy = [];
+    return conflicts;
+  }
 
-    for (const [entityId, position] of positions) {
-      if (position.moleculeId === moleculeId) {
-        entitiesToDestroy.push(entityId);
-      }
+  /**
+   * Check placements for collisions and apply the collision policy
+   * With 'push', molecules in the way have been moved by the time this
+   * returns; the caller then places its own molecules.
+   * @private
+   * @param {Array} placements - [{molecule, layout}, ...]
+   * @param {Object} options
+   * @param {string} options.collision - 'reject' (default) or 'push'
+   * @returns {Object} {placed, conflicts, pushed}
+   */
+  _resolveCollisions(placements, options = {}) {
+    const { collision = 'reject' } = options;
+    if (!COLLISION_POLICIES.includes(collision)) {
+      throw new Error(`Unknown collision policy: ${collision}`);
     }
 
-    for (const entityId of entitiesToDestroy) {
-      this.world.destroyEntity(entityId);
+    const conflicts = this._findConflicts(placements);
+    if (conflicts.length === 0) {
+      return { placed: true, conflicts, pushed: [] };
+    }
+    if (collision === 'reject') {
+      return { placed: false, conflicts, pushed: [] };
+    }
+
+    const pushed = this._planPushAside(placements, conflicts);
+    if (!pushed) {
+      return { placed: false, conflicts, pushed: [] };
+    }
+
+    for (const { moleculeId, delta } of pushed) {
+      const meta = this._getMoleculeMeta(moleculeId);
+      this._placeMolecule(meta, meta.offsetQ + delta.q, meta.offsetR + delta.r, meta.direction);
+    }
+    return { placed: true, conflicts, pushed };
+  }
+
+  /**
+   * Find where to push the molecules in the way of a placement
+   * Each blocking molecule moves in a straight line, by the fewest hexes
+   * (up to MAX_PUSH_DISTANCE, directions tried 0-5), to where it overlaps
+   * neither the placement, nor other molecules, nor molecules pushed before
+   * it. Molecules move alone; bindings to them may break.
+   * @private
+   * @param {Array} placements - [{molecule, layout}, ...]
+   * @param {Array} conflicts - From _findConflicts
+   * @returns {Array|null} [{moleculeId, delta: {q, r}}, ...], or null if the
+   *   placement overlaps itself or a molecule has nowhere to go
+   */
+  _planPushAside(placements, conflicts) {
+    const moving = new Set(placements.map(({ molecule }) => molecule.id));
+    if (conflicts.some(({ moleculeId }) => moving.has(moleculeId))) {
+      return null; // Self-overlap: pushing cannot help
+    }
+
+    const claimed = new Set(placements.flatMap(({ layout }) => layout.map(({ q, r }) => `${q},${r}`)));
+    const vacated = new Set(moving);
+    const pushed = [];
+
+    const isFree = (q, r) => !claimed.has(`${q},${r}`) &&
+      this.world.getEntitiesAt(q, r).every(entityId =>
+        vacated.has(this.world.getComponent(entityId, COMPONENT_TYPES.POSITION).moleculeId));
+
+    for (const moleculeId of new Set(conflicts.map(c => c.moleculeId))) {
+      const residues = this._getMoleculeResidues(moleculeId);
+      vacated.add(moleculeId);
+
+      let delta = null;
+      for (let distance = 1; distance <= MAX_PUSH_DISTANCE && !delta; distance++) {
+        for (let direction = 0; direction < 6 && !delta; direction++) {
+          let [dq, dr] = [0, 0];
+          for (let i = 0; i < distance; i++) {
+            [dq, dr] = moveInDirection(dq, dr, direction);
+          }
+          if (residues.every(({ q, r }) => isFree(q + dq, r + dr))) {
+            delta = { q: dq, r: dr };
+          }
+        }
+      }
+      if (!delta) return null;
+
+      for (const { q, r } of residues) {
+        claimed.add(`${q + delta.q},${r + delta.r}`);
+      }
+      pushed.push({ moleculeId, delta });
     }
 
-    // Create new residue entities
-    this._createMoleculeEntities(meta.molecule, { q, r }, meta.direction);
+    return pushed;
+  }
+
+  /**
+   * Seed of this complex's RNG (save it to replay a run)
+   * @returns {number|string}
+   */
+  get seed() {
+    return this.rng.seed;
   }
 
   /**
@@ -502,29 +1133,23 @@ export class Complex {
    * @returns {Object|null}
    */
   getAt(q, r) {
-    const entityIds = this.world.query([COMPONENT_TYPES.POSITION, COMPONENT_TYPES.RESIDUE]);
+    const entityId = this.world.getEntityAt(q, r, [COMPONENT_TYPES.RESIDUE]);
+    if (entityId === undefined) return null;
 
-    for (const entityId of entityIds) {
-      const position = this.world.getComponent(entityId, COMPONENT_TYPES.POSITION);
+    const position = this.world.getComponent(entityId, COMPONENT_TYPES.POSITION);
+    const residue = this.world.getComponent(entityId, COMPONENT_TYPES.RESIDUE);
+    const meta = this._getMoleculeMeta(position.moleculeId);
+    const moleculeType = meta ? meta.molecule.type : 'unknown';
 
-      if (position.q === q && position.r === r) {
-        const residue = this.world.getComponent(entityId, COMPONENT_TYPES.RESIDUE);
-        const meta = this._getMoleculeMeta(position.moleculeId);
-        const moleculeType = meta ? meta.molecule.type : 'unknown';
-
-        return {
-          moleculeId: position.moleculeId,
-          moleculeType,
-          index: residue.index,
-          type: residue.type,
-          q: position.q,
-          r: position.r
-        };
-      }
-    }
-
-    return null;
-  }
+    return {
+      moleculeId: position.moleculeId,
+      moleculeType,
+      index: residue.index,
+      type: residue.type,
+      q: position.q,
+      r: position.r
+    };
+  }
 
   /**
    * Get all entities adjacent to a position
@@ -553,7 +1178,7 @@ export class Complex {
    * @returns {boolean}
    */
   isOccupied(q, r) {
-    return this.getAt(q, r) !== null;
+    return this.world.getEntityAt(q, r, [COMPONENT_TYPES.RESIDUE]) !== undefined;
   }
 
   // ===========================================================================
@@ -594,13 +1219,146 @@ export class Complex {
     return bindings;
   }
 
+  // ===========================================================================
+  // SHAPE BINDING
+  // ===========================================================================
+
+  /**
+   * Get a molecule's hex footprint
+   * @param {string} moleculeId
+   * @param {boolean} relative - Make coordinates relative to the molecule offset
+   * @returns {Array} [{q, r, type}, ...] in chain order
+   */
+  getFootprint(moleculeId, relative = false) {
+    const meta = this._getMoleculeMeta(moleculeId);
+    if (!meta) {
+      throw new Error(`Molecule ${moleculeId} not found`);
+    }
+
+    const dq = relative ? meta.offsetQ : 0;
+    const dr = relative ? meta.offsetR : 0;
+    return this._getMoleculeResidues(moleculeId).map(({ entityId, q, r }) => ({
+      q: q - dq,
+      r: r - dr,
+      type: this.world.getComponent(entityId, COMPONENT_TYPES.RESIDUE).type
+    }));
+  }
+
+  /**
+   * Find the best shape-complementary pose of one molecule against another
+   * Tries all six rotations of the moving molecule around the target; poses
+   * that would overlap any third molecule are skipped.
+   *
+   * @param {string} movingId - Molecule to place
+   * @param {string} targetId - Molecule that stays put
+   * @returns {Object|null} {strength, pose: {q, r, direction, rotation}, contacts} or null
+   */
+  findShapeBinding(movingId, targetId) {
+    const fixed = this.getFootprint(targetId);
+    const mobile = this.getFootprint(movingId, true);
+    const meta = this._getMoleculeMeta(movingId);
+
+    const obstacles = new Set();
+    for (const [key, entity] of this.getPositionMap()) {
+      if (entity.moleculeId !== movingId && entity.moleculeId !== targetId) {
+        obstacles.add(key);
+      }
+    }
+
+    const best = findBestPose(fixed, mobile, { obstacles });
+    if (!best) return null;
+
+    // Rotating the chain about its offset is the same as turning its direction
+    const { q, r, rotation } = best.pose;
+    return {
+      strength: best.strength,
+      pose: { q, r, rotation, direction: (meta.direction + rotation) % 6 },
+      contacts: best.contacts
+    };
+  }
+
+  /**
+   * Attract a molecule into its best pose against another and lock them
+   * Locked molecules move as one group under Brownian motion.
+   *
+   * @param {string} movingId - Molecule to place
+   * @param {string} targetId - Molecule that stays put
+   * @param {Object} options
+   * @param {number} options.minStrength - Weakest fit that still binds (default 1)
+   * @returns {Object|null} Result of findShapeBinding, or null if nothing bound
+   */
+  dockMolecule(movingId, targetId, options = {}) {
+    const { minStrength = 1 } = options;
+
+    const binding = this.findShapeBinding(movingId, targetId);
+    if (!binding || binding.strength < minStrength) {
+      return null;
+    }
+
+    const { q, r, direction } = binding.pose;
+    this.setMoleculePosition(movingId, q, r, direction);
+
+    // Binding releases heat at the docked molecule's contacts
+    const placed = this.getFootprint(movingId);
+    for (const contact of binding.contacts) {
+      if (contact.score > 0) {
+        const cell = placed[contact.mobile];
+        this.addHeat(cell.q, cell.r, ENERGY_CONSTANTS.BINDING_HEAT * contact.score);
+      }
+    }
+
+    this.releaseShapeBond(movingId, targetId);
+    const bondEntity = this.world.createEntity();
+    this.world.addComponent(bondEntity, COMPONENT_TYPES.SHAPE_BOND,
+      createShapeBondComponent(targetId, movingId, binding.strength));
+
+    return binding;
+  }
+
+  /**
+   * Get all shape-complementarity locks
+   * @returns {Array} [{moleculeA, moleculeB, strength}, ...]
+   */
+  getShapeBonds() {
+    return this.world.query([COMPONENT_TYPES.SHAPE_BOND])
+      .map(entityId => ({ ...this.world.getComponent(entityId, COMPONENT_TYPES.SHAPE_BOND) }));
+  }
+
+  /**
+   * Release shape locks involving a molecule
+   * @param {string} moleculeId
+   * @param {string} otherId - Only release the lock with this molecule (default: all)
+   * @returns {number} Number of locks released
+   */
+  releaseShapeBond(moleculeId, otherId = null) {
+    let released = 0;
+    for (const entityId of this.world.query([COMPONENT_TYPES.SHAPE_BOND])) {
+      const { moleculeA, moleculeB } = this.world.getComponent(entityId, COMPONENT_TYPES.SHAPE_BOND);
+      const other = moleculeA === moleculeId ? moleculeB : moleculeB === moleculeId ? moleculeA : null;
+      if (other === null || (otherId !== null && other !== otherId)) continue;
+
+      this.world.destroyEntity(entityId);
+      released++;
+    }
+    return released;
+  }
+
   // ===========================================================================
   // SIGNAL PROPAGATION
   // ===========================================================================
 
+  /**
+   * Get signal propagation configuration
+   * @returns {Object} Copy of the current config
+   */
+  getSignalConfig() {
+    return { ...this._getSignalConfig() };
+  }
+
   /**
    * Set signal propagation configuration
-   * @param {Object} config - Per-type probabilities {SIG: 1.0, AND: 0.75, ...}
+   * @param {Object} config - Per-type probabilities {SIG: 1.0, AND: 0.75, ...}, plus
+   *   analog mode settings {analog: true, attenuation: 0.9, threshold: 0.5}
    */
   setSignalConfig(config) {
     this._setSignalConfig({ ...DEFAULT_SIGNAL_CONFIG, ...config });
@@ -608,19 +1366,21 @@ export class Complex {
 
   /**
    * Compute signal states for all entities
+   * Gates that fire consume the ATP they reserved; `gates` lists which gate
+   * used which ATP molecule.
    * @param {Object} options
-   * @param {Set} options.atpPositions - Set of "q,r" strings where ATP exists
+   * @param {Set} options.atpPositions - Limit gates to ATP at these "q,r" strings (default: all ATP)
    * @param {boolean} options.stepped - If true, compute one step only; if false, compute to steady-state
    * @param {boolean} options.tickMode - DEPRECATED: Use 'stepped' instead
-   * @param {Function} options.randomFn - Random function for testing (default Math.random)
-   * @returns {Object} Signal computation result
+   * @param {Function} options.randomFn - Random function (default: the complex's seeded RNG)
+   * @returns {Object} Signal computation result, with gates: [{gate, type, atp: {q, r, moleculeId}}]
    */
   computeSignals(options = {}) {
     const {
-      atpPositions = new Set(),
+      atpPositions = null,
       stepped = false,
       tickMode = false, // Deprecated alias
-      randomFn = Math.random
+      randomFn = this.random
     } = options;
 
     // Build bound pairs from current bindings
@@ -629,11 +1389,12 @@ export class Complex {
     // Run signal system via scheduler
     const result = this.scheduler.runSystem('signal', {
       boundPairs,
-      atpPositions,
+      atpPositions: this._availableATP(atpPositions),
       config: this._getSignalConfig(),
       stepped: stepped || tickMode,
       randomFn
     });
+    const gates = this._consumeReservedATP(result.atpReservations);
 
     // Build backward-compatible state Map for API compatibility
     const state = new Map();
@@ -641,16 +1402,63 @@ export class Complex {
     for (const entityId of entityIds) {
       const signal = this.world.getComponent(entityId, COMPONENT_TYPES.SIGNAL);
       const residue = this.world.getComponent(entityId, COMPONENT_TYPES.RESIDUE);
-      state.set(residue.index, { on: signal.on, source: signal.source });
+      state.set(residue.index, { on: signal.on, source: signal.source, strength: getSignalStrength(signal) });
     }
 
-    return { ...result, state };
+    return { ...result, gates, state };
+  }
+
+  /**
+   * Compute exact ON probabilities for every entity instead of sampling
+   * Uses the current bindings, ATP and signal config; nothing is consumed.
+   * @param {Object} options - See computeSignalProbabilities in physics/signal.js
+   * @param {Set} options.atpPositions - Limit gates to ATP at these "q,r" strings (default: all ATP)
+   * @returns {Object} {byStep: Map[], limit: Map|null, converged, stepsToConverge, states},
+   *   each Map entity index -> probability
+   */
+  computeSignalProbabilities(options = {}) {
+    const { atpPositions = null, ...chainOptions } = options;
+    const residues = this.getEntities().map(({ index, type, q, r }) => ({ index, type, q, r }));
+
+    return computeSignalProbabilitiesPure(residues, {
+      ...chainOptions,
+      boundPairs: this.findBindings(),
+      atpPositions: this._availableATP(atpPositions),
+      config: this._getSignalConfig()
+    });
+  }
+
+  /**
+   * ATP that gates may reserve: real ATP molecules, optionally limited to a set of hexes
+   * @param {Set|null} limit - "q,r" strings, or null for all ATP
+   * @returns {Set} Set of "q,r" strings
+   * @private
+   */
+  _availableATP(limit) {
+    const positions = this.getATPPositions();
+    if (!limit) return positions;
+    return new Set([...limit].filter(key => positions.has(key)));
+  }
+
+  /**
+   * Consume the ATP reserved by gates during signal propagation
+   * @param {Array} reservations - [{gate, type, atp: "q,r"}, ...]
+   * @returns {Array} [{gate, type, atp: {q, r, moleculeId}}, ...]
+   * @private
+   */
+  _consumeReservedATP(reservations = []) {
+    return reservations.map(({ gate, type, atp }) => {
+      const [q, r] = atp.split(',').map(Number);
+      const { moleculeId } = this.getAt(q, r);
+      this.consumeATPAt(q, r);
+      return { gate, type, atp: { q, r, moleculeId } };
+    });
   }
 
   /**
    * Get current signal state for an entity
    * @param {number} index - Entity index
-   * @returns {Object|null} {on: boolean, source: boolean}
+   * @returns {Object|null} {on: boolean, source: boolean, strength: number}
    */
   getSignalState(index) {
     // Find entity with this residue index
@@ -659,7 +1467,7 @@ export class Complex {
       const residue = this.world.getComponent(entityId, COMPONENT_TYPES.RESIDUE);
       if (residue.index === index) {
         const signal = this.world.getComponent(entityId, COMPONENT_TYPES.SIGNAL);
-        return { on: signal.on, source: signal.source };
+        return { on: signal.on, source: signal.source, strength: getSignalStrength(signal) };
       }
     }
     return null;
@@ -681,22 +1489,223 @@ export class Complex {
 
   /**
    * Process all ATR (Attractor) residues
-   * When signaled, ATR has a chance to spawn ATP in an adjacent empty hex.
-   *
-   * TODO: Currently ATP supply is infinite. In future, implement finite ATP pools.
+   * When signaled, ATR has a chance to draw ATP from the local concentration
+   * field into an adjacent empty hex.
    *
    * @param {Object} options
    * @param {number} options.attractChance - Probability of attraction per tick (default 0.75)
-   * @param {Function} options.randomFn - Random function for testing (default Math.random)
+   * @param {Function} options.randomFn - Random function (default: the complex's seeded RNG)
    * @returns {Object} { attracted: [{moleculeId, q, r}, ...], count: number }
    */
   processATRs(options = {}) {
     const {
       attractChance = 0.75,
-      randomFn = Math.random
+      randomFn = this.random
+    } = options;
+
+    // Run attractor system via scheduler
+    return this.scheduler.runSystem('attractors', {
+      signalState: this._buildSignalState(),
+      attractChance,
+      randomFn,
+      ...this._actuatorCallbacks().attractors
+    });
+  }
+
+  /**
+   * Process all PSH (Push) residues
+   * When signaled with adjacent ATP, PSH translates an adjacent molecule one
+   * hex along the pusher's backbone direction and consumes the ATP.
+   * Pushes that would overlap another molecule are rejected.
+   *
+   * @returns {Object} { pushed: [{pshIndex, moleculeId, direction, delta, atp}, ...], blocked: [...], count: number }
+   */
+  processPSHs() {
+    return this.scheduler.runSystem('push', {
+      signalState: this._buildSignalState(),
+      ...this._actuatorCallbacks().push
+    });
+  }
+
+  /**
+   * Process all EJT (Eject) residues
+   * When signaled with adjacent ATP, EJT breaks the bindings to an adjacent
+   * molecule and moves that molecule straight away until it is out of contact.
+   *
+   * @param {Object} options
+   * @param {number} options.maxDistance - Furthest an ejected molecule may travel (default 8)
+   * @returns {Object} { ejected: [{ejtIndex, moleculeId, delta, brokenBindings, ...}, ...], blocked: [...], count: number }
+   */
+  processEJTs(options = {}) {
+    const { maxDistance = 8 } = options;
+
+    return this.scheduler.runSystem('eject', {
+      signalState: this._buildSignalState(),
+      maxDistance,
+      ...this._actuatorCallbacks().eject
+    });
+  }
+
+  /**
+   * Process all RPF (RNA-Polymerase-Function) residues
+   * A signaled RPF next to a DNA base and ATP appends the complementary RNA
+   * nucleotide (T→U) to its growing RNA molecule, consumes the ATP and
+   * advances the polymerase one base along the template.
+   *
+   * @param {Object} options
+   * @param {boolean} options.advance - Move the polymerase after each nucleotide (default true)
+   * @returns {Object} { transcribed: [{rpfIndex, moleculeId, base, q, r, ...}, ...], blocked: [...], count: number }
+   */
+  processRPFs(options = {}) {
+    const { advance = true } = options;
+
+    return this.scheduler.runSystem('transcription', {
+      signalState: this._buildSignalState(),
+      advance,
+      ...this._actuatorCallbacks().transcription
+    });
+  }
+
+  /**
+   * Process all PBF (Peptide-Bond-Former) residues
+   * A signaled PBF next to mRNA and ATP reads the next codon and extends its
+   * growing protein by one residue. Translation starts at the first start
+   * codon downstream of the PBF and a stop codon releases the protein.
+   *
+   * @param {Object} options
+   * @param {Object} options.codonTable - Codon table data (default: the complex's table)
+   * @returns {Object} { translated: [{pbfIndex, moleculeId, codon, residue, q, r, atp}, ...], released: [...], count: number }
+   */
+  processPBFs(options = {}) {
+    const codonTable = loadCodonTable(options.codonTable ?? this.getCodonTable());
+
+    return this.scheduler.runSystem('translation', {
+      signalState: this._buildSignalState(),
+      codonTable,
+      ...this._actuatorCallbacks().translation
+    });
+  }
+
+  /**
+   * Callbacks each actuator system uses to change the complex
+   * Keyed by system name, so they can be passed as scheduler overrides.
+   * @private
+   * @returns {Object} {attractors, push, eject, transcription, translation}
+   */
+  _actuatorCallbacks() {
+    const move = (moleculeId, dq, dr) => this._translateMolecule(moleculeId, dq, dr);
+    const consumeATP = (q, r) => this.consumeATPAt(q, r);
+    const extend = (moleculeId, type, q, r) => this.appendToMolecule(moleculeId, type, q, r);
+
+    return {
+      attractors: {
+        onSpawnATP: (q, r) => {
+          const atpMol = Molecule.createATP({ randomFn: this.random });
+          this.addMolecule(atpMol, { offset: { q, r } });
+          return { moleculeId: atpMol.id };
+        }
+      },
+      push: { onPush: move, onConsumeATP: consumeATP },
+      eject: { onMove: move, onConsumeATP: consumeATP },
+      transcription: {
+        onStartChain: (base, q, r) => {
+          const rna = Molecule.createRNA(base, { randomFn: this.random });
+          this.addMolecule(rna, { offset: { q, r } });
+          return rna.id;
+        },
+        onExtendChain: extend,
+        onMove: (moleculeId, dq, dr) => this._translateMolecule(moleculeId, dq, dr, { collision: 'push' }),
+        onConsumeATP: consumeATP
+      },
+      translation: {
+        onStartChain: (residue, q, r) => {
+          const protein = Molecule.createProtein([residue], { randomFn: this.random });
+          this.addMolecule(protein, { offset: { q, r } });
+          return protein.id;
+        },
+        onExtendChain: extend,
+        onConsumeATP: consumeATP
+      }
+    };
+  }
+
+  /**
+   * Apply one tick of Brownian motion
+   * Each free molecule, or group of molecules held together by bindings or
+   * base pairing, may step one hex or rotate 60° as a rigid body. Moves are
+   * rarer for larger groups and colder complexes, and moves that would
+   * collide with other molecules are rejected.
+   *
+   * @param {Object} options
+   * @param {number} options.temperature - Temperature in K (default room temperature)
+   * @param {number} options.translationRate - Translation chance per tick for one residue at room temperature (default 0.5)
+   * @param {number} options.rotationRate - Rotation chance per tick for one residue at room temperature (default 0.25)
+   * @param {Set|string[]} options.anchored - Molecule IDs that stay put
+   * @param {Function} options.randomFn - Random function (default: the complex's seeded RNG)
+   * @returns {Object} { moved: [{molecules, motion, ...}, ...], blocked: [...], count: number }
+   */
+  processBrownianMotion(options = {}) {
+    const {
+      temperature,
+      translationRate,
+      rotationRate,
+      anchored = [],
+      randomFn = this.random
     } = options;
 
-    // Build signal state from SignalComponents
+    return this.scheduler.runSystem('brownian', {
+      temperature,
+      translationRate,
+      rotationRate,
+      anchored: new Set(anchored),
+      randomFn,
+      onMove: moves => this.moveMolecules(moves)
+    });
+  }
+
+  /**
+   * Set the codon table used for translation
+   * @param {Object|string} table - Codon table data or JSON (see data/codon-table.js)
+   * @throws {Error} If the table is invalid
+   */
+  setCodonTable(table) {
+    const data = typeof table === 'string' ? JSON.parse(table) : table;
+    loadCodonTable(data); // Validate before storing
+    const config = this.world.getComponent(this._configEntityId, COMPONENT_TYPES.CONFIG);
+    config.codonTable = data;
+  }
+
+  /**
+   * Get the codon table data used for translation
+   * @returns {Object}
+   */
+  getCodonTable() {
+    const config = this.world.getComponent(this._configEntityId, COMPONENT_TYPES.CONFIG);
+    return config.codonTable ?? STANDARD_CODON_TABLE;
+  }
+
+  /**
+   * Translate a molecule by a hex delta
+   * @private
+   * @param {string} moleculeId
+   * @param {number} dq
+   * @param {number} dr
+   * @param {Object} options - Passed to setMoleculePosition
+   * @returns {Object|null} {placed, conflicts, pushed} as from setMoleculePosition,
+   *   or null if the molecule is not in the complex
+   */
+  _translateMolecule(moleculeId, dq, dr, options = {}) {
+    const entry = this.getEntry(moleculeId);
+    if (!entry) return null;
+    return this.setMoleculePosition(moleculeId, entry.offset.q + dq, entry.offset.r + dr, undefined, options);
+  }
+
+  /**
+   * Build signal state from SignalComponents
+   * @private
+   * @returns {Map} residueIndex -> {on, source}
+   */
+  _buildSignalState() {
     const signalState = new Map();
     const entityIds = this.world.query([COMPONENT_TYPES.SIGNAL, COMPONENT_TYPES.RESIDUE]);
     for (const entityId of entityIds) {
@@ -704,18 +1713,7 @@ export class Complex {
       const residue = this.world.getComponent(entityId, COMPONENT_TYPES.RESIDUE);
       signalState.set(residue.index, { on: signal.on, source: signal.source });
     }
-
-    // Run attractor system via scheduler
-    return this.scheduler.runSystem('attractors', {
-      signalState,
-      attractChance,
-      randomFn,
-      onSpawnATP: (q, r) => {
-        const atpMol = Molecule.createATP();
-        this.addMolecule(atpMol, { offset: { q, r } });
-        return { moleculeId: atpMol.id };
-      }
-    });
+    return signalState;
   }
 
   /**
@@ -738,16 +1736,207 @@ export class Complex {
   }
 
   /**
-   * Remove ATP molecule at a specific position (when consumed)
+   * Get all ADP positions in this complex
+   * @returns {Set} Set of "q,r" strings
+   */
+  getADPPositions() {
+    const positions = new Set();
+    for (const { position } of queryADP(this.world)) {
+      positions.add(`${position.q},${position.r}`);
+    }
+    return positions;
+  }
+
+  /**
+   * Consume the ATP molecule at a position
+   * The hex heats up and the spent ADP is released in the same hex, or in
+   * the first free neighbor if a machine has already moved into it.
    * @param {number} q
    * @param {number} r
-   * @returns {boolean} True if ATP was removed
+   * @returns {boolean} True if ATP was consumed
    */
   consumeATPAt(q, r) {
+    const atp = queryATP(this.world)
+      .find(({ position }) => position.q === q && position.r === r);
+    if (!atp) return false;
+
+    this.addHeat(q, r, ENERGY_CONSTANTS.ATP_HEAT);
+    this.removeMolecule(atp.position.moleculeId);
+
+    const site = [{ q, r }, ...getNeighbors(q, r)].find(hex => !this.isOccupied(hex.q, hex.r));
+    if (site) {
+      this.addMolecule(Molecule.createADP({ randomFn: this.random }), { offset: site });
+    }
+    return true;
+  }
+
+  /**
+   * Recharge the ADP molecule at a position back into ATP
+   * @param {number} q
+   * @param {number} r
+   * @returns {boolean} True if ADP was recharged
+   */
+  regenerateATPAt(q, r) {
     const entity = this.getAt(q, r);
-    if (!entity || entity.type !== 'ATP') return false;
+    if (!entity || entity.type !== 'ADP') return false;
 
-    return this.removeMolecule(entity.moleculeId);
+    this.removeMolecule(entity.moleculeId);
+    this.addMolecule(Molecule.createATP({ randomFn: this.random }), { offset: { q, r } });
+    return true;
+  }
+
+  // ===========================================================================
+  // ATP SUPPLY
+  // ===========================================================================
+
+  /**
+   * Get the free ATP concentration at a hex (what ATR draws from)
+   * @param {number} q
+   * @param {number} r
+   * @returns {number} Concentration (1 = one ATP available)
+   */
+  getATPConcentration(q, r) {
+    return getATPConcentrationECS(this.world, q, r);
+  }
+
+  /**
+   * Get the bulk ATP concentration the field relaxes toward
+   * @returns {number}
+   */
+  getATPBaseline() {
+    return findATPField(this.world).baseline;
+  }
+
+  /**
+   * Set the bulk ATP concentration (0 = closed system)
+   * @param {number} baseline
+   */
+  setATPBaseline(baseline) {
+    findATPField(this.world).baseline = baseline;
+  }
+
+  /**
+   * Add an ATP regeneration site
+   * @param {number} q
+   * @param {number} r
+   * @param {number} rate - ATP regenerated per tick (default 1)
+   * @returns {number} Entity ID of the site
+   */
+  addATPSource(q, r, rate = 1) {
+    const entityId = this.world.createEntity();
+    this.world.addComponent(entityId, COMPONENT_TYPES.ATP_SOURCE, createATPSourceComponent(q, r, rate));
+    return entityId;
+  }
+
+  /**
+   * Remove the ATP regeneration site at a hex
+   * @param {number} q
+   * @param {number} r
+   * @returns {boolean} True if a site was removed
+   */
+  removeATPSource(q, r) {
+    for (const entityId of this.world.query([COMPONENT_TYPES.ATP_SOURCE])) {
+      const source = this.world.getComponent(entityId, COMPONENT_TYPES.ATP_SOURCE);
+      if (source.q === q && source.r === r) {
+        this.world.destroyEntity(entityId);
+        return true;
+      }
+    }
+    return false;
+  }
+
+  /**
+   * Get all ATP regeneration sites
+   * @returns {Array} [{q, r, rate}, ...]
+   */
+  getATPSources() {
+    return this.world.query([COMPONENT_TYPES.ATP_SOURCE])
+      .map(entityId => ({ ...this.world.getComponent(entityId, COMPONENT_TYPES.ATP_SOURCE) }));
+  }
+
+  /**
+   * Run one tick of ATP supply: regeneration sites, then field diffusion
+   * @param {Object} options
+   * @param {number} options.diffusionRate - Exchange fraction per neighbor per tick
+   * @param {number} options.exchangeRate - Fraction of the difference from bulk restored per tick
+   * @returns {Object} {regenerated: [{q, r, source}], supplied: number, count: number}
+   */
+  processATPSupply(options = {}) {
+    return this.scheduler.runSystem('atp', {
+      ...options,
+      onRegenerate: (q, r) => this.regenerateATPAt(q, r)
+    });
+  }
+
+  // ===========================================================================
+  // TEMPERATURE FIELD
+  // ===========================================================================
+
+  /**
+   * Get the temperature at a hex
+   * @param {number} q
+   * @param {number} r
+   * @returns {number} Temperature in K
+   */
+  getTemperatureAt(q, r) {
+    return getTemperatureAtECS(this.world, q, r);
+  }
+
+  /**
+   * Add heat at a hex
+   * @param {number} q
+   * @param {number} r
+   * @param {number} amount - Temperature rise in K (negative cools)
+   * @returns {number} New temperature at the hex
+   */
+  addHeat(q, r, amount) {
+    return addHeatECS(this.world, q, r, amount);
+  }
+
+  /**
+   * Get the ambient (background) temperature
+   * @returns {number} Temperature in K
+   */
+  getAmbientTemperature() {
+    return this.world.getComponent(this._temperatureEntityId, COMPONENT_TYPES.TEMPERATURE_FIELD).ambient;
+  }
+
+  /**
+   * Set the ambient temperature that heat dissipates toward
+   * @param {number} temperature - Temperature in K
+   */
+  setAmbientTemperature(temperature) {
+    this.world.getComponent(this._temperatureEntityId, COMPONENT_TYPES.TEMPERATURE_FIELD).ambient = temperature;
+  }
+
+  /**
+   * Run one tick of heat diffusion and dissipation
+   * @param {Object} options
+   * @param {number} options.diffusionRate - Exchange fraction per neighbor per tick
+   * @param {number} options.dissipationRate - Fraction of excess heat lost per tick
+   * @returns {Object} {cells: number, maxTemperature: number}
+   */
+  processHeat(options = {}) {
+    return this.scheduler.runSystem('heat', options);
+  }
+
+  /**
+   * Get the local temperature of each residue in a molecule
+   * @param {string} moleculeId
+   * @returns {number[]} Temperature in K, in chain order
+   */
+  getResidueTemperatures(moleculeId) {
+    return getResidueTemperaturesECS(this.world, moleculeId);
+  }
+
+  /**
+   * Get residues of a molecule that are too hot to keep their folding preference
+   * @param {string} moleculeId
+   * @param {number} threshold - Denaturation temperature in K
+   * @returns {Set} Chain positions of denatured residues
+   */
+  getDenaturedResidues(moleculeId, threshold = ENERGY_CONSTANTS.DENATURATION_TEMPERATURE) {
+    return findDenaturedResidues(this.getResidueTemperatures(moleculeId), threshold);
   }
 
   // ===========================================================================
@@ -791,32 +1980,285 @@ export class Complex {
 
   /**
    * Update a fold state for a molecule
+   * If the new shape would overlap, the fold is left unchanged (or, with
+   * the 'push' policy, the molecules in the way are moved aside).
    * @param {string} moleculeId
    * @param {number} index
    * @param {number} steps
+   * @param {Object} options
+   * @param {string} options.collision - 'reject' (default) or 'push' (see COLLISION_POLICIES)
+   * @returns {Object|null} {placed, conflicts, pushed} (see moveMolecules), or null if the molecule is not here
    */
-  setFold(moleculeId, index, steps) {
+  setFold(moleculeId, index, steps, options = {}) {
     const entry = this.getEntry(moleculeId);
-    if (!entry) return;
+    if (!entry) return null;
+
+    const { molecule } = entry;
+    const previous = molecule.getFoldAt(index);
+    molecule.setFoldAt(index, steps);
+
+    // Undo the fold unless the new shape is placed, including when this throws
+    let result = null;
+    try {
+      const layout = this._layoutMolecule(molecule, entry.offset, entry.direction);
+      result = this._resolveCollisions([{ molecule, layout }], options);
+    } finally {
+      if (!result?.placed) {
+        molecule.setFoldAt(index, previous);
+      }
+    }
+    if (!result.placed) return result;
+
+    // Move the residues to the new shape
+    this._relayoutMolecule(molecule, entry.offset, entry.direction);
+    return result;
+  }
 
-    // Update molecule's fold state
-    entry.molecule.setFoldAt(index, steps);
+  /**
+   * Simulate folding kinetics for a protein (Gillespie / kinetic Monte Carlo)
+   * Each step samples one bend transition by rate from buildTransitionMatrix
+   * and applies it with setFold. Transitions that would overlap the protein
+   * itself or another molecule in the complex are never chosen.
+   * Energies are scored in context: charges, burial and BTx-nucleotide
+   * binding from the other molecules count, so binding DNA can hold a
+   * protein in a conformation it would not adopt on its own.
+   *
+   * @param {string} moleculeId
+   * @param {Object} options
+   * @param {number} options.steps - Maximum number of transitions (default 100)
+   * @param {number} options.temperature - Uniform temperature in K (default: local temperature field)
+   * @param {number} options.time - Simulated start time (default 0)
+   * @param {Function} options.randomFn - Random function (default: the complex's seeded RNG)
+   * @returns {Object} { trajectory: [{time, energy, foldStates, transition}, ...], time, energy, count }
+   * @throws {Error} If the molecule is missing or is not a protein
+   */
+  simulateFolding(moleculeId, options = {}) {
+    const {
+      steps = 100,
+      temperature,
+      time = 0,
+      randomFn = this.random
+    } = options;
 
-    // Recreate entities for this molecule (positions will change)
-    const positions = this.world.getComponents(COMPONENT_TYPES.POSITION);
-    const entitiesToDestroy = [];
+    return this.scheduler.runSystem('folding', {
+      moleculeId,
+      steps,
+      temperature,
+      time,
+      randomFn,
+      onSetFold: (id, index, foldSteps) => this.setFold(id, index, foldSteps)
+    });
+  }
 
-    for (const [entityId, position] of positions) {
-      if (position.moleculeId === moleculeId) {
-        entitiesToDestroy.push(entityId);
+  // ===========================================================================
+  // SIMULATION TICK
+  // ===========================================================================
+
+  /**
+   * Advance the simulation by one game tick
+   * Runs the scheduler phases in order:
+   *   binding → signals → actuators → motion → folding → heat → energy
+   *
+   * Signals advance one propagation step per tick (stepped mode) and carry
+   * over between ticks, including for molecules that were moved or refolded.
+   * Everything carried between ticks is saved by toJSON.
+   * ATP used by gates is consumed. New bindings and consumed ATP heat the
+   * temperature field, which then diffuses once per tick. The energy phase
+   * also runs ATP regeneration sites and diffuses the ATP field.
+   *
+   * @param {Object} options
+   * @param {boolean} options.stepped - One signal step per tick (default true); false runs to steady state
+   * @param {number} options.attractChance - ATR attraction probability (default 0.75)
+   * @param {boolean} options.motion - Apply Brownian motion (default true)
+   * @param {Set|string[]} options.anchored - Molecule IDs Brownian motion leaves in place
+   * @param {boolean} options.fold - Run folding kinetics on proteins (default true)
+   * @param {number} options.temperature - Uniform temperature in K for motion and folding
+   *   (default: room temperature for motion, the local temperature field for folding)
+   * @param {number} options.tickDuration - Simulated folding time per tick (default 1)
+   * @param {Function} options.randomFn - Random function (default: the complex's seeded RNG)
+   * @returns {Object} { tick, time, bindings, signals, actuators, motion, folding, heat, energy, atp, events: [...] }
+   */
+  step(options = {}) {
+    const {
+      stepped = true,
+      attractChance = 0.75,
+      motion = true,
+      anchored = [],
+      fold = true,
+      temperature,
+      tickDuration = 1,
+      randomFn = this.random
+    } = options;
+
+    const state = this._tickState;
+    const events = [];
+
+    // Phase 1: binding detection
+    const { bindings } = this.scheduler.runPhase('binding').get('binding');
+    const chainPositions = this._chainPositions();
+    for (const [index, nucleotide] of bindings) {
+      if (!state.bindings?.has(index)) {
+        const { moleculeId, residue, entityId } = chainPositions.get(index);
+        const { q, r } = this.world.getComponent(entityId, COMPONENT_TYPES.POSITION);
+        this.addHeat(q, r, ENERGY_CONSTANTS.BINDING_HEAT);
+        events.push({ phase: 'binding', type: 'bound', moleculeId, residue, index, nucleotide });
+      }
+    }
+    for (const [index, { moleculeId, residue, nucleotide }] of state.bindings || []) {
+      if (!bindings.has(index)) {
+        events.push({ phase: 'binding', type: 'unbound', moleculeId, residue, nucleotide });
       }
     }
 
-    for (const entityId of entitiesToDestroy) {
-      this.world.destroyEntity(entityId);
+    // Phase 2: signals (gates consume the ATP they use)
+    const before = this._buildSignalState();
+    const signalResult = this.scheduler.runPhase('signals', {
+      boundPairs: bindings,
+      atpPositions: this.getATPPositions(),
+      config: this._getSignalConfig(),
+      stepped,
+      randomFn
+    }).get('signal');
+    const signals = { ...signalResult, gates: this._consumeReservedATP(signalResult.atpReservations) };
+
+    for (const { gate, atp } of signals.gates) {
+      events.push({ phase: 'signals', type: 'atp_consumed', q: atp.q, r: atp.r, gate });
+    }
+    for (const [index, signal] of this._buildSignalState()) {
+      if (signal.on !== (before.get(index)?.on ?? false)) {
+        events.push({ phase: 'signals', type: signal.on ? 'signal_on' : 'signal_off', index });
+      }
+    }
+
+    // Phase 3: actuators
+    const actuatorResults = this.scheduler.runPhase('actuators', {
+      signalState: this._buildSignalState(),
+      attractChance,
+      randomFn,
+      systems: this._actuatorCallbacks()
+    });
+    const actuators = {};
+    for (const [system, result] of actuatorResults) {
+      actuators[system] = result;
+      for (const [type, items] of Object.entries(result)) {
+        if (!Array.isArray(items)) continue;
+        for (const item of items) {
+          events.push({ ...item, phase: 'actuators', system, type });
+        }
+      }
+    }
+
+    // Phase 4: Brownian motion
+    let motionResult = { moved: [], blocked: [], count: 0 };
+    if (motion) {
+      motionResult = this.scheduler.runPhase('motion', {
+        temperature,
+        anchored: new Set(anchored),
+        randomFn,
+        onMove: moves => this.moveMolecules(moves)
+      }).get('brownian');
+      for (const item of motionResult.moved) {
+        events.push({ ...item, phase: 'motion', type: 'moved' });
+      }
+    }
+
+    // Phase 5: folding kinetics, one tick of simulated time per protein
+    const folding = [];
+    if (fold) {
+      const proteins = this.molecules.filter(m => m.type === 'protein' && m.length >= 3);
+      for (const protein of proteins) {
+        const result = this.scheduler.runPhase('folding', {
+          moleculeId: protein.id,
+          steps: Infinity,
+          time: state.time,
+          duration: tickDuration,
+          temperature,
+          randomFn,
+          onSetFold: (id, index, foldSteps) => this.setFold(id, index, foldSteps)
+        }).get('folding');
+
+        folding.push({ moleculeId: protein.id, ...result });
+        for (const entry of result.trajectory.slice(1)) {
+          events.push({ phase: 'folding', type: 'fold', moleculeId: protein.id, time: entry.time, ...entry.transition });
+        }
+      }
+    }
+
+    // Phase 6: heat diffusion
+    const heat = this.scheduler.runPhase('heat').get('heat');
+
+    // Phase 7: energy bookkeeping and ATP supply
+    const finalBindings = this.findBindings();
+    const energyResults = this.scheduler.runPhase('energy', {
+      bindings: finalBindings,
+      onRegenerate: (q, r) => this.regenerateATPAt(q, r)
+    });
+    const { energy } = energyResults.get('energy');
+    const atp = energyResults.get('atp');
+    for (const { q, r } of atp.regenerated) {
+      events.push({ phase: 'energy', type: 'atp_regenerated', q, r });
+    }
+
+    // Carry state into the next tick
+    const finalPositions = this._chainPositions();
+    state.bindings = new Map([...finalBindings].map(([index, nucleotide]) => {
+      const { moleculeId, residue } = finalPositions.get(index);
+      return [index, { moleculeId, residue, nucleotide }];
+    }));
+    state.tick++;
+    state.time += tickDuration;
+
+    return {
+      tick: state.tick,
+      time: state.time,
+      bindings,
+      signals,
+      actuators,
+      motion: motionResult,
+      folding,
+      heat,
+      energy,
+      atp,
+      events
+    };
+  }
+
+  /**
+   * Advance the simulation by several ticks
+   * @param {number} ticks - Number of ticks to run
+   * @param {Object} options - Options passed to step()
+   * @returns {Object[]} One step() record per tick
+   */
+  run(ticks, options = {}) {
+    const log = [];
+    for (let i = 0; i < ticks; i++) {
+      log.push(this.step(options));
     }
+    return log;
+  }
 
-    this._createMoleculeEntities(entry.molecule, entry.offset, entry.direction);
+  /**
+   * Number of ticks run by step()
+   * @returns {number}
+   */
+  get tick() {
+    return this._tickState.tick;
+  }
+
+  /**
+   * Molecule and chain position of every residue
+   * Events and saves name residues this way; global indices are reassigned on load.
+   * @private
+   * @returns {Map} globalIndex -> {moleculeId, residue, entityId}
+   */
+  _chainPositions() {
+    const positions = new Map();
+    for (const { molecule } of this.entries) {
+      this._getMoleculeResidues(molecule.id).forEach(({ entityId, index }, residue) => {
+        positions.set(index, { moleculeId: molecule.id, residue, entityId });
+      });
+    }
+    return positions;
   }
 
   // ===========================================================================
@@ -835,17 +2277,96 @@ export class Complex {
         offset: e.offset,
         direction: e.direction
       })),
-      signalConfig: this._getSignalConfig()
+      seed: this.seed,
+      rngState: this.rng.getState(),
+      shapeBonds: this.getShapeBonds(),
+      temperatureField: {
+        ambient: this.getAmbientTemperature(),
+        cells: Object.fromEntries(
+          this.world.getComponent(this._temperatureEntityId, COMPONENT_TYPES.TEMPERATURE_FIELD).cells
+        )
+      },
+      atpField: {
+        baseline: this.getATPBaseline(),
+        cells: Object.fromEntries(findATPField(this.world).cells)
+      },
+      atpSources: this.getATPSources(),
+      signalConfig: this._getSignalConfig(),
+      codonTable: this.world.getComponent(this._configEntityId, COMPONENT_TYPES.CONFIG).codonTable,
+      tickState: this._serializeTickState()
+    };
+  }
+
+  /**
+   * State step() carries between ticks, plus every residue's signal
+   * @private
+   * @returns {Object} {tick, time, bindings: [{moleculeId, residue, nucleotide}] or null,
+   *   signals: [{moleculeId, residue, on, source, strength, history}]}
+   */
+  _serializeTickState() {
+    const { tick, time, bindings } = this._tickState;
+    const signals = [];
+    for (const { moleculeId, residue, entityId } of this._chainPositions().values()) {
+      const signal = this.world.getComponent(entityId, COMPONENT_TYPES.SIGNAL);
+      if (!signal) continue;
+      const { on, source, strength, history } = signal;
+      signals.push({ moleculeId, residue, on, source, strength, ...(history && { history: [...history] }) });
+    }
+
+    return {
+      tick,
+      time,
+      bindings: bindings === null ? null : [...bindings.values()].map(binding => ({ ...binding })),
+      signals
     };
   }
 
+  /**
+   * Restore what _serializeTickState saved
+   * @private
+   * @param {Object} data - From _serializeTickState()
+   */
+  _restoreTickState(data) {
+    const chains = new Map();
+    const residueAt = (moleculeId, residue) => {
+      if (!chains.has(moleculeId)) {
+        chains.set(moleculeId, this._getMoleculeResidues(moleculeId));
+      }
+      return chains.get(moleculeId)[residue];
+    };
+
+    for (const { moleculeId, residue, on, source, strength, history } of data.signals || []) {
+      const entity = residueAt(moleculeId, residue);
+      const signal = entity && this.world.getComponent(entity.entityId, COMPONENT_TYPES.SIGNAL);
+      if (!signal) continue;
+
+      signal.on = on;
+      signal.source = source;
+      signal.strength = strength;
+      if (history) {
+        signal.history = [...history];
+      }
+    }
+
+    let bindings = null;
+    if (data.bindings) {
+      bindings = new Map();
+      for (const binding of data.bindings) {
+        const entity = residueAt(binding.moleculeId, binding.residue);
+        if (entity) bindings.set(entity.index, { ...binding });
+      }
+    }
+
+    this._tickState = { tick: data.tick ?? 0, time: data.time ?? 0, bindings };
+  }
+
   /**
    * Create Complex from serialized data
    * @param {Object} data
    * @returns {Complex}
    */
   static fromJSON(data) {
-    const complex = new Complex({ id: data.id });
+    const complex = new Complex({ id: data.id, seed: data.seed });
 
     for (const entryData of data.entries) {
       const molecule = Molecule.fromJSON(entryData.molecule);
@@ -855,10 +2376,44 @@ export class Complex {
       });
     }
 
+    for (const bond of data.shapeBonds || []) {
+      complex.world.addComponent(complex.world.createEntity(), COMPONENT_TYPES.SHAPE_BOND,
+        createShapeBondComponent(bond.moleculeA, bond.moleculeB, bond.strength));
+    }
+
+    if (data.temperatureField) {
+      complex.setAmbientTemperature(data.temperatureField.ambient);
+      for (const [key, temperature] of Object.entries(data.temperatureField.cells)) {
+        const [q, r] = key.split(',').map(Number);
+        complex.addHeat(q, r, temperature - data.temperatureField.ambient);
+      }
+    }
+
+    if (data.atpField) {
+      complex.setATPBaseline(data.atpField.baseline);
+      findATPField(complex.world).cells = new Map(Object.entries(data.atpField.cells));
+    }
+
+    for (const source of data.atpSources || []) {
+      complex.addATPSource(source.q, source.r, source.rate);
+    }
+
     if (data.signalConfig) {
       complex.setSignalConfig(data.signalConfig);
     }
 
+    if (data.codonTable) {
+      complex.setCodonTable(data.codonTable);
+    }
+
+    // Resume the run where it was saved: RNG, tick state and signals
+    if (data.rngState !== undefined) {
+      complex.rng.setState(data.rngState);
+    }
+    if (data.tickState) {
+      complex._restoreTickState(data.tickState);
+    }
+
     return complex;
   }
 
@@ -869,12 +2424,12 @@ export class Complex {
   /**
    * Create a Complex with a single protein
    * @param {string|string[]} sequence
-   * @param {Object} options
+   * @param {Object} options - Molecule options, plus optional seed for the complex
    * @returns {Complex}
    */
   static fromProtein(sequence, options = {}) {
-    const mol = Molecule.createProtein(sequence, options);
-    const complex = new Complex();
+    const complex = new Complex({ seed: options.seed });
+    const mol = Molecule.createProtein(sequence, { randomFn: complex.random, ...options });
     complex.addMolecule(mol, {
       offset: options.offset,
       direction: options.direction
@@ -902,12 +2457,10 @@ export class Complex {
     const complement = isSingleStrand ? Complex._generateComplement(sequence) : complementOrOptions;
     const opts = isSingleStrand ? (complementOrOptions || {}) : options;
 
-    // Create both molecules
-    const strand1 = Molecule.createDNA(sequence, opts);
-    const strand2 = Molecule.createDNA(complement, opts);
-
-    // Create complex and add both strands
-    const complex = new Complex();
+    // Create complex, then both molecules (IDs come from the complex's RNG)
+    const complex = new Complex({ seed: opts.seed });
+    const strand1 = Molecule.createDNA(sequence, { randomFn: complex.random, ...opts });
+    const strand2 = Molecule.createDNA(complement, { randomFn: complex.random, ...opts });
 
     // Add first strand at specified position
     complex.addMolecule(strand1, {
@@ -915,11 +2468,19 @@ export class Complex {
       direction: opts.direction || 0
     });
 
-    // Add second strand adjacent (one row below in hex grid)
-    complex.addMolecule(strand2, {
-      offset: opts.offset ? { q: opts.offset.q, r: opts.offset.r + 1 } : { q: 0, r: 1 },
+    // Add second strand adjacent: one row below in hex grid, or one row
+    // above if a bend turns the first strand into the row below
+    const origin = opts.offset || { q: 0, r: 0 };
+    const below = {
+      offset: { q: origin.q, r: origin.r + 1 },
       direction: opts.direction || 0
-    });
+    };
+    const above = {
+      offset: { q: origin.q + 1, r: origin.r - 1 },
+      direction: opts.direction || 0
+    };
+    const fitsBelow = complex.findConflicts(strand2, below).length === 0;
+    complex.addMolecule(strand2, fitsBelow ? below : above);
 
     // Add base pairing components to link the strands
     complex._addBasePairing(strand1.id, strand2.id);
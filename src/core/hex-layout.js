@@ -346,6 +346,46 @@ function getNeighbors(q, r) {
   return neighbors;
 }
 
+/**
+ * Rotate a hex about a center in 60° steps
+ * Positive steps rotate clockwise, matching increasing direction indices,
+ * so a molecule rotated by k steps also has its direction increased by k.
+ * @param {number} q
+ * @param {number} r
+ * @param {number} steps - Number of 60° clockwise steps (may be negative)
+ * @param {Object} center - {q, r} to rotate about (default origin)
+ * @returns {Array} [newQ, newR]
+ */
+function rotateHex(q, r, steps, center = { q: 0, r: 0 }) {
+  let dq = q - center.q;
+  let dr = r - center.r;
+
+  // 60° clockwise in axial coordinates: (q, r) -> (-r, q + r)
+  const turns = ((steps % 6) + 6) % 6;
+  for (let i = 0; i < turns; i++) {
+    [dq, dr] = [-dr, dq + dr];
+  }
+
+  return [center.q + dq, center.r + dr];
+}
+
+/**
+ * Reflect a hex across a line through a center
+ * The line runs along direction `axis` (and its opposite), so direction d
+ * maps to direction 2·axis − d: left turns become right turns.
+ * @param {number} q
+ * @param {number} r
+ * @param {number} axis - Direction 0-5 the mirror line runs along
+ * @param {Object} center - {q, r} on the mirror line (default origin)
+ * @returns {Array} [newQ, newR]
+ */
+function reflectHex(q, r, axis, center = { q: 0, r: 0 }) {
+  // Turn the axis onto direction 0, mirror (q, r) -> (q + r, -r), turn back
+  const [dq, dr] = rotateHex(q - center.q, r - center.r, -axis);
+  const [mq, mr] = rotateHex(dq + dr, -dr, axis);
+  return [center.q + mq, center.r + mr];
+}
+
 /**
  * Calculate Manhattan (grid) distance between two hexes
  * This is the minimum number of hex steps to get from one hex to another
@@ -393,6 +433,8 @@ export {
   applyBend,
   moveInDirection,
   getNeighbors,
+  rotateHex,
+  reflectHex,
   hexManhattanDistance,
   hexEuclideanDistance
 };
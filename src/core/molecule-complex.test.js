@@ -1,6 +1,12 @@
 import { describe, test, expect } from '@jest/globals';
 import { Molecule } from './molecule.js';
 import { Complex } from './complex.js';
+import { ENERGY_CONSTANTS } from '../data/amino-acids.js';
+import { COMPONENT_TYPES } from '../ecs/components.js';
+import { reflectHex } from './hex-layout.js';
+import { processPSHs } from '../ecs/systems/pushSystem.js';
+import { processEJTs } from '../ecs/systems/ejectSystem.js';
+import { processRPFs } from '../ecs/systems/transcriptionSystem.js';
 
 // =============================================================================
 // MOLECULE TESTS
@@ -408,6 +414,97 @@ describe('Complex', () => {
       expect(complex.isSignaled(0)).toBe(false);
       expect(complex.isSignaled(1)).toBe(false);
     });
+
+    // INPUT: Two NOT gates (OFF inputs) on either side of one ATP
+    // EXPECTED: One gate fires and consumes that ATP; the other stays off
+    // WHY: Gate firing reserves a specific ATP, which the complex then spends
+    test('gates consume the ATP they reserve, one gate per ATP', () => {
+      const complex = new Complex();
+      complex.addMolecule(Molecule.createProtein('INP-NOT'), { offset: { q: 0, r: 0 } });
+      complex.addMolecule(Molecule.createProtein('NOT-INP'), { offset: { q: 3, r: 0 } });
+      const atp = Molecule.createATP();
+      complex.addMolecule(atp, { offset: { q: 2, r: 0 } });
+
+      const result = complex.computeSignals({ randomFn: () => 0 });
+
+      expect(result.gates).toEqual([{ gate: 1, type: 'NOT', atp: { q: 2, r: 0, moleculeId: atp.id } }]);
+      expect(complex.isSignaled(1)).toBe(true);
+      expect(complex.isSignaled(2)).toBe(false);
+      expect(complex.hasATPAt(2, 0)).toBe(false);
+      expect(complex.getADPPositions().has('2,0')).toBe(true);
+    });
+
+    // INPUT: Bound BTA feeding a delay line, computed one step at a time
+    // EXPECTED: DLY turns on at the fourth step
+    // WHY: Stepped mode keeps the delay line's history between calls
+    test('stepped mode carries delay line state between calls', () => {
+      const complex = new Complex();
+      complex.addMolecule(Molecule.createProtein('BTA-INP-DLY-OUT'), { offset: { q: 0, r: 0 } });
+      complex.addMolecule(Molecule.createDNA('A'), { offset: { q: 0, r: 1 } });
+
+      const outputs = [];
+      for (let step = 0; step < 4; step++) {
+        complex.computeSignals({ stepped: true, randomFn: () => 0 });
+        outputs.push(complex.isSignaled(2));
+      }
+
+      expect(outputs).toEqual([false, false, false, true]);
+      expect(complex.isSignaled(3)).toBe(true);
+    });
+
+    // INPUT: Same delay line with the signal config's delay set to 5
+    // EXPECTED: DLY turns on at the sixth step
+    // WHY: The delay is a per-complex signal setting, not fixed at 3
+    test('setSignalConfig sets the delay line length', () => {
+      const complex = new Complex();
+      complex.setSignalConfig({ delay: 5 });
+      complex.addMolecule(Molecule.createProtein('BTA-INP-DLY-OUT'), { offset: { q: 0, r: 0 } });
+      complex.addMolecule(Molecule.createDNA('A'), { offset: { q: 0, r: 1 } });
+
+      const outputs = [];
+      for (let step = 0; step < 6; step++) {
+        complex.computeSignals({ stepped: true, randomFn: () => 0 });
+        outputs.push(complex.isSignaled(2));
+      }
+
+      expect(outputs).toEqual([false, false, false, false, false, true]);
+    });
+
+    // INPUT: Analog mode selected through setSignalConfig, BTA-SIG-SIG bound
+    // EXPECTED: Strength drops along the wire and survives serialization settings
+    // WHY: Analog mode is a per-complex signal setting
+    test('setSignalConfig selects analog mode', () => {
+      const complex = new Complex();
+      complex.setSignalConfig({ SIG: 1.0, analog: true, attenuation: 0.8 });
+      complex.addMolecule(Molecule.createProtein('BTA-SIG-SIG'), { offset: { q: 0, r: 0 } });
+      complex.addMolecule(Molecule.createDNA('A'), { offset: { q: 0, r: 1 } });
+
+      const { state } = complex.computeSignals();
+
+      expect(state.get(1).strength).toBeCloseTo(0.8);
+      expect(state.get(2).strength).toBeCloseTo(0.64);
+      expect(complex.getSignalState(2)).toMatchObject({ on: true });
+
+      const restored = Complex.fromJSON(complex.toJSON());
+      expect(restored.computeSignals().state.get(2).strength).toBeCloseTo(0.64);
+    });
+
+    // INPUT: BTA-INP-AND-INP-BTG with both DNA bound and one ATP, AND at 0.75
+    // EXPECTED: Instant mode AND probability 0.75 (one roll: nothing else is
+    //           changing to give it a retry); the ATP is still there
+    // WHY: Exact probabilities follow the chain without consuming anything
+    test('computeSignalProbabilities uses current bindings and ATP', () => {
+      const complex = Complex.fromProtein('BTA-INP-AND-INP-BTG');
+      complex.setSignalConfig({ SIG: 1.0, AND: 0.75 });
+      complex.addMolecule(Molecule.createDNA('A'), { offset: { q: 0, r: 1 } });
+      complex.addMolecule(Molecule.createDNA('G'), { offset: { q: 4, r: 1 } });
+      complex.addMolecule(Molecule.createATP(), { offset: { q: 2, r: 1 } });
+
+      const { limit } = complex.computeSignalProbabilities({ instant: true });
+
+      expect(limit.get(2)).toBeCloseTo(0.75, 12);
+      expect(complex.getATPPositions().has('2,1')).toBe(true);
+    });
   });
 
   describe('Energy Calculations', () => {
@@ -476,6 +573,254 @@ describe('Complex', () => {
       expect(complex.getAt(1, 0)).toBeNull(); // No longer there
       expect(complex.getAt(1, -1).type).toBe('SIG'); // Moved here
     });
+
+    // INPUT: Signal a residue, then refold and move the protein
+    // EXPECTED: Same entity IDs and global indices; signal state and delay history kept
+    // WHY: Re-layout updates positions in place instead of recreating residues
+    test('setFold and setMoleculePosition keep residue identity', () => {
+      const complex = Complex.fromProtein('STR-SIG-STR');
+      const { world } = complex;
+      const molId = complex.molecules[0].id;
+      const residues = () => world.query([COMPONENT_TYPES.POSITION, COMPONENT_TYPES.RESIDUE])
+        .map(entityId => ({ entityId, index: world.getComponent(entityId, COMPONENT_TYPES.RESIDUE).index }));
+      const before = residues();
+
+      const sigId = world.getEntityAt(1, 0);
+      const signal = world.getComponent(sigId, COMPONENT_TYPES.SIGNAL);
+      signal.on = true;
+      signal.history = [true, false];
+
+      complex.setFold(molId, 0, 1);
+      complex.setMoleculePosition(molId, 3, 3);
+
+      expect(residues()).toEqual(before);
+      expect(world.getEntityAt(4, 2)).toBe(sigId);
+      expect(world.getComponent(sigId, COMPONENT_TYPES.SIGNAL))
+        .toEqual({ on: true, source: false, strength: 1.0, history: [true, false] });
+      expect(world.getComponent(before[0].entityId, COMPONENT_TYPES.RESIDUE).foldState).toBe(1);
+    });
+
+    // INPUT: Double-stranded DNA, one strand moved away and back
+    // EXPECTED: Base pairs still link the same entities
+    // WHY: BasePairing points at entity IDs, which no longer change
+    test('base pairing survives moving a strand', () => {
+      const complex = Complex.fromDNA('ACG');
+      const [strand] = complex.molecules;
+      const pairsBefore = complex.world.query(['BasePairing'])
+        .map(id => [id, complex.world.getComponent(id, 'BasePairing').pairedEntityId]);
+
+      complex.setMoleculePosition(strand.id, 0, -5);
+      complex.setMoleculePosition(strand.id, 0, 0);
+
+      const pairsAfter = complex.world.query(['BasePairing'])
+        .map(id => [id, complex.world.getComponent(id, 'BasePairing').pairedEntityId]);
+      expect(pairsAfter).toEqual(pairsBefore);
+      expect(complex.checkComplementarity().isComplementary).toBe(true);
+    });
+  });
+
+  describe('Collisions', () => {
+    // Protein STR-STR-STR on row 0, DNA 'AC' on row 2
+    function createCollisionSetup() {
+      const complex = new Complex();
+      const protein = Molecule.createProtein('STR-STR-STR');
+      const dna = Molecule.createDNA('AC');
+      complex.addMolecule(protein, { offset: { q: 0, r: 0 } });
+      complex.addMolecule(dna, { offset: { q: 0, r: 2 } });
+      return { complex, protein, dna };
+    }
+
+    function hexesAreUnique(complex) {
+      const hexes = complex.getEntities().map(e => `${e.q},${e.r}`);
+      return new Set(hexes).size === hexes.length;
+    }
+
+    // INPUT: Molecule placed across an occupied hex
+    // EXPECTED: findConflicts names the residue in the way; addMolecule throws and adds nothing
+    // WHY: The world must never hold two residues on one hex
+    test('addMolecule rejects occupied hexes', () => {
+      const { complex, protein } = createCollisionSetup();
+      const rna = Molecule.createRNA('AUG');
+
+      expect(complex.findConflicts(rna, { offset: { q: 1, r: -1 }, direction: 1 })).toEqual([
+        { q: 1, r: 0, moleculeId: protein.id, residue: 1, index: 1, type: 'STR' }
+      ]);
+      expect(() => complex.addMolecule(rna, { offset: { q: 1, r: -1 }, direction: 1 }))
+        .toThrow(/Cannot place molecule .*: \(1,0\) held by/);
+      expect(complex.molecules).toHaveLength(2);
+      expect(complex.size).toBe(5);
+    });
+
+    // INPUT: Move the DNA onto the protein
+    // EXPECTED: Not placed, conflicts listed, DNA still where it was
+    // WHY: Rejected moves leave the complex unchanged
+    test('setMoleculePosition reports conflicts and stays put', () => {
+      const { complex, protein, dna } = createCollisionSetup();
+
+      const result = complex.setMoleculePosition(dna.id, 1, 0);
+
+      expect(result.placed).toBe(false);
+      expect(result.conflicts.map(c => [c.moleculeId, c.residue])).toEqual([[protein.id, 1], [protein.id, 2]]);
+      expect(complex.getEntry(dna.id).offset).toEqual({ q: 0, r: 2 });
+      expect(complex.setMoleculePosition('missing', 0, 0)).toBeNull();
+    });
+
+    // INPUT: Bend the protein down into the DNA's row, then into itself
+    // EXPECTED: Neither fold applied; the self-overlap names the protein's own residue
+    // WHY: setFold checks the new shape before moving any residue
+    test('setFold rejects folds that overlap', () => {
+      const { complex, protein, dna } = createCollisionSetup();
+      complex.setMoleculePosition(dna.id, 0, 1);
+
+      const intoDNA = complex.setFold(protein.id, 0, -1);
+      expect(intoDNA.placed).toBe(false);
+      expect(intoDNA.conflicts[0].moleculeId).toBe(dna.id);
+      expect(protein.getFoldAt(0)).toBe(0);
+      expect(complex.getAt(2, 0).moleculeId).toBe(protein.id);
+
+      const long = Molecule.createProtein('STR-STR-STR-STR-STR-STR-STR', { foldStates: [0, 1, 1, 1, 1, 0, 0] });
+      complex.addMolecule(long, { offset: { q: 0, r: -5 } });
+      const intoItself = complex.setFold(long.id, 5, 1);
+      expect(intoItself.placed).toBe(false);
+      expect(intoItself.conflicts).toEqual([expect.objectContaining({ moleculeId: long.id, residue: 0 })]);
+      expect(hexesAreUnique(complex)).toBe(true);
+    });
+
+    // INPUT: Move the DNA onto the protein with the push policy
+    // EXPECTED: Protein pushed the shortest way clear; every hex holds one residue
+    // WHY: 'push' moves what is in the way instead of refusing
+    test('push policy moves blocking molecules aside', () => {
+      const { complex, protein, dna } = createCollisionSetup();
+
+      const result = complex.setMoleculePosition(dna.id, 1, 0, undefined, { collision: 'push' });
+
+      expect(result.placed).toBe(true);
+      expect(result.pushed).toEqual([{ moleculeId: protein.id, delta: { q: 0, r: 1 } }]);
+      expect(complex.getEntry(protein.id).offset).toEqual({ q: 0, r: 1 });
+      expect(complex.getAt(1, 0).moleculeId).toBe(dna.id);
+      expect(hexesAreUnique(complex)).toBe(true);
+    });
+
+    // INPUT: Both strands of a duplex moved one row down together
+    // EXPECTED: Placed, although the top strand lands on the bottom strand's old hexes
+    // WHY: moveMolecules checks the group as a whole
+    test('moveMolecules moves a group into its own old hexes', () => {
+      const complex = Complex.fromDNA('ACG');
+      const [top, bottom] = complex.molecules;
+
+      expect(complex.setMoleculePosition(top.id, 0, 1).placed).toBe(false);
+      const result = complex.moveMolecules([
+        { moleculeId: top.id, q: 0, r: 1 },
+        { moleculeId: bottom.id, q: 0, r: 2 }
+      ]);
+
+      expect(result.placed).toBe(true);
+      expect(complex.getAt(0, 1).moleculeId).toBe(top.id);
+      expect(complex.getAt(0, 2).moleculeId).toBe(bottom.id);
+      expect(hexesAreUnique(complex)).toBe(true);
+    });
+
+    // INPUT: Unknown collision policy
+    // EXPECTED: Throws
+    test('rejects unknown collision policies', () => {
+      const { complex, dna } = createCollisionSetup();
+      expect(() => complex.setMoleculePosition(dna.id, 5, 5, undefined, { collision: 'overlap' }))
+        .toThrow(/Unknown collision policy/);
+    });
+
+    // INPUT: setFold with an unknown collision policy
+    // EXPECTED: Throws; fold state and residue hexes unchanged
+    // WHY: A rejected call must not leave the fold out of step with the layout
+    test('setFold leaves the molecule unchanged on an unknown policy', () => {
+      const complex = new Complex();
+      const protein = Molecule.createProtein('STR-STR-STR');
+      complex.addMolecule(protein);
+      const footprint = complex.getFootprint(protein.id);
+
+      expect(() => complex.setFold(protein.id, 1, 1, { collision: 'overlap' }))
+        .toThrow(/Unknown collision policy/);
+      expect(protein.getFoldAt(1)).toBe(0);
+      expect(complex.getFootprint(protein.id)).toEqual(footprint);
+    });
+  });
+
+  describe('Rigid-Body Transforms', () => {
+    function hexesOf(complex, moleculeId) {
+      return complex.getFootprint(moleculeId).map(({ q, r }) => [q, r]);
+    }
+
+    // INPUT: Straight protein turned one step about its middle residue, then back
+    // EXPECTED: Every residue rotated about (1,0); same entities; -1 step undoes it
+    // WHY: Rotation about any residue without working out the new offset by hand
+    test('rotateMolecule turns a molecule about a residue', () => {
+      const complex = Complex.fromProtein('STR-SIG-STR');
+      const molId = complex.molecules[0].id;
+      const entityIds = complex.world.query([COMPONENT_TYPES.POSITION, COMPONENT_TYPES.RESIDUE]);
+
+      const result = complex.rotateMolecule(molId, 1, { pivot: { residue: 1 } });
+
+      expect(result.placed).toBe(true);
+      expect(hexesOf(complex, molId)).toEqual([[1, -1], [1, 0], [1, 1]]);
+      expect(complex.getEntry(molId).direction).toBe(1);
+      expect(complex.world.query([COMPONENT_TYPES.POSITION, COMPONENT_TYPES.RESIDUE])).toEqual(entityIds);
+
+      complex.rotateMolecule(molId, -1, { pivot: { q: 1, r: 0 } });
+      expect(hexesOf(complex, molId)).toEqual([[0, 0], [1, 0], [2, 0]]);
+    });
+
+    // INPUT: Protein with a left bend, mirrored along direction 0 through its first residue
+    // EXPECTED: Each hex mirrored; the bend now turns right
+    // WHY: Reflection flips the chain's handedness
+    test('reflectMolecule mirrors a molecule and its folds', () => {
+      const protein = Molecule.createProtein('STR-L60-STR-STR', { foldStates: [0, 1, 0, 0] });
+      const complex = new Complex();
+      complex.addMolecule(protein, { offset: { q: 0, r: 0 }, direction: 1 });
+      const mirrored = hexesOf(complex, protein.id).map(([q, r]) => reflectHex(q, r, 0));
+
+      const result = complex.reflectMolecule(protein.id, 0);
+
+      expect(result.placed).toBe(true);
+      expect(hexesOf(complex, protein.id)).toEqual(mirrored);
+      expect(protein.foldStates).toEqual([0, -1, 0, 0]);
+    });
+
+    // INPUT: Protein bound to DNA 'A', rotated alone and then as a group
+    // EXPECTED: Alone it would swing into the DNA and is rejected; the group turns together
+    // WHY: Bound molecules reorient as one rigid body
+    test('group transforms move the whole bound group', () => {
+      const complex = new Complex();
+      const protein = Molecule.createProtein('STR-BTA');
+      const dna = Molecule.createDNA('A');
+      complex.addMolecule(protein, { offset: { q: 0, r: 0 } });
+      complex.addMolecule(dna, { offset: { q: 0, r: 1 } });
+      expect(complex.getBoundGroup(protein.id)).toEqual([protein.id, dna.id]);
+
+      expect(complex.rotateMolecule(protein.id, 1).placed).toBe(false);
+      expect(hexesOf(complex, protein.id)).toEqual([[0, 0], [1, 0]]);
+
+      expect(complex.rotateMolecule(protein.id, 1, { group: true }).placed).toBe(true);
+      expect(hexesOf(complex, protein.id)).toEqual([[0, 0], [0, 1]]);
+      expect(hexesOf(complex, dna.id)).toEqual([[-1, 1]]);
+      expect([...complex.findBindings().values()]).toEqual(['A']);
+    });
+
+    // INPUT: Reflection that lands on another molecule
+    // EXPECTED: Rejected with the conflict; folds and hexes unchanged
+    test('rejected reflections leave the molecule as it was', () => {
+      const protein = Molecule.createProtein('STR-L60-STR', { foldStates: [0, 1, 0] });
+      const complex = new Complex();
+      complex.addMolecule(protein, { offset: { q: 0, r: 0 } });
+      complex.addMolecule(Molecule.createDNA('A'), { offset: { q: 1, r: 1 } });
+      const before = hexesOf(complex, protein.id);
+
+      const result = complex.reflectMolecule(protein.id, 0);
+
+      expect(result.placed).toBe(false);
+      expect(result.conflicts).toEqual([expect.objectContaining({ q: 1, r: 1, type: 'A' })]);
+      expect(protein.foldStates).toEqual([0, 1, 0]);
+      expect(hexesOf(complex, protein.id)).toEqual(before);
+      expect(() => complex.rotateMolecule(protein.id, 1, { pivot: { residue: 9 } })).toThrow(/outside/);
+    });
   });
 
   describe('Serialization', () => {
@@ -648,9 +993,9 @@ describe('Complex', () => {
     });
 
     // INPUT: Consume ATP at position
-    // EXPECTED: ATP removed
-    // WHY: ATP gets consumed when used for actions
-    test('consumeATPAt removes ATP molecule', () => {
+    // EXPECTED: ATP replaced by ADP in the same hex
+    // WHY: ATP gets spent, not destroyed, when used for actions
+    test('consumeATPAt turns ATP into ADP', () => {
       const complex = Complex.fromProtein('STR-SIG');
       complex.addMolecule(Molecule.createATP(), { offset: { q: 5, r: 5 } });
 
@@ -660,6 +1005,8 @@ describe('Complex', () => {
 
       expect(removed).toBe(true);
       expect(complex.hasATPAt(5, 5)).toBe(false);
+      expect(complex.getAt(5, 5).moleculeType).toBe('adp');
+      expect(complex.getADPPositions()).toEqual(new Set(['5,5']));
     });
 
     // INPUT: Consume ATP at empty position
@@ -673,4 +1020,897 @@ describe('Complex', () => {
       expect(removed).toBe(false);
     });
   });
+
+  describe('PSH Actuator', () => {
+    // Shared layout: BTA at (0,0), PSH at (1,0) heading East
+    // DNA 'AA' at (0,1),(1,1) - adjacent to both BTA and PSH
+    function createPushSetup() {
+      const complex = new Complex();
+      const protein = Molecule.createProtein('BTA-PSH');
+      const dna = Molecule.createDNA('AA');
+
+      complex.addMolecule(protein, { offset: { q: 0, r: 0 } });
+      complex.addMolecule(dna, { offset: { q: 0, r: 1 } });
+
+      return { complex, protein, dna };
+    }
+
+    // INPUT: Signaled PSH with ATP at (2,0) and DNA below it
+    // EXPECTED: DNA offset moves one hex East, ATP is consumed
+    // WHY: PSH pushes along its backbone direction, paying one ATP
+    test('processPSHs translates adjacent molecule and consumes ATP', () => {
+      const { complex, dna } = createPushSetup();
+      complex.addMolecule(Molecule.createATP(), { offset: { q: 2, r: 0 } });
+
+      complex.computeSignals({ randomFn: () => 0 });
+      expect(complex.isSignaled(1)).toBe(true); // PSH
+
+      const result = complex.processPSHs();
+
+      expect(result.count).toBe(1);
+      expect(result.pushed[0].moleculeId).toBe(dna.id);
+      expect(result.pushed[0].direction).toBe(0);
+      expect(complex.getEntry(dna.id).offset).toEqual({ q: 1, r: 1 });
+      expect(complex.getAt(2, 1).moleculeId).toBe(dna.id);
+      expect(complex.hasATPAt(2, 0)).toBe(false);
+    });
+
+    // INPUT: Signaled PSH with spent ADP at (2,0), ATP at (2,-1) and DNA below
+    // EXPECTED: DNA pushed, ADP left where it was, ATP consumed
+    // WHY: ADP is spent fuel, not cargo, even when it is the first neighbor
+    test('processPSHs skips adjacent ADP', () => {
+      const { complex, dna } = createPushSetup();
+      complex.addMolecule(Molecule.createADP(), { offset: { q: 2, r: 0 } });
+      complex.addMolecule(Molecule.createATP(), { offset: { q: 2, r: -1 } });
+
+      complex.computeSignals({ randomFn: () => 0 });
+      const result = complex.processPSHs();
+
+      expect(result.count).toBe(1);
+      expect(result.pushed[0].moleculeId).toBe(dna.id);
+      expect(complex.getAt(2, 0).type).toBe('ADP');
+      expect(complex.hasATPAt(2, -1)).toBe(false);
+    });
+
+    // INPUT: Signaled PSH with no ATP nearby
+    // EXPECTED: Nothing moves
+    // WHY: Pushing costs ATP
+    test('processPSHs does nothing without adjacent ATP', () => {
+      const { complex, dna } = createPushSetup();
+
+      complex.computeSignals({ randomFn: () => 0 });
+      const result = complex.processPSHs();
+
+      expect(result.count).toBe(0);
+      expect(complex.getEntry(dna.id).offset).toEqual({ q: 0, r: 1 });
+    });
+
+    // INPUT: PSH with ATP but no binding (not signaled)
+    // EXPECTED: Nothing moves, ATP kept
+    // WHY: PSH is an actuator and must be activated
+    test('processPSHs does nothing when PSH not signaled', () => {
+      const complex = new Complex();
+      complex.addMolecule(Molecule.createProtein('STR-PSH'), { offset: { q: 0, r: 0 } });
+      const dna = Molecule.createDNA('AA');
+      complex.addMolecule(dna, { offset: { q: 0, r: 1 } });
+      complex.addMolecule(Molecule.createATP(), { offset: { q: 2, r: 0 } });
+
+      complex.computeSignals({ randomFn: () => 0 });
+      const result = complex.processPSHs();
+
+      expect(result.count).toBe(0);
+      expect(complex.hasATPAt(2, 0)).toBe(true);
+    });
+
+    // INPUT: Another molecule sits at (2,1), where the DNA would move
+    // EXPECTED: Push is blocked with the conflict reported, ATP kept
+    // WHY: Molecules cannot overlap
+    test('processPSHs rejects pushes that would overlap', () => {
+      const { complex, dna } = createPushSetup();
+      const blocker = Molecule.createProtein('STR');
+      complex.addMolecule(blocker, { offset: { q: 2, r: 1 } });
+      complex.addMolecule(Molecule.createATP(), { offset: { q: 2, r: 0 } });
+
+      complex.computeSignals({ randomFn: () => 0 });
+      const result = complex.processPSHs();
+
+      expect(result.count).toBe(0);
+      expect(result.blocked.length).toBe(1);
+      expect(result.blocked[0].conflicts[0]).toMatchObject({ q: 2, r: 1, moleculeId: blocker.id });
+      expect(complex.getEntry(dna.id).offset).toEqual({ q: 0, r: 1 });
+      expect(complex.hasATPAt(2, 0)).toBe(true);
+    });
+
+    // INPUT: Signaled PSH with ATP whose onPush callback fails to place the DNA
+    // EXPECTED: Push reported as blocked, ATP kept
+    // WHY: Only a move that happened is paid for
+    test('processPSHs keeps the ATP when onPush fails', () => {
+      const { complex, dna } = createPushSetup();
+      complex.addMolecule(Molecule.createATP(), { offset: { q: 2, r: 0 } });
+
+      const result = processPSHs(complex.world, {
+        signalState: new Map([[1, { on: true, source: false }]]),
+        onPush: () => ({ placed: false, conflicts: [], pushed: [] }),
+        onConsumeATP: (q, r) => complex.consumeATPAt(q, r)
+      });
+
+      expect(result.count).toBe(0);
+      expect(result.blocked).toEqual([expect.objectContaining({ pshIndex: 1, moleculeId: dna.id })]);
+      expect(complex.hasATPAt(2, 0)).toBe(true);
+    });
+  });
+
+  describe('EJT Actuator', () => {
+    // INPUT: BTA-EJT protein bound to DNA 'A' below BTA, ATP next to EJT
+    // EXPECTED: DNA moved out of contact, binding broken, ATP consumed
+    // WHY: EJT releases bound molecules (promoter detachment, termination)
+    test('processEJTs unbinds and moves adjacent molecule out of contact', () => {
+      const complex = new Complex();
+      // BTA at (0,0), EJT at (1,0); DNA A at (0,1), adjacent to both
+      complex.addMolecule(Molecule.createProtein('BTA-EJT'), { offset: { q: 0, r: 0 } });
+      const dna = Molecule.createDNA('A');
+      complex.addMolecule(dna, { offset: { q: 0, r: 1 } });
+      complex.addMolecule(Molecule.createATP(), { offset: { q: 2, r: 0 } });
+
+      expect(complex.findBindings().size).toBe(1);
+      complex.computeSignals({ randomFn: () => 0 });
+      expect(complex.isSignaled(1)).toBe(true); // EJT
+
+      const result = complex.processEJTs();
+
+      expect(result.count).toBe(1);
+      expect(result.ejected[0].moleculeId).toBe(dna.id);
+      expect(result.ejected[0].brokenBindings).toEqual([{ residueIndex: 0, nucleotide: 'A' }]);
+      expect(complex.findBindings().size).toBe(0);
+      expect(complex.hasATPAt(2, 0)).toBe(false);
+
+      // No DNA residue may touch the protein any more
+      for (const entity of complex.getEntities()) {
+        if (entity.moleculeId !== dna.id) continue;
+        const touching = complex.getNeighborsAt(entity.q, entity.r)
+          .filter(n => n.moleculeId !== dna.id && n.type !== 'ATP');
+        expect(touching).toEqual([]);
+      }
+    });
+
+    // INPUT: Signaled EJT next to DNA but no ATP
+    // EXPECTED: Binding kept
+    // WHY: Ejection costs ATP
+    test('processEJTs does nothing without adjacent ATP', () => {
+      const complex = new Complex();
+      complex.addMolecule(Molecule.createProtein('BTA-EJT'), { offset: { q: 0, r: 0 } });
+      complex.addMolecule(Molecule.createDNA('A'), { offset: { q: 0, r: 1 } });
+
+      complex.computeSignals({ randomFn: () => 0 });
+      const result = complex.processEJTs();
+
+      expect(result.count).toBe(0);
+      expect(complex.findBindings().size).toBe(1);
+    });
+
+    // INPUT: Signaled EJT with ATP whose onMove callback fails to place the DNA
+    // EXPECTED: Ejection reported as blocked, binding and ATP kept
+    // WHY: Only a move that happened is paid for
+    test('processEJTs keeps the ATP when onMove fails', () => {
+      const complex = new Complex();
+      complex.addMolecule(Molecule.createProtein('BTA-EJT'), { offset: { q: 0, r: 0 } });
+      const dna = Molecule.createDNA('A');
+      complex.addMolecule(dna, { offset: { q: 0, r: 1 } });
+      complex.addMolecule(Molecule.createATP(), { offset: { q: 2, r: 0 } });
+
+      const result = processEJTs(complex.world, {
+        signalState: new Map([[1, { on: true, source: false }]]),
+        onMove: () => ({ placed: false, conflicts: [], pushed: [] }),
+        onConsumeATP: (q, r) => complex.consumeATPAt(q, r)
+      });
+
+      expect(result.count).toBe(0);
+      expect(result.blocked).toEqual([expect.objectContaining({ ejtIndex: 1, moleculeId: dna.id })]);
+      expect(complex.findBindings().size).toBe(1);
+      expect(complex.hasATPAt(2, 0)).toBe(true);
+    });
+  });
+
+  describe('RPF Transcription', () => {
+    // Shared layout: DNA template 'TAC' along row 0 from (0,0)
+    // Polymerase BTT-RPF on row 1: BTT at (-1,1) binds T, RPF at (0,1) reads T
+    function createTranscriptionSetup() {
+      const complex = new Complex();
+      const dna = Molecule.createDNA('TAC');
+      const polymerase = Molecule.createProtein('BTT-RPF');
+
+      complex.addMolecule(dna, { offset: { q: 0, r: 0 } });
+      complex.addMolecule(polymerase, { offset: { q: -1, r: 1 } });
+
+      return { complex, dna, polymerase };
+    }
+
+    // Feed ATP next to the RPF (recharging spent ADP) and run one transcription step
+    function transcribeOnce(complex, atpQ, atpR) {
+      if (!complex.regenerateATPAt(atpQ, atpR)) {
+        complex.addMolecule(Molecule.createATP(), { offset: { q: atpQ, r: atpR } });
+      }
+      complex.computeSignals({ randomFn: () => 0 });
+      return complex.processRPFs();
+    }
+
+    // INPUT: Signaled RPF next to DNA 'T' with ATP
+    // EXPECTED: New RNA molecule 'A' on the far side of the RPF, ATP consumed
+    // WHY: RPF creates the complementary base, paying one ATP
+    test('processRPFs starts an RNA chain with the complementary base', () => {
+      const { complex, polymerase } = createTranscriptionSetup();
+
+      const result = transcribeOnce(complex, 1, 1);
+
+      expect(result.count).toBe(1);
+      expect(result.transcribed[0]).toMatchObject({ templateBase: 'T', base: 'A', q: 0, r: 2 });
+      const rna = complex.getEntry(result.transcribed[0].moleculeId).molecule;
+      expect(rna.type).toBe('rna');
+      expect(rna.sequence).toEqual(['A']);
+      expect(complex.hasATPAt(1, 1)).toBe(false);
+      // Polymerase advanced one base along the template
+      expect(complex.getEntry(polymerase.id).offset).toEqual({ q: 0, r: 1 });
+    });
+
+    // INPUT: Three transcription steps along DNA 'TAC'
+    // EXPECTED: One RNA molecule 'AUG' laid out beside the template, chain released at the end
+    // WHY: Chain extension appends to the growing RNA (T→A, A→U, C→G)
+    test('processRPFs extends the growing RNA along the template', () => {
+      const { complex } = createTranscriptionSetup();
+
+      const first = transcribeOnce(complex, 1, 1);
+      const second = transcribeOnce(complex, 2, 1);
+      const third = transcribeOnce(complex, 3, 1);
+
+      const rnaId = first.transcribed[0].moleculeId;
+      expect(second.transcribed[0]).toMatchObject({ moleculeId: rnaId, base: 'U', extended: true });
+      expect(third.transcribed[0]).toMatchObject({ moleculeId: rnaId, base: 'G', terminated: true });
+
+      expect(complex.getEntry(rnaId).molecule.sequence).toEqual(['A', 'U', 'G']);
+      expect(complex.getAt(0, 2).moleculeId).toBe(rnaId);
+      expect(complex.getAt(1, 2).moleculeId).toBe(rnaId);
+      expect(complex.getAt(2, 2).moleculeId).toBe(rnaId);
+      expect(complex.getATPPositions().size).toBe(0);
+    });
+
+    // INPUT: Signaled RPF next to DNA without ATP
+    // EXPECTED: No RNA created
+    // WHY: Each nucleotide costs one ATP
+    test('processRPFs does nothing without adjacent ATP', () => {
+      const { complex } = createTranscriptionSetup();
+
+      complex.computeSignals({ randomFn: () => 0 });
+      const result = complex.processRPFs();
+
+      expect(result.count).toBe(0);
+      expect(complex.molecules.length).toBe(2);
+    });
+
+    // INPUT: Signaled RPF with ATP whose onMove callback fails to place the polymerase
+    // EXPECTED: Base transcribed but not advanced; polymerase stays put
+    // WHY: advanced reports the move that happened, not the one attempted
+    test('processRPFs reports no advance when onMove fails', () => {
+      const { complex, polymerase } = createTranscriptionSetup();
+      complex.addMolecule(Molecule.createATP(), { offset: { q: 1, r: 1 } });
+      const rpf = complex.getEntities().find(e => e.type === 'RPF');
+
+      const result = processRPFs(complex.world, {
+        signalState: new Map([[rpf.index, { on: true, source: false }]]),
+        onStartChain: (base, q, r) => {
+          const rna = Molecule.createRNA(base);
+          complex.addMolecule(rna, { offset: { q, r } });
+          return rna.id;
+        },
+        onExtendChain: (moleculeId, base, q, r) => complex.appendToMolecule(moleculeId, base, q, r),
+        onMove: () => ({ placed: false, conflicts: [], pushed: [] }),
+        onConsumeATP: (q, r) => complex.consumeATPAt(q, r)
+      });
+
+      expect(result.count).toBe(1);
+      expect(result.transcribed[0]).toMatchObject({ base: 'A', advanced: false });
+      expect(complex.getEntry(polymerase.id).offset).toEqual({ q: -1, r: 1 });
+    });
+
+    // INPUT: Append a residue next to a molecule's last residue
+    // EXPECTED: Sequence grows and the fold turns the chain onto the new hex
+    // WHY: Growing chains are built one residue at a time
+    test('appendToMolecule adds a residue at an adjacent hex', () => {
+      const complex = Complex.fromProtein('STR-STR');
+      const mol = complex.molecules[0];
+
+      // STR at (0,0),(1,0); append going SE from (1,0)
+      expect(complex.appendToMolecule(mol.id, 'SIG', 1, 1)).toBe(true);
+      expect(mol.sequence).toEqual(['STR', 'STR', 'SIG']);
+      expect(complex.getAt(1, 1).type).toBe('SIG');
+
+      // Not adjacent to the last residue
+      expect(complex.appendToMolecule(mol.id, 'SIG', 5, 5)).toBe(false);
+    });
+  });
+
+  describe('PBF Translation', () => {
+    // Shared layout: mRNA 'AUGGCAUAA' along row 0 from (0,0)
+    // Ribosome BTA-PBF on row 1: BTA at (-1,1) binds A, PBF at (0,1) touches A(0,0)
+    function createTranslationSetup() {
+      const complex = new Complex();
+      const mrna = Molecule.createRNA('AUGGCAUAA');
+      complex.addMolecule(mrna, { offset: { q: 0, r: 0 } });
+      complex.addMolecule(Molecule.createProtein('BTA-PBF'), { offset: { q: -1, r: 1 } });
+      return complex;
+    }
+
+    // Feed ATP next to the PBF (recharging spent ADP) and run one translation step
+    function translateOnce(complex) {
+      complex.regenerateATPAt(1, 1);
+      if (!complex.isOccupied(1, 1)) {
+        complex.addMolecule(Molecule.createATP(), { offset: { q: 1, r: 1 } });
+      }
+      complex.computeSignals({ randomFn: () => 0 });
+      return complex.processPBFs();
+    }
+
+    // INPUT: Signaled PBF at the start codon AUG with ATP
+    // EXPECTED: New protein starting with the start codon's residue
+    // WHY: Translation begins at a start codon
+    test('processPBFs starts a protein at the start codon', () => {
+      const complex = createTranslationSetup();
+
+      const result = translateOnce(complex);
+
+      expect(result.count).toBe(1);
+      expect(result.translated[0]).toMatchObject({ codon: 'AUG', residue: 'STR', q: 0, r: 2 });
+      const protein = complex.getEntry(result.translated[0].moleculeId).molecule;
+      expect(protein.type).toBe('protein');
+      expect(protein.sequence).toEqual(['STR']);
+      expect(complex.hasATPAt(1, 1)).toBe(false);
+    });
+
+    // INPUT: Three translation steps over AUG GCA UAA
+    // EXPECTED: Protein STR-EJT, released at the stop codon
+    // WHY: One residue per codon, stop codon ends translation
+    test('processPBFs reads codons in frame until the stop codon', () => {
+      const complex = createTranslationSetup();
+
+      const first = translateOnce(complex);
+      const second = translateOnce(complex);
+      const third = translateOnce(complex);
+
+      const proteinId = first.translated[0].moleculeId;
+      expect(second.translated[0]).toMatchObject({ moleculeId: proteinId, codon: 'GCA', residue: 'EJT' });
+      expect(third.count).toBe(0);
+      expect(third.released).toEqual([
+        expect.objectContaining({ moleculeId: proteinId, length: 2, codon: 'UAA' })
+      ]);
+      expect(complex.getEntry(proteinId).molecule.sequence).toEqual(['STR', 'EJT']);
+      // Stop codon does not use ATP
+      expect(complex.hasATPAt(1, 1)).toBe(true);
+    });
+
+    // INPUT: First codon translated, then the growing protein removed from the complex
+    // EXPECTED: Its growing chain is destroyed; the next step starts a new protein
+    // WHY: A chain must not outlive the molecule it extends
+    test('removeMolecule drops the growing chain of a removed protein', () => {
+      const complex = createTranslationSetup();
+      const first = translateOnce(complex);
+
+      complex.removeMolecule(first.translated[0].moleculeId);
+      expect(complex.world.query([COMPONENT_TYPES.GROWING_CHAIN])).toEqual([]);
+
+      const second = translateOnce(complex);
+      expect(second.translated[0]).toMatchObject({ codon: 'AUG', residue: 'STR' });
+      expect(second.translated[0].moleculeId).not.toBe(first.translated[0].moleculeId);
+    });
+
+    // INPUT: First codon translated, then the protein's residues destroyed behind the complex's back
+    // EXPECTED: Next step drops the stale chain and starts a new protein instead of throwing
+    // WHY: A chain with no residues has no end to extend from
+    test('processPBFs restarts when its protein has no residues', () => {
+      const complex = createTranslationSetup();
+      const first = translateOnce(complex);
+      const proteinId = first.translated[0].moleculeId;
+
+      for (const entityId of complex.world.query([COMPONENT_TYPES.POSITION])) {
+        if (complex.world.getComponent(entityId, COMPONENT_TYPES.POSITION).moleculeId === proteinId) {
+          complex.world.destroyEntity(entityId);
+        }
+      }
+
+      const second = translateOnce(complex);
+      expect(second.translated[0]).toMatchObject({ codon: 'AUG', residue: 'STR' });
+      expect(second.translated[0].moleculeId).not.toBe(proteinId);
+    });
+
+    // INPUT: Custom table mapping AUG to PHO
+    // EXPECTED: First residue follows the custom table
+    // WHY: Puzzle designers can define alternate genetic codes
+    test('processPBFs uses the complex codon table', () => {
+      const complex = createTranslationSetup();
+      complex.setCodonTable({ start: ['AUG'], stop: ['UAA'], codons: { AUG: 'PHO', GCA: 'SIG' } });
+
+      const result = translateOnce(complex);
+
+      expect(result.translated[0].residue).toBe('PHO');
+      expect(Complex.fromJSON(complex.toJSON()).getCodonTable().codons.AUG).toBe('PHO');
+    });
+  });
+
+  describe('Folding Simulation', () => {
+    // Small deterministic generator so runs can be repeated exactly
+    function seededRandom(seed) {
+      let state = seed;
+      return () => {
+        state = (state * 1664525 + 1013904223) % 4294967296;
+        return state / 4294967296;
+      };
+    }
+
+    // INPUT: Two identical proteins folded with the same seed
+    // EXPECTED: Identical trajectories with increasing simulated time
+    // WHY: A seeded randomFn must make folding runs reproducible
+    test('simulateFolding is reproducible with a seeded randomFn', () => {
+      const run = () => {
+        const complex = new Complex();
+        const protein = Molecule.createProtein('STR-POS-FLX-NEG-FLX-PHO-STR');
+        complex.addMolecule(protein);
+        return complex.simulateFolding(protein.id, { steps: 10, randomFn: seededRandom(42) });
+      };
+
+      const first = run();
+      const second = run();
+
+      expect(first.trajectory.length).toBe(11);
+      expect(first.trajectory[0].transition).toBeNull();
+      expect(second.trajectory).toEqual(first.trajectory);
+      for (let i = 1; i < first.trajectory.length; i++) {
+        expect(first.trajectory[i].time).toBeGreaterThan(first.trajectory[i - 1].time);
+      }
+    });
+
+    // INPUT: Protein folded next to a DNA strand for many steps
+    // EXPECTED: No hex is ever shared; complex fold states match the trajectory
+    // WHY: Transitions that overlap the chain or other molecules are rejected
+    test('simulateFolding never creates overlaps', () => {
+      const complex = new Complex();
+      const protein = Molecule.createProtein('FLX-FLX-FLX-FLX-FLX-FLX-FLX');
+      complex.addMolecule(protein);
+      complex.addMolecule(Molecule.createDNA('ACGTACG'), { offset: { q: 0, r: 1 } });
+
+      const result = complex.simulateFolding(protein.id, { steps: 50, randomFn: seededRandom(7) });
+
+      expect(complex.getPositionMap().size).toBe(14);
+      expect(protein.foldStates).toEqual(result.trajectory[result.trajectory.length - 1].foldStates);
+    });
+
+    // INPUT: STR-FLX-BTA hinge with an A nucleotide reachable only by bending left
+    // EXPECTED: The hinge ends up bent left with BTA bound; energy includes the binding
+    // WHY: Folding energy counts contacts with other molecules, so binding DNA
+    //      holds the protein in a conformation its sequence alone does not prefer
+    test('binding DNA changes the protein conformation', () => {
+      const complex = new Complex({ seed: 1 });
+      const protein = Molecule.createProtein('STR-FLX-BTA');
+      complex.addMolecule(protein);
+      complex.addMolecule(Molecule.createDNA('A'), { offset: { q: 2, r: -2 } });
+
+      for (let i = 0; i < 40; i++) {
+        complex.step({ motion: false, temperature: 300 });
+      }
+
+      expect(protein.foldStates[1]).toBeGreaterThan(0);
+      expect([...complex.findBindings().values()]).toEqual(['A']);
+      expect(complex.simulateFolding(protein.id, { steps: 0 }).energy).toBeCloseTo(-1, 10);
+    });
+
+    // INPUT: simulateFolding on a DNA molecule
+    // EXPECTED: Error
+    // WHY: Folding energies are defined for amino acids only
+    test('simulateFolding rejects non-protein molecules', () => {
+      const complex = new Complex();
+      const dna = Molecule.createDNA('ACGT');
+      complex.addMolecule(dna);
+
+      expect(() => complex.simulateFolding(dna.id)).toThrow('protein');
+    });
+  });
+
+  describe('Seeded RNG', () => {
+    // Signaled ATR setup that spawns ATP on every tick
+    function createAttractorComplex(seed) {
+      const complex = new Complex({ seed });
+      complex.addMolecule(Molecule.createProtein('STR-BTA-ATR'), { offset: { q: 0, r: 0 } });
+      complex.addMolecule(Molecule.createDNA('A'), { offset: { q: 1, r: 1 } });
+      return complex;
+    }
+
+    // Run a few ticks, returning where ATP appeared
+    function runAttractors(complex, ticks) {
+      const spawned = [];
+      for (let i = 0; i < ticks; i++) {
+        complex.computeSignals();
+        const result = complex.processATRs({ attractChance: 0.5 });
+        spawned.push(...result.attracted);
+      }
+      return spawned;
+    }
+
+    // INPUT: Two complexes with the same seed running ATR ticks
+    // EXPECTED: Same complex ID, same spawn positions and same ATP IDs
+    // WHY: Stochastic systems default to the complex's RNG
+    test('same seed gives identical runs', () => {
+      const a = createAttractorComplex(2024);
+      const b = createAttractorComplex(2024);
+
+      expect(b.id).toBe(a.id);
+      expect(runAttractors(b, 5)).toEqual(runAttractors(a, 5));
+    });
+
+    // INPUT: Serialize mid-run, restore, then continue both copies
+    // EXPECTED: Seed survives and both copies continue identically
+    // WHY: Shared replays resume from the saved RNG state
+    test('seed and RNG state survive toJSON/fromJSON', () => {
+      const complex = createAttractorComplex('replay');
+      runAttractors(complex, 2);
+
+      const restored = Complex.fromJSON(complex.toJSON());
+
+      expect(restored.seed).toBe('replay');
+      expect(restored.random()).toBe(complex.random());
+    });
+  });
+
+  describe('Simulation Tick', () => {
+    // BTA bound to DNA drives SIG wires into an ATR that always fires
+    function createTickSetup(seed = 1) {
+      const complex = new Complex({ seed });
+      const protein = Molecule.createProtein('BTA-SIG-SIG-ATR', { id: 'circuit' });
+      const dna = Molecule.createDNA('A', { id: 'dna' });
+      complex.addMolecule(protein, { offset: { q: 0, r: 0 } });
+      complex.addMolecule(dna, { offset: { q: 0, r: 1 } });
+      complex.setSignalConfig({ ATR: 1.0 });
+      return { complex, protein, dna };
+    }
+
+    // INPUT: One tick on a bound BTA-SIG-SIG-ATR circuit
+    // EXPECTED: Binding, signal and ATR events in phase order
+    // WHY: step() runs binding → signals → actuators → motion → folding → energy
+    test('step runs the tick phases in order', () => {
+      const { complex } = createTickSetup();
+
+      const result = complex.step({ attractChance: 1, fold: false });
+
+      expect(result.tick).toBe(1);
+      const phases = result.events.map(e => e.phase);
+      expect(phases.indexOf('binding')).toBeLessThan(phases.indexOf('signals'));
+      expect(phases.indexOf('signals')).toBeLessThan(phases.indexOf('actuators'));
+      expect(result.events.find(e => e.type === 'bound')).toMatchObject({ residue: 0, nucleotide: 'A' });
+      expect(result.events.filter(e => e.type === 'signal_on').length).toBe(4);
+      expect(result.actuators.attractors.count).toBe(1);
+      expect(typeof result.energy).toBe('number');
+    });
+
+    // INPUT: Tick, move both molecules together, tick again
+    // EXPECTED: Signals are still on after the move; no new signal events
+    // WHY: Signal state carries between ticks when molecules move between ticks
+    test('step carries signal state across moves', () => {
+      const { complex, protein, dna } = createTickSetup();
+      complex.step({ attractChance: 0, fold: false });
+
+      complex.setMoleculePosition(protein.id, 0, 2);
+      complex.setMoleculePosition(dna.id, 0, 3);
+      const result = complex.step({ attractChance: 0, fold: false });
+
+      expect(result.events.filter(e => e.phase === 'signals')).toEqual([]);
+      const atr = complex.getEntities().find(e => e.type === 'ATR');
+      expect(complex.isSignaled(atr.index)).toBe(true);
+    });
+
+    // INPUT: One tick, save and restore, one more tick
+    // EXPECTED: Tick and time continue; the binding made before the save is not reported again
+    // WHY: Bindings step() has seen are part of the saved tick state
+    test('step continues a restored stepped simulation', () => {
+      const { complex } = createTickSetup();
+      complex.step({ attractChance: 0, fold: false, tickDuration: 2 });
+
+      const restored = Complex.fromJSON(complex.toJSON());
+      const result = restored.step({ attractChance: 0, fold: false, tickDuration: 2 });
+
+      expect(result).toMatchObject({ tick: 2, time: 4 });
+      expect(result.events.filter(e => e.phase === 'binding' || e.phase === 'signals')).toEqual([]);
+    });
+
+    // INPUT: Two complexes with the same seed run for several ticks
+    // EXPECTED: Identical event logs, one record per tick
+    // WHY: run(n) is a deterministic replay from the seed
+    test('run is reproducible from a seed', () => {
+      const a = createTickSetup(77).complex.run(4);
+      const b = createTickSetup(77).complex.run(4);
+
+      expect(a.map(r => r.tick)).toEqual([1, 2, 3, 4]);
+      expect(b.map(r => r.events)).toEqual(a.map(r => r.events));
+    });
+
+    // INPUT: Run 2 ticks, save, restore, run 3 more; compare with 5 uninterrupted ticks
+    // EXPECTED: Same tick numbers and events; signaled residues still signaled after restore
+    // WHY: A save taken mid-run carries the tick state and signals, not just the RNG
+    test('run resumes exactly from a mid-run save', () => {
+      const uninterrupted = createTickSetup(77).complex.run(5);
+
+      const { complex } = createTickSetup(77);
+      complex.run(2);
+      const restored = Complex.fromJSON(JSON.parse(JSON.stringify(complex.toJSON())));
+      const atr = restored.getEntities().find(e => e.type === 'ATR');
+      expect(restored.isSignaled(atr.index)).toBe(true);
+      expect(restored.tick).toBe(2);
+
+      const resumed = restored.run(3);
+      expect(resumed.map(r => r.tick)).toEqual([3, 4, 5]);
+      expect(resumed.map(r => r.events)).toEqual(uninterrupted.slice(2).map(r => r.events));
+    });
+  });
+
+  describe('Brownian Motion', () => {
+    // Replays a fixed list of random numbers
+    function sequenceRandom(values) {
+      let i = 0;
+      return () => values[i++ % values.length];
+    }
+
+    // INPUT: BTA protein bound to DNA, forced to translate east
+    // EXPECTED: Both molecules shift by one hex and stay bound
+    // WHY: Bound molecules move as one rigid group
+    test('bound molecules translate together', () => {
+      const complex = new Complex({ seed: 1 });
+      const protein = Molecule.createProtein('BTA-SIG', { id: 'p' });
+      const dna = Molecule.createDNA('A', { id: 'd' });
+      complex.addMolecule(protein, { offset: { q: 0, r: 0 } });
+      complex.addMolecule(dna, { offset: { q: 0, r: 1 } });
+
+      // roll 0 → translate, direction 0 → east
+      const result = complex.processBrownianMotion({
+        translationRate: 10,
+        randomFn: sequenceRandom([0, 0])
+      });
+
+      expect(result.count).toBe(1);
+      expect(result.moved[0]).toMatchObject({ molecules: ['p', 'd'], motion: 'translate', direction: 0 });
+      expect(complex.getPositionMap().get('1,0').type).toBe('BTA');
+      expect(complex.getPositionMap().get('1,1').type).toBe('A');
+      expect(complex.findBindings().size).toBe(1);
+    });
+
+    // INPUT: Free protein with another molecule directly east of it
+    // EXPECTED: Eastward move is blocked and nothing moves
+    // WHY: Moves are collision-checked against the position map
+    test('moves into occupied hexes are blocked', () => {
+      const complex = new Complex({ seed: 1 });
+      const protein = Molecule.createProtein('STR-STR', { id: 'p' });
+      const wall = Molecule.createProtein('STR', { id: 'wall' });
+      complex.addMolecule(protein, { offset: { q: 0, r: 0 } });
+      complex.addMolecule(wall, { offset: { q: 2, r: 0 } });
+
+      const result = complex.processBrownianMotion({
+        translationRate: 10,
+        anchored: ['wall'],
+        randomFn: sequenceRandom([0, 0])
+      });
+
+      expect(result.count).toBe(0);
+      expect(result.blocked[0]).toMatchObject({ molecules: ['p'], conflicts: [{ q: 2, r: 0, moleculeId: 'wall' }] });
+      expect(complex.getPositionMap().get('0,0').moleculeId).toBe('p');
+    });
+
+    // INPUT: Same rolls at 0 K, and for an anchored molecule
+    // EXPECTED: No motion in either case
+    // WHY: Motion scales with temperature; anchors pin a molecule in place
+    test('zero temperature and anchors stop motion', () => {
+      const complex = new Complex({ seed: 1 });
+      const protein = Molecule.createProtein('STR', { id: 'p' });
+      complex.addMolecule(protein, { offset: { q: 0, r: 0 } });
+
+      const cold = complex.processBrownianMotion({ temperature: 0, randomFn: sequenceRandom([0, 0]) });
+      const anchored = complex.processBrownianMotion({ anchored: ['p'], randomFn: sequenceRandom([0, 0]) });
+
+      expect(cold.count).toBe(0);
+      expect(anchored.count).toBe(0);
+      expect(complex.getPositionMap().get('0,0').moleculeId).toBe('p');
+    });
+
+    // INPUT: Free three-residue protein, forced clockwise rotation
+    // EXPECTED: Chain now points south-east from the same first residue
+    // WHY: Rotation turns the group 60° about its first molecule's offset
+    test('rotation turns the group about its offset', () => {
+      const complex = new Complex({ seed: 1 });
+      const protein = Molecule.createProtein('STR-STR-STR', { id: 'p' });
+      complex.addMolecule(protein, { offset: { q: 0, r: 0 } });
+
+      // roll 0.5 → rotate (translate chance is 0 here), 0 → clockwise
+      const result = complex.processBrownianMotion({
+        translationRate: 0,
+        rotationRate: 10,
+        randomFn: sequenceRandom([0.5, 0])
+      });
+
+      expect(result.moved[0]).toMatchObject({ motion: 'rotate', steps: 1, pivot: { q: 0, r: 0 } });
+      const keys = [...complex.getPositionMap().keys()].sort();
+      expect(keys).toEqual(['0,0', '0,1', '0,2']);
+    });
+  });
+
+  describe('Shape Binding', () => {
+    // INPUT: BTA-BTC protein and a distant C-A strand
+    // EXPECTED: Strand docks with A on BTA and C on BTC, and is locked
+    // WHY: Shape binding attracts molecules into their best complementary pose
+    test('dockMolecule moves a strand into its best pose and locks it', () => {
+      const complex = new Complex({ seed: 1 });
+      complex.addMolecule(Molecule.createProtein('BTA-BTC', { id: 'p' }), { offset: { q: 0, r: 0 } });
+      complex.addMolecule(Molecule.createDNA('CA', { id: 'd' }), { offset: { q: 6, r: 6 } });
+
+      const binding = complex.dockMolecule('d', 'p');
+
+      expect(binding.strength).toBeGreaterThan(2);
+      expect([...complex.findBindings().values()].sort()).toEqual(['A', 'C']);
+      expect(complex.getShapeBonds()).toEqual([{ moleculeA: 'p', moleculeB: 'd', strength: binding.strength }]);
+    });
+
+    // INPUT: POS-POS and NEG-NEG proteins docked, then moved by Brownian motion
+    // EXPECTED: Both move as one group; the lock survives a JSON round trip
+    // WHY: Locked molecules behave as one rigid body until released
+    test('shape locks hold molecules together', () => {
+      const complex = new Complex({ seed: 1 });
+      complex.addMolecule(Molecule.createProtein('POS-POS', { id: 'a' }), { offset: { q: 0, r: 0 } });
+      complex.addMolecule(Molecule.createProtein('NEG-NEG', { id: 'b' }), { offset: { q: 6, r: 6 } });
+      complex.dockMolecule('b', 'a');
+
+      const result = complex.processBrownianMotion({ translationRate: 10, randomFn: () => 0 });
+      expect(result.moved[0].molecules).toEqual(['a', 'b']);
+
+      const restored = Complex.fromJSON(complex.toJSON());
+      expect(restored.getShapeBonds()).toHaveLength(1);
+
+      complex.removeMolecule('b');
+      expect(complex.getShapeBonds()).toEqual([]);
+    });
+
+    // INPUT: Two like-charged proteins
+    // EXPECTED: dockMolecule refuses and nothing moves
+    // WHY: Repulsive fits fall below minStrength
+    test('dockMolecule refuses weak fits', () => {
+      const complex = new Complex({ seed: 1 });
+      complex.addMolecule(Molecule.createProtein('POS', { id: 'a' }), { offset: { q: 0, r: 0 } });
+      complex.addMolecule(Molecule.createProtein('POS', { id: 'b' }), { offset: { q: 6, r: 6 } });
+
+      expect(complex.dockMolecule('b', 'a')).toBeNull();
+      expect(complex.getEntry('b').offset).toEqual({ q: 6, r: 6 });
+      expect(complex.getShapeBonds()).toEqual([]);
+    });
+  });
+
+  describe('Temperature Field', () => {
+    // INPUT: Consume an ATP, then run heat ticks
+    // EXPECTED: The ATP hex heats up, heat spreads to neighbors, then fades
+    // WHY: ATP consumption is a heat source; diffusion and dissipation spread it out
+    test('consumed ATP heats its hex and the heat diffuses away', () => {
+      const complex = new Complex({ seed: 1 });
+      complex.addMolecule(Molecule.createATP({ id: 'atp' }), { offset: { q: 0, r: 0 } });
+
+      complex.consumeATPAt(0, 0);
+      expect(complex.getTemperatureAt(0, 0)).toBe(300 + ENERGY_CONSTANTS.ATP_HEAT);
+      expect(complex.getTemperatureAt(1, 0)).toBe(300);
+
+      complex.processHeat();
+      const center = complex.getTemperatureAt(0, 0);
+      expect(complex.getTemperatureAt(1, 0)).toBeGreaterThan(300);
+      expect(center).toBeLessThan(300 + ENERGY_CONSTANTS.ATP_HEAT);
+
+      for (let i = 0; i < 200; i++) complex.processHeat();
+      expect(complex.getTemperatureAt(0, 0)).toBe(300);
+    });
+
+    // INPUT: Heat the middle residue of FLX-L60-FLX past the threshold
+    // EXPECTED: That residue is denatured and folding energy drops its preference
+    // WHY: Hot residues lose their folding preference until they cool
+    test('hot residues denature and fold with local temperature', () => {
+      const complex = new Complex({ seed: 1 });
+      complex.addMolecule(Molecule.createProtein('FLX-L60-FLX', { id: 'p' }), { offset: { q: 0, r: 0 } });
+      const native = complex.simulateFolding('p', { steps: 0 }).energy;
+
+      complex.addHeat(1, 0, 100);
+
+      expect(complex.getResidueTemperatures('p')).toEqual([300, 400, 300]);
+      expect([...complex.getDenaturedResidues('p')]).toEqual([1]);
+      expect(complex.simulateFolding('p', { steps: 0 }).energy).toBeCloseTo(native - 0.1, 10);
+    });
+
+    // INPUT: Heated complex saved and restored
+    // EXPECTED: Ambient and local temperatures survive the round trip
+    // WHY: Saved games keep their hot spots
+    test('temperature field survives toJSON/fromJSON', () => {
+      const complex = new Complex({ seed: 1 });
+      complex.setAmbientTemperature(310);
+      complex.addHeat(2, -1, 15);
+
+      const restored = Complex.fromJSON(complex.toJSON());
+
+      expect(restored.getAmbientTemperature()).toBe(310);
+      expect(restored.getTemperatureAt(2, -1)).toBe(325);
+      expect(restored.getTemperatureAt(0, 0)).toBe(310);
+    });
+  });
+
+  describe('ATP Economy', () => {
+    // Signaled ATR at (2,0): BTA at (0,0) bound to DNA A at (0,1)
+    function createAttractorComplex() {
+      const complex = new Complex();
+      complex.addMolecule(Molecule.createProtein('BTA-SIG-ATR'), { offset: { q: 0, r: 0 } });
+      complex.addMolecule(Molecule.createDNA('A'), { offset: { q: 0, r: 1 } });
+      complex.computeSignals({ randomFn: () => 0 });
+      return complex;
+    }
+
+    // INPUT: ATR attracts ATP from a field at baseline 1
+    // EXPECTED: Concentration at the spawn hex drops to 0 and recovers by diffusion
+    // WHY: ATR draws ATP from the local pool instead of creating it
+    test('processATRs depletes the local ATP concentration', () => {
+      const complex = createAttractorComplex();
+
+      const { attracted } = complex.processATRs({ randomFn: () => 0 });
+      const { q, r } = attracted[0];
+
+      expect(complex.getATPConcentration(q, r)).toBe(0);
+      expect(complex.getATPConcentration(10, 10)).toBe(1);
+
+      complex.processATPSupply();
+      const recovered = complex.getATPConcentration(q, r);
+      expect(recovered).toBeGreaterThan(0);
+      expect(recovered).toBeLessThan(1);
+    });
+
+    // INPUT: Closed system (baseline 0) with a signaled ATR
+    // EXPECTED: No ATP attracted
+    // WHY: Without a reservoir or regeneration site there is nothing to draw
+    test('processATRs attracts nothing from an empty field', () => {
+      const complex = createAttractorComplex();
+      complex.setATPBaseline(0);
+
+      const result = complex.processATRs({ randomFn: () => 0 });
+
+      expect(result.count).toBe(0);
+      expect(complex.getATPPositions().size).toBe(0);
+    });
+
+    // INPUT: Regeneration site at (0,0) with rate 2, one ADP next to it
+    // EXPECTED: ADP recharged to ATP, the spare capacity goes into the field
+    // WHY: Regeneration sites are the only way back from ADP to ATP
+    test('processATPSupply recharges adjacent ADP and feeds the field', () => {
+      const complex = new Complex();
+      complex.setATPBaseline(0);
+      complex.addATPSource(0, 0, 2);
+      complex.addMolecule(Molecule.createADP(), { offset: { q: 1, r: 0 } });
+      complex.addMolecule(Molecule.createADP(), { offset: { q: 5, r: 5 } });
+
+      const result = complex.processATPSupply({ diffusionRate: 0 });
+
+      expect(result.regenerated).toEqual([{ q: 1, r: 0, source: { q: 0, r: 0 } }]);
+      expect(result.supplied).toBe(1);
+      expect(complex.hasATPAt(1, 0)).toBe(true);
+      expect(complex.getADPPositions()).toEqual(new Set(['5,5']));
+      expect(complex.getATPConcentration(0, 0)).toBeCloseTo(1 - ENERGY_CONSTANTS.ATP_EXCHANGE);
+    });
+
+    // INPUT: Complex with a depleted field and a regeneration site
+    // EXPECTED: Baseline, field and sites survive a JSON round trip
+    // WHY: Saved puzzles keep their energy supply
+    test('toJSON/fromJSON preserve the ATP field and sources', () => {
+      const complex = createAttractorComplex();
+      complex.setATPBaseline(0.5);
+      complex.addATPSource(4, -2, 3);
+      const { attracted } = complex.processATRs({ randomFn: () => 0 });
+      const { q, r } = attracted[0];
+
+      const restored = Complex.fromJSON(JSON.parse(JSON.stringify(complex.toJSON())));
+
+      expect(restored.getATPBaseline()).toBe(0.5);
+      expect(restored.getATPConcentration(q, r)).toBe(0);
+      expect(restored.getATPSources()).toEqual([{ q: 4, r: -2, rate: 3 }]);
+    });
+  });
 });
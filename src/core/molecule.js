@@ -15,6 +15,7 @@
 
 import { AMINO_ACID_TYPES } from '../data/amino-acids.js';
 import { validateSequence } from '../ecs/systems/nucleotideValidationSystem.js';
+import { generateId } from './rng.js';
 
 export class Molecule {
   /**
@@ -25,6 +26,7 @@ export class Molecule {
    * @param {Array} options.bends - Bend specifications [{position, angle, direction}]
    * @param {string} options.type - Molecule type: 'protein', 'dna', 'rna', 'other'
    * @param {string} options.id - Optional unique identifier
+   * @param {Function} options.randomFn - Random function used to generate the ID (default Math.random)
    */
   constructor(sequence, options = {}) {
     if (!Array.isArray(sequence) || sequence.length === 0) {
@@ -47,7 +49,7 @@ export class Molecule {
     }
 
     this.type = options.type ?? this._inferType(sequence);
-    this.id = options.id ?? `mol_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`;
+    this.id = options.id ?? generateId('mol', options.randomFn);
   }
 
   /**
@@ -248,6 +250,15 @@ export class Molecule {
   static createATP(options = {}) {
     return new Molecule(['ATP'], { ...options, type: 'atp' });
   }
+
+  /**
+   * Create an ADP molecule (spent ATP, single element)
+   * @param {Object} options
+   * @returns {Molecule}
+   */
+  static createADP(options = {}) {
+    return new Molecule(['ADP'], { ...options, type: 'adp' });
+  }
 }
 
 export default Molecule;
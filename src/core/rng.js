@@ -0,0 +1,132 @@
+/**
+ * Seeded Random Number Generator
+ *
+ * Deterministic PRNG (mulberry32) so simulations can be replayed exactly.
+ * A Complex owns one SeededRandom and passes its `random` function to every
+ * stochastic system by default; saving the seed and state is enough to
+ * reproduce a run bit for bit.
+ *
+ * Usage:
+ *   const rng = new SeededRandom(42);
+ *   rng.next();            // 0 <= x < 1
+ *   rng.random();          // Same, as a detached function (randomFn)
+ *   rng.getState();        // Save mid-run...
+ *   rng.setState(state);   // ...and resume later
+ */
+
+/**
+ * Create a fresh 32-bit seed
+ * This is the only place randomness enters; the seed itself is recorded.
+ * @returns {number}
+ */
+export function createSeed() {
+  return Math.floor(Math.random() * 4294967296) >>> 0;
+}
+
+/**
+ * Normalize a seed to an unsigned 32-bit integer
+ * Strings are hashed (FNV-1a) so puzzle codes can be used as seeds.
+ * @param {number|string} seed
+ * @returns {number}
+ */
+function normalizeSeed(seed) {
+  if (typeof seed === 'string') {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < seed.length; i++) {
+      hash ^= seed.charCodeAt(i);
+      hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+  }
+
+  if (!Number.isFinite(seed)) {
+    throw new Error(`Invalid seed: ${seed}`);
+  }
+  return Math.floor(seed) >>> 0;
+}
+
+export class SeededRandom {
+  /**
+   * Create a new generator
+   * @param {number|string} seed - Seed (default: a fresh random seed)
+   */
+  constructor(seed = createSeed()) {
+    this.seed = seed;
+    this.state = normalizeSeed(seed);
+
+    // Detached form for APIs that take a randomFn
+    this.random = () => this.next();
+  }
+
+  /**
+   * Next random number
+   * @returns {number} Uniform in [0, 1)
+   */
+  next() {
+    this.state = (this.state + 0x6D2B79F5) >>> 0;
+    let t = this.state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  }
+
+  /**
+   * Random integer in [0, n)
+   * @param {number} n
+   * @returns {number}
+   */
+  nextInt(n) {
+    return Math.floor(this.next() * n);
+  }
+
+  /**
+   * Get the internal state (for saving a run mid-way)
+   * @returns {number}
+   */
+  getState() {
+    return this.state;
+  }
+
+  /**
+   * Restore a state from getState()
+   * @param {number} state
+   */
+  setState(state) {
+    this.state = state >>> 0;
+  }
+
+  /**
+   * Serialize to plain object
+   * @returns {Object} {seed, state}
+   */
+  toJSON() {
+    return { seed: this.seed, state: this.state };
+  }
+
+  /**
+   * Create a generator from serialized data
+   * @param {Object} data - {seed, state}
+   * @returns {SeededRandom}
+   */
+  static fromJSON(data) {
+    const rng = new SeededRandom(data.seed);
+    if (data.state !== undefined) {
+      rng.setState(data.state);
+    }
+    return rng;
+  }
+}
+
+/**
+ * Generate an identifier like "mol_k3j9x0qa"
+ * @param {string} prefix
+ * @param {Function} randomFn - Random function (default Math.random)
+ * @returns {string}
+ */
+export function generateId(prefix, randomFn = Math.random) {
+  let suffix = '';
+  for (let i = 0; i < 8; i++) {
+    suffix += Math.floor(randomFn() * 36).toString(36);
+  }
+  return `${prefix}_${suffix}`;
+}
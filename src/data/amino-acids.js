@@ -17,9 +17,10 @@
  * - MECHANICAL (1): CRL - DNA/RNA manipulation
  * - CATALYTIC (2): RPF, PBF - Transcription & translation
  * - SIGNALING (6): SIG, INP, OUT, SGX, AND, NOT - Signal propagation, routing, and logic gates
- * - ACTUATORS (2): PSH, ATR - Signal-activated effectors
+ * - SEQUENTIAL (3): LAT, RST, DLY - Signal memory (latch) and timing (delay line)
+ * - ACTUATORS (3): PSH, ATR, EJT - Signal-activated effectors
  *
- * Total: 25 amino acid types
+ * Total: 29 amino acid types
  */
 
 /**
@@ -238,7 +239,8 @@ export const AMINO_ACID_TYPES = {
     hydrophobicity: 'neutral',
     mass: 180,
     catalytic: 'transcription',  // Catalyzes DNA -> RNA
-    description: 'Catalyzes RNA synthesis (transcription). Reads DNA, produces complementary RNA.'
+    signaling: 'actuator',       // Only transcribes while activated
+    description: 'Catalyzes RNA synthesis (transcription). When activated with adjacent ATP, reads DNA, produces complementary RNA.'
   },
 
   PBF: {
@@ -250,7 +252,8 @@ export const AMINO_ACID_TYPES = {
     hydrophobicity: 'neutral',
     mass: 200,
     catalytic: 'translation',  // Catalyzes RNA -> Protein
-    description: 'Catalyzes protein synthesis (translation). Reads mRNA codons, adds amino acids.'
+    signaling: 'actuator',     // Only translates while activated
+    description: 'Catalyzes protein synthesis (translation). When activated with adjacent ATP, reads mRNA codons, adds amino acids.'
   },
 
   // ========================================================================
@@ -330,7 +333,47 @@ export const AMINO_ACID_TYPES = {
   },
 
   // ========================================================================
-  // ACTUATORS - Respond to signals, perform actions (actions not yet implemented)
+  // SEQUENTIAL - Signal state that carries over between ticks
+  // ========================================================================
+
+  LAT: {
+    name: 'Latch',
+    code: 'LAT',
+    foldingPreference: null,
+    preferredSteps: 0,
+    charge: 0,
+    hydrophobicity: 'neutral',
+    mass: 115,
+    signaling: 'latch',  // SR latch: set by adjacent INP, cleared by adjacent RST, holds otherwise
+    description: 'SR latch. Turns ON when any adjacent INP is ON and stays ON until any adjacent RST is ON (reset wins). Outputs through OUT.'
+  },
+
+  RST: {
+    name: 'Reset-Port',
+    code: 'RST',
+    foldingPreference: null,
+    preferredSteps: 0,
+    charge: 0,
+    hydrophobicity: 'neutral',
+    mass: 95,
+    signaling: 'reset_port',  // Like INP, but feeds the reset side of adjacent latches
+    description: 'Reset port. ON if any adjacent source is ON. Clears adjacent LAT residues. Does not feed gates.'
+  },
+
+  DLY: {
+    name: 'Delay',
+    code: 'DLY',
+    foldingPreference: null,
+    preferredSteps: 0,
+    charge: 0,
+    hydrophobicity: 'neutral',
+    mass: 110,
+    signaling: 'delay',  // Outputs the OR of its adjacent INPs from N ticks ago (signal config `delay`)
+    description: 'Delay line. Outputs the state of its adjacent INP residues N ticks later (default 3). Outputs through OUT.'
+  },
+
+  // ========================================================================
+  // ACTUATORS - Respond to signals, perform actions (see src/ecs/systems/)
   // ========================================================================
 
   PSH: {
@@ -357,16 +400,28 @@ export const AMINO_ACID_TYPES = {
     signaling: 'actuator',  // Responds to signals
     actuator: 'attract_atp', // When activated, attracts free ATP to adjacent hex
     description: 'ATP Attractor. When activated, attracts free-floating ATP to an adjacent hex.'
+  },
+
+  EJT: {
+    name: 'Eject',
+    code: 'EJT',
+    foldingPreference: null,
+    preferredSteps: 0,
+    charge: 0,
+    hydrophobicity: 'neutral',
+    mass: 120,
+    signaling: 'actuator',  // Responds to signals
+    actuator: 'eject',      // When activated + adjacent molecule + ATP → unbind and move it out of contact
+    description: 'Ejector. When activated, consumes ATP to unbind an adjacent molecule and move it out of contact.'
   }
 };
 
 /**
- * Energy constants (all in eV)
+ * Energy constants (all in eV, except the heat constants in K)
  *
- * TODO (low priority): ATP consumption should eventually have two side effects:
- *   1) Deplete ATP concentration near the consuming molecule
- *   2) Increase local temperature around the molecule (heat dissipation)
- * These effects would add realism and potential puzzle mechanics.
+ * ATP consumption heats the hex where the ATP was (see heatSystem.js) and
+ * leaves ADP behind; ATR draws from a local ATP concentration field that
+ * only regeneration sites and the bulk baseline refill (see atpSystem.js).
  */
 export const ENERGY_CONSTANTS = {
   // Angular/folding preference
@@ -389,9 +444,24 @@ export const ENERGY_CONSTANTS = {
   HYDROPHILIC_BURIAL: +0.5,    // eV penalty per buried hydrophilic residue
   HYDROPHILIC_EXPOSURE: -0.5,  // eV bonus per exposed hydrophilic residue
 
+  // Binding
+  BINDING_ENERGY: -1.0,  // eV per BTx residue next to its nucleotide
+
   // Temperature
   BOLTZMANN_CONSTANT: 8.617e-5,  // eV/K
   ROOM_TEMPERATURE: 300,          // K (gives kT ≈ 0.026 eV)
+
+  // Heat (temperature field)
+  ATP_HEAT: 20,                   // K added at the hex where ATP is consumed
+  BINDING_HEAT: 5,                // K added per binding contact
+  HEAT_DIFFUSION: 0.1,            // Fraction of each neighbor difference exchanged per tick
+  HEAT_DISSIPATION: 0.05,         // Fraction of excess over ambient lost per tick
+  DENATURATION_TEMPERATURE: 350,  // K above which residues lose folding preference
+
+  // ATP supply (concentration field, 1 = one ATP available per hex)
+  ATP_BASELINE: 1.0,              // Bulk concentration far from any consumer
+  ATP_DIFFUSION: 0.1,             // Fraction of each neighbor difference exchanged per tick
+  ATP_EXCHANGE: 0.05,             // Fraction of the difference from bulk restored per tick
 };
 
 /**
@@ -436,10 +506,11 @@ export function calculateFoldEnergy(aminoAcidCode, currentSteps) {
  * @param {number} fromSteps - Starting fold state
  * @param {number} toSteps - Target fold state
  * @param {number} E_a_base - Base kinetic barrier (from moment of inertia)
+ * @param {number} temperature - Local temperature in K (default room temperature)
  * @returns {number} Transition rate (probability per time unit)
  */
-export function calculateTransitionRate(aminoAcidCode, fromSteps, toSteps, E_a_base = 0.025) {
-  const kT = ENERGY_CONSTANTS.BOLTZMANN_CONSTANT * ENERGY_CONSTANTS.ROOM_TEMPERATURE;
+export function calculateTransitionRate(aminoAcidCode, fromSteps, toSteps, E_a_base = 0.025, temperature = ENERGY_CONSTANTS.ROOM_TEMPERATURE) {
+  const kT = ENERGY_CONSTANTS.BOLTZMANN_CONSTANT * temperature;
 
   const fromEnergy = calculateFoldEnergy(aminoAcidCode, fromSteps);
   const toEnergy = calculateFoldEnergy(aminoAcidCode, toSteps);
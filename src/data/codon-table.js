@@ -0,0 +1,132 @@
+/**
+ * Codon Tables for Translation (PBF)
+ *
+ * A codon table is plain data so puzzle designers can define alternate
+ * genetic codes (and load them from JSON):
+ *
+ *   {
+ *     name: 'standard',
+ *     start: ['AUG'],               // Codons that begin translation
+ *     stop: ['UAA', 'UAG', 'UGA'],  // Codons that end translation
+ *     codons: { AUG: 'STR', ... }   // Codon -> amino acid code
+ *   }
+ *
+ * Start codons also encode the first residue, so they must appear in `codons`.
+ * Stop codons encode nothing and must not appear in `codons`.
+ *
+ * The standard table follows the layout of the real genetic code: each
+ * block of four codons sharing the first two bases is split by the third
+ * base (U/C vs A/G), and residues take the slots of their closest natural
+ * analogue where one exists (PHO for Phe/Ile, POS for Lys, NEG for Asp,
+ * FLX for Gly, L60/R60 for Pro, STR for Val).
+ */
+
+import { AMINO_ACID_TYPES } from './amino-acids.js';
+
+const RNA_BASES = ['U', 'C', 'A', 'G'];
+
+/**
+ * Standard codon table covering all 29 amino acid types
+ */
+export const STANDARD_CODON_TABLE = {
+  name: 'standard',
+  start: ['AUG'],
+  stop: ['UAA', 'UAG', 'UGA'],
+  codons: {
+    UUU: 'PHO', UUC: 'PHO', UUA: 'L12', UUG: 'L12',
+    UCU: 'SIG', UCC: 'SIG', UCA: 'SIG', UCG: 'SIG',
+    UAU: 'INP', UAC: 'INP',
+    UGU: 'CRL', UGC: 'CRL', UGG: 'SGX',
+
+    CUU: 'R12', CUC: 'R12', CUA: 'OUT', CUG: 'OUT',
+    CCU: 'L60', CCC: 'L60', CCA: 'R60', CCG: 'R60',
+    CAU: 'RST', CAC: 'RST', CAA: 'PHI', CAG: 'PHI',
+    CGU: 'LAT', CGC: 'LAT', CGA: 'AND', CGG: 'AND',
+
+    AUU: 'PHO', AUC: 'PHO', AUA: 'NOT', AUG: 'STR',
+    ACU: 'BTA', ACC: 'BTA', ACA: 'BTC', ACG: 'BTC',
+    AAU: 'BTG', AAC: 'BTG', AAA: 'POS', AAG: 'POS',
+    AGU: 'BTT', AGC: 'BTT', AGA: 'PSH', AGG: 'PSH',
+
+    GUU: 'STR', GUC: 'STR', GUA: 'ATR', GUG: 'ATR',
+    GCU: 'DLY', GCC: 'DLY', GCA: 'EJT', GCG: 'EJT',
+    GAU: 'NEG', GAC: 'NEG', GAA: 'RPF', GAG: 'RPF',
+    GGU: 'FLX', GGC: 'FLX', GGA: 'PBF', GGG: 'PBF'
+  }
+};
+
+/**
+ * Check that a string is an RNA codon (three of A, C, G, U)
+ * @param {string} codon
+ * @returns {boolean}
+ */
+function isCodon(codon) {
+  return typeof codon === 'string' &&
+    codon.length === 3 &&
+    [...codon].every(base => RNA_BASES.includes(base));
+}
+
+/**
+ * Load and validate a codon table
+ * @param {Object|string} data - Table data, or a JSON string of it
+ * @returns {Object} {name, start: Set, stop: Set, codons: Map}
+ * @throws {Error} If the table is malformed or references unknown residues
+ */
+export function loadCodonTable(data) {
+  const table = typeof data === 'string' ? JSON.parse(data) : data;
+
+  if (!table || typeof table.codons !== 'object') {
+    throw new Error('Codon table must have a codons object');
+  }
+
+  const codons = new Map();
+  for (const [codon, residue] of Object.entries(table.codons)) {
+    if (!isCodon(codon)) {
+      throw new Error(`Invalid codon "${codon}". Must be three of A, C, G, U.`);
+    }
+    if (!AMINO_ACID_TYPES[residue]) {
+      throw new Error(`Codon ${codon} maps to unknown amino acid "${residue}"`);
+    }
+    codons.set(codon, residue);
+  }
+
+  const start = new Set(table.start ?? []);
+  const stop = new Set(table.stop ?? []);
+
+  if (start.size === 0) {
+    throw new Error('Codon table must define at least one start codon');
+  }
+
+  for (const codon of start) {
+    if (!codons.has(codon)) {
+      throw new Error(`Start codon ${codon} must also encode an amino acid`);
+    }
+  }
+
+  for (const codon of stop) {
+    if (!isCodon(codon)) {
+      throw new Error(`Invalid stop codon "${codon}". Must be three of A, C, G, U.`);
+    }
+    if (codons.has(codon) || start.has(codon)) {
+      throw new Error(`Stop codon ${codon} must not encode an amino acid`);
+    }
+  }
+
+  return { name: table.name ?? 'custom', start, stop, codons };
+}
+
+/**
+ * Look up a codon in a loaded table
+ * @param {Object} table - Table from loadCodonTable
+ * @param {string} codon
+ * @returns {Object} {residue: string|null, isStart: boolean, isStop: boolean}
+ */
+export function translateCodon(table, codon) {
+  return {
+    residue: table.codons.get(codon) ?? null,
+    isStart: table.start.has(codon),
+    isStop: table.stop.has(codon)
+  };
+}
+
+export default STANDARD_CODON_TABLE;
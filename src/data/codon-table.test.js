@@ -0,0 +1,54 @@
+import { describe, test, expect } from '@jest/globals';
+import { STANDARD_CODON_TABLE, loadCodonTable, translateCodon } from './codon-table.js';
+import { AMINO_ACID_TYPES } from './amino-acids.js';
+
+describe('Codon Table', () => {
+  // INPUT: Standard table
+  // EXPECTED: All 64 codons are either sense or stop
+  // WHY: Every triplet must have a meaning
+  test('standard table covers all 64 codons', () => {
+    const table = loadCodonTable(STANDARD_CODON_TABLE);
+    expect(table.codons.size + table.stop.size).toBe(64);
+  });
+
+  // INPUT: Standard table
+  // EXPECTED: Every amino acid type is encoded by at least one codon
+  // WHY: Translation must be able to produce any residue
+  test('standard table encodes every amino acid type', () => {
+    const encoded = new Set(Object.values(STANDARD_CODON_TABLE.codons));
+    for (const code of Object.keys(AMINO_ACID_TYPES)) {
+      expect(encoded.has(code)).toBe(true);
+    }
+  });
+
+  // INPUT: Start, stop and sense codons
+  // EXPECTED: Lookup reports residue and flags
+  // WHY: Translation needs to tell start/stop apart from sense codons
+  test('translateCodon reports residue and start/stop flags', () => {
+    const table = loadCodonTable(STANDARD_CODON_TABLE);
+
+    expect(translateCodon(table, 'AUG')).toEqual({ residue: 'STR', isStart: true, isStop: false });
+    expect(translateCodon(table, 'UAA')).toEqual({ residue: null, isStart: false, isStop: true });
+    expect(translateCodon(table, 'GGA')).toEqual({ residue: 'PBF', isStart: false, isStop: false });
+  });
+
+  // INPUT: Table as a JSON string
+  // EXPECTED: Loads like the object form
+  // WHY: Tables are loadable data
+  test('loadCodonTable accepts JSON', () => {
+    const table = loadCodonTable('{"name":"tiny","start":["AUG"],"stop":["UAA"],"codons":{"AUG":"SIG"}}');
+
+    expect(table.name).toBe('tiny');
+    expect(table.codons.get('AUG')).toBe('SIG');
+  });
+
+  // INPUT: Malformed tables
+  // EXPECTED: Descriptive errors
+  // WHY: Designer mistakes should fail at load time, not mid-translation
+  test('loadCodonTable rejects invalid tables', () => {
+    expect(() => loadCodonTable({ start: ['AUG'], codons: { AUG: 'XXX' } })).toThrow('unknown amino acid');
+    expect(() => loadCodonTable({ start: ['AUG'], codons: { ATG: 'STR' } })).toThrow('Invalid codon');
+    expect(() => loadCodonTable({ start: [], codons: { AUG: 'STR' } })).toThrow('start codon');
+    expect(() => loadCodonTable({ start: ['AUG'], codons: { AUG: 'STR' }, stop: ['AUG'] })).toThrow('must not encode');
+  });
+});
@@ -3,17 +3,28 @@
  *
  * Systems are pure functions that operate on World and return results.
  * The scheduler manages system registration, ordering, and execution.
+ *
+ * Context passed to a run may carry per-system overrides under
+ * `context.systems[name]`; they are merged over the shared context for that
+ * system only (e.g. two systems that both take an `onStartChain` callback).
+ */
+
+/**
+ * Default phase order for tick()
  */
+export const DEFAULT_PHASES = ['init', 'input', 'update', 'physics', 'render', 'cleanup'];
 
 export class SystemScheduler {
   /**
    * @param {World} world - The ECS world
    * @param {Object} options - Configuration options
    * @param {SystemProfiler} options.profiler - Optional performance profiler
+   * @param {string[]} options.phases - Phase order for tick() (default DEFAULT_PHASES)
    */
   constructor(world, options = {}) {
     this.world = world;
     this.profiler = options.profiler || null;
+    this.phaseOrder = options.phases ? [...options.phases] : [...DEFAULT_PHASES];
     this.systems = new Map(); // name -> {fn, phase, priority}
     this.phases = new Map(); // phaseName -> [systemNames...]
     this.systemOrder = []; // Ordered list of system names
@@ -85,8 +96,12 @@ export class SystemScheduler {
     // Start profiling if enabled
     const stopTimer = this.profiler ? this.profiler.startSystem(name) : null;
 
+    // Merge per-system overrides, if any
+    const overrides = context.systems?.[name];
+    const systemContext = overrides ? { ...context, ...overrides } : context;
+
     try {
-      const result = system.fn(this.world, context);
+      const result = system.fn(this.world, systemContext);
       return result;
     } finally {
       // Stop profiling
@@ -159,10 +174,9 @@ export class SystemScheduler {
    * @private
    */
   _rebuildSystemOrder() {
-    const phaseNames = ['init', 'input', 'update', 'physics', 'render', 'cleanup'];
     const ordered = [];
 
-    for (const phaseName of phaseNames) {
+    for (const phaseName of this.phaseOrder) {
       const systemNames = this.phases.get(phaseName);
       if (!systemNames) continue;
 
@@ -179,6 +193,24 @@ export class SystemScheduler {
     this.systemOrder = ordered;
   }
 
+  /**
+   * Set the phase order used by tick()
+   * Systems in phases not listed are not run by tick().
+   * @param {string[]} phaseNames
+   */
+  setPhaseOrder(phaseNames) {
+    this.phaseOrder = [...phaseNames];
+    this._rebuildSystemOrder();
+  }
+
+  /**
+   * Get the phase order used by tick()
+   * @returns {string[]}
+   */
+  getPhaseOrder() {
+    return [...this.phaseOrder];
+  }
+
   /**
    * Get list of registered systems
    * @returns {Array<string>}
@@ -4,8 +4,21 @@
  * Entities are just IDs (integers)
  * Components are stored in arrays indexed by entity ID
  * Systems operate on component arrays
+ *
+ * The world also keeps a spatial index of Position components ("q,r" ->
+ * entity IDs) so hex lookups do not scan every entity. The index follows
+ * addComponent, removeComponent, destroyEntity and clear; to move an entity,
+ * add a new Position component rather than editing q/r in place.
+ *
+ * Queries are cached. Each component type gets a bit and each entity a
+ * bitmask of the types it has; the first query for a set of types builds its
+ * match set, and from then on adding or removing a component updates every
+ * cached query that involves that type. query() then costs O(matches).
+ * subscribe() reports entities entering and leaving a query's match set.
  */
 
+import { COMPONENT_TYPES } from './components.js';
+
 export class World {
   constructor() {
     // Entity management
@@ -18,6 +31,116 @@ export class World {
 
     // Component type registry
     this.componentTypes = new Set();
+
+    // Spatial index: Map<"q,r", Set<entityId>>, plus each entity's indexed key
+    this.spatialIndex = new Map();
+    this.indexedHexes = new Map();
+
+    // Component bitmasks: Map<componentType, bigint>, Map<entityId, bigint>
+    this.componentBits = new Map();
+    this.entityMasks = new Map();
+
+    // Cached queries: Map<key, {types, mask, entities: Set, listeners: Set}>
+    this.cachedQueries = new Map();
+  }
+
+  /**
+   * Get the bit for a component type, assigning one if needed
+   * Types get bits as soon as a query names them, even before any entity has them.
+   * @private
+   * @param {string} componentType
+   * @returns {bigint}
+   */
+  _componentBit(componentType) {
+    if (!this.componentBits.has(componentType)) {
+      this.componentBits.set(componentType, 1n << BigInt(this.componentBits.size));
+    }
+    return this.componentBits.get(componentType);
+  }
+
+  /**
+   * Get the cached query for a set of component types, building it if needed
+   * @private
+   * @param {string[]} componentTypes
+   * @returns {Object} {types, mask, entities: Set, listeners: Set}
+   */
+  _cachedQuery(componentTypes) {
+    const key = [...new Set(componentTypes)].sort().join('|');
+    let cached = this.cachedQueries.get(key);
+    if (cached) return cached;
+
+    const mask = componentTypes.reduce((bits, type) => bits | this._componentBit(type), 0n);
+    const entities = new Set();
+
+    // Seed in the order of the first type's components, as uncached queries did
+    const firstComponentMap = this.components.get(componentTypes[0]);
+    if (firstComponentMap) {
+      for (const entityId of firstComponentMap.keys()) {
+        if (((this.entityMasks.get(entityId) ?? 0n) & mask) === mask) {
+          entities.add(entityId);
+        }
+      }
+    }
+
+    cached = { types: [...componentTypes], mask, entities, listeners: new Set() };
+    this.cachedQueries.set(key, cached);
+    return cached;
+  }
+
+  /**
+   * Update cached queries after an entity's bitmask changed
+   * @private
+   * @param {number} entityId
+   * @param {bigint} changedBit - Bit of the component that was added or removed
+   */
+  _updateQueries(entityId, changedBit) {
+    const mask = this.entityMasks.get(entityId) ?? 0n;
+
+    for (const cached of this.cachedQueries.values()) {
+      if ((cached.mask & changedBit) === 0n) continue;
+
+      const matches = (mask & cached.mask) === cached.mask;
+      if (matches && !cached.entities.has(entityId)) {
+        cached.entities.add(entityId);
+        for (const listener of cached.listeners) listener.added?.(entityId);
+      } else if (!matches && cached.entities.has(entityId)) {
+        cached.entities.delete(entityId);
+        for (const listener of cached.listeners) listener.removed?.(entityId);
+      }
+    }
+  }
+
+  /**
+   * Add an entity to the spatial index
+   * @private
+   * @param {number} entityId
+   * @param {object} position - Position component
+   */
+  _indexPosition(entityId, position) {
+    const key = `${position.q},${position.r}`;
+    if (!this.spatialIndex.has(key)) {
+      this.spatialIndex.set(key, new Set());
+    }
+    this.spatialIndex.get(key).add(entityId);
+    this.indexedHexes.set(entityId, key);
+  }
+
+  /**
+   * Remove an entity from the spatial index
+   * Uses the key it was indexed under, in case the component was edited.
+   * @private
+   * @param {number} entityId
+   */
+  _unindexPosition(entityId) {
+    const key = this.indexedHexes.get(entityId);
+    if (key === undefined) return;
+
+    const entities = this.spatialIndex.get(key);
+    entities.delete(entityId);
+    if (entities.size === 0) {
+      this.spatialIndex.delete(key);
+    }
+    this.indexedHexes.delete(entityId);
   }
 
   /**
@@ -59,7 +182,17 @@ export class World {
       return;
     }
 
+    // Leave every query first, so removed listeners can still read components
+    this.entityMasks.set(entityId, 0n);
+    for (const cached of this.cachedQueries.values()) {
+      if (cached.entities.delete(entityId)) {
+        for (const listener of cached.listeners) listener.removed?.(entityId);
+      }
+    }
+    this.entityMasks.delete(entityId);
+
     // Remove all components for this entity
+    this._unindexPosition(entityId);
     for (const componentMap of this.components.values()) {
       componentMap.delete(entityId);
     }
@@ -84,7 +217,20 @@ export class World {
       this.registerComponentType(componentType);
     }
 
-    this.components.get(componentType).set(entityId, componentData);
+    const componentMap = this.components.get(componentType);
+    const isNew = !componentMap.has(entityId);
+    componentMap.set(entityId, componentData);
+
+    if (componentType === COMPONENT_TYPES.POSITION) {
+      this._unindexPosition(entityId);
+      this._indexPosition(entityId, componentData);
+    }
+
+    if (isNew) {
+      const bit = this._componentBit(componentType);
+      this.entityMasks.set(entityId, (this.entityMasks.get(entityId) ?? 0n) | bit);
+      this._updateQueries(entityId, bit);
+    }
   }
 
   /**
@@ -122,8 +268,19 @@ export class World {
    */
   removeComponent(entityId, componentType) {
     const componentMap = this.components.get(componentType);
-    if (componentMap) {
-      componentMap.delete(entityId);
+    if (!componentMap || !componentMap.has(entityId)) {
+      return;
+    }
+
+    // Leave queries first, so removed listeners can still read the component
+    const bit = this._componentBit(componentType);
+    this.entityMasks.set(entityId, this.entityMasks.get(entityId) & ~bit);
+    this._updateQueries(entityId, bit);
+
+    componentMap.delete(entityId);
+
+    if (componentType === COMPONENT_TYPES.POSITION) {
+      this._unindexPosition(entityId);
     }
   }
 
@@ -138,6 +295,8 @@ export class World {
 
   /**
    * Query entities that have all specified component types
+   * Results come from a cached match set (see the class comment), in the
+   * order entities came to match.
    * @param {string[]} componentTypes - Array of component type names
    * @returns {number[]} Array of entity IDs that match the query
    */
@@ -146,18 +305,58 @@ export class World {
       return Array.from(this.entities);
     }
 
-    // Start with entities that have the first component type
-    const firstComponentMap = this.components.get(componentTypes[0]);
-    if (!firstComponentMap) {
-      return [];
+    return Array.from(this._cachedQuery(componentTypes).entities);
+  }
+
+  /**
+   * Get notified when entities start or stop matching a query
+   * Entities that already match are not reported.
+   * @param {string[]} componentTypes - Component types, as for query()
+   * @param {Object} listener
+   * @param {Function} listener.added - Called with the entity ID when it starts matching
+   * @param {Function} listener.removed - Called with the entity ID when it stops matching,
+   *   before its components are removed
+   * @returns {Function} Call to unsubscribe
+   */
+  subscribe(componentTypes, listener) {
+    if (componentTypes.length === 0) {
+      throw new Error('subscribe requires at least one component type');
     }
 
-    const candidates = Array.from(firstComponentMap.keys());
+    const cached = this._cachedQuery(componentTypes);
+    cached.listeners.add(listener);
+    return () => cached.listeners.delete(listener);
+  }
+
+  /**
+   * Get the entities with a Position at a hex
+   * @param {number} q
+   * @param {number} r
+   * @returns {number[]} Entity IDs in the order their positions were set
+   */
+  getEntitiesAt(q, r) {
+    const entities = this.spatialIndex.get(`${q},${r}`);
+    return entities ? Array.from(entities) : [];
+  }
 
-    // Filter to only entities that have ALL required components
-    return candidates.filter(entityId => {
-      return componentTypes.every(type => this.hasComponent(entityId, type));
-    });
+  /**
+   * Get the entity at a hex
+   * Hexes normally hold one entity; if several overlap, the first placed wins.
+   * @param {number} q
+   * @param {number} r
+   * @param {string[]} componentTypes - Optional: only entities that also have these components
+   * @returns {number|undefined} Entity ID or undefined if the hex is empty
+   */
+  getEntityAt(q, r, componentTypes = []) {
+    const entities = this.spatialIndex.get(`${q},${r}`);
+    if (!entities) return undefined;
+
+    for (const entityId of entities) {
+      if (componentTypes.every(type => this.hasComponent(entityId, type))) {
+        return entityId;
+      }
+    }
+    return undefined;
   }
 
   /**
@@ -185,6 +384,14 @@ export class World {
     this.entities.clear();
     this.freeEntityIds = [];
     this.nextEntityId = 0;
+    this.spatialIndex.clear();
+    this.indexedHexes.clear();
+    this.entityMasks.clear();
+
+    // Cached queries stay registered, now empty; listeners are not notified
+    for (const cached of this.cachedQueries.values()) {
+      cached.entities.clear();
+    }
 
     for (const componentMap of this.components.values()) {
       componentMap.clear();
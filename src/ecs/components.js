@@ -32,7 +32,8 @@ export function createResidueComponent(type, foldState, index) {
  * @typedef {Object} SignalComponent
  * @property {boolean} on - Whether the signal is active
  * @property {boolean} source - Whether this is a signal source (BTx bound to DNA)
- * @property {number} strength - Signal strength (0-1, for future use)
+ * @property {number} strength - Signal strength (0-1, used in analog mode)
+ * @property {boolean[]} [history] - Recent inputs of a delay line (DLY), oldest first
  */
 export function createSignalComponent(on = false, source = false, strength = 1.0) {
   return { on, source, strength };
@@ -89,12 +90,13 @@ export function createADPComponent(energy = 0) {
 }
 
 /**
- * Configuration for signal propagation
+ * Configuration for signal propagation and translation
  * @typedef {Object} ConfigComponent
  * @property {Object} signalConfig - Per-type propagation probabilities
+ * @property {Object|null} codonTable - Codon table data (null = standard table)
  */
-export function createConfigComponent(signalConfig = {}) {
-  return { signalConfig };
+export function createConfigComponent(signalConfig = {}, codonTable = null) {
+  return { signalConfig, codonTable };
 }
 
 /**
@@ -106,6 +108,67 @@ export function createIndexManagerComponent(nextIndex = 0) {
   return { nextIndex };
 }
 
+/**
+ * A polymer being synthesized by a catalytic residue (RPF, PBF)
+ * Lives on its own entity so it survives the catalyst's molecule moving.
+ * @typedef {Object} GrowingChainComponent
+ * @property {string} catalystMoleculeId - Molecule containing the catalytic residue
+ * @property {string} catalyst - Catalytic function ('transcription' or 'translation')
+ * @property {string|null} chainMoleculeId - Molecule being extended (null until first monomer)
+ * @property {string|null} templateMoleculeId - Molecule being read
+ * @property {number} length - Monomers added so far
+ * @property {number} readIndex - Next template position to read (translation)
+ */
+export function createGrowingChainComponent(catalystMoleculeId, catalyst, chainMoleculeId = null, templateMoleculeId = null) {
+  return { catalystMoleculeId, catalyst, chainMoleculeId, templateMoleculeId, length: 0, readIndex: 0 };
+}
+
+/**
+ * A shape-complementarity lock between two molecules
+ * Keyed by molecule ID so it covers every residue of both molecules.
+ * @typedef {Object} ShapeBondComponent
+ * @property {string} moleculeA - Fixed molecule
+ * @property {string} moleculeB - Docked molecule
+ * @property {number} strength - Complementarity score when docked
+ */
+export function createShapeBondComponent(moleculeA, moleculeB, strength) {
+  return { moleculeA, moleculeB, strength };
+}
+
+/**
+ * Per-hex temperature field (singleton)
+ * Sparse: hexes missing from `cells` are at the ambient temperature.
+ * @typedef {Object} TemperatureFieldComponent
+ * @property {number} ambient - Background temperature in K
+ * @property {Map<string, number>} cells - "q,r" -> temperature in K
+ */
+export function createTemperatureFieldComponent(ambient = 300) {
+  return { ambient, cells: new Map() };
+}
+
+/**
+ * Free ATP concentration per hex (singleton)
+ * Sparse: hexes missing from `cells` are at the bulk baseline.
+ * @typedef {Object} ATPFieldComponent
+ * @property {number} baseline - Bulk concentration (1 = one ATP available per hex)
+ * @property {Map<string, number>} cells - "q,r" -> concentration
+ */
+export function createATPFieldComponent(baseline = 1) {
+  return { baseline, cells: new Map() };
+}
+
+/**
+ * An ATP regeneration site
+ * Recharges ADP next to it and feeds the ATP concentration field.
+ * @typedef {Object} ATPSourceComponent
+ * @property {number} q - Axial coordinate q
+ * @property {number} r - Axial coordinate r
+ * @property {number} rate - ATP regenerated per tick
+ */
+export function createATPSourceComponent(q, r, rate = 1) {
+  return { q, r, rate };
+}
+
 /**
  * Component type names (constants for consistency)
  */
@@ -120,4 +183,9 @@ export const COMPONENT_TYPES = {
   ADP: 'ADP',
   CONFIG: 'Config',
   INDEX_MANAGER: 'IndexManager',
+  GROWING_CHAIN: 'GrowingChain',
+  SHAPE_BOND: 'ShapeBond',
+  TEMPERATURE_FIELD: 'TemperatureField',
+  ATP_FIELD: 'ATPField',
+  ATP_SOURCE: 'ATPSource',
 };
@@ -18,6 +18,7 @@ import {
   buildPositionMap,
   getEntityAtPosition,
   getAdjacentEntities,
+  residuesByHex,
 } from './queries.js';
 
 describe('ECS World', () => {
@@ -169,6 +170,87 @@ describe('ECS World', () => {
 
       expect(results).toHaveLength(0);
     });
+
+    test('cached queries follow components being added and removed', () => {
+      const query = [COMPONENT_TYPES.POSITION, COMPONENT_TYPES.SIGNAL];
+      const e1 = world.createEntity();
+      const e2 = world.createEntity();
+      world.addComponent(e1, COMPONENT_TYPES.POSITION, createPositionComponent(0, 0, 'mol1'));
+      world.addComponent(e2, COMPONENT_TYPES.POSITION, createPositionComponent(1, 0, 'mol1'));
+
+      expect(world.query(query)).toEqual([]);
+
+      world.addComponent(e2, COMPONENT_TYPES.SIGNAL, createSignalComponent());
+      world.addComponent(e1, COMPONENT_TYPES.SIGNAL, createSignalComponent());
+      expect(world.query(query)).toEqual([e2, e1]);
+
+      world.removeComponent(e2, COMPONENT_TYPES.POSITION);
+      expect(world.query(query)).toEqual([e1]);
+
+      world.destroyEntity(e1);
+      expect(world.query(query)).toEqual([]);
+    });
+
+    test('replacing a component does not change query results', () => {
+      const e1 = world.createEntity();
+      world.addComponent(e1, COMPONENT_TYPES.POSITION, createPositionComponent(0, 0, 'mol1'));
+      world.query([COMPONENT_TYPES.POSITION]);
+
+      world.addComponent(e1, COMPONENT_TYPES.POSITION, createPositionComponent(1, 0, 'mol1'));
+
+      expect(world.query([COMPONENT_TYPES.POSITION])).toEqual([e1]);
+    });
+
+    test('query results are copies', () => {
+      const e1 = world.createEntity();
+      world.addComponent(e1, COMPONENT_TYPES.POSITION, createPositionComponent(0, 0, 'mol1'));
+
+      world.query([COMPONENT_TYPES.POSITION]).pop();
+
+      expect(world.query([COMPONENT_TYPES.POSITION])).toEqual([e1]);
+    });
+
+    test('queries for types registered later start matching', () => {
+      const e1 = world.createEntity();
+      expect(world.query(['Marker'])).toEqual([]);
+
+      world.addComponent(e1, 'Marker', {});
+
+      expect(world.query(['Marker'])).toEqual([e1]);
+    });
+
+    test('subscribers hear entities entering and leaving a query', () => {
+      const added = [];
+      const removed = [];
+      const e1 = world.createEntity();
+      world.addComponent(e1, COMPONENT_TYPES.POSITION, createPositionComponent(0, 0, 'mol1'));
+
+      const unsubscribe = world.subscribe([COMPONENT_TYPES.POSITION, COMPONENT_TYPES.RESIDUE], {
+        added: entityId => added.push(entityId),
+        removed: entityId => removed.push(world.getComponent(entityId, COMPONENT_TYPES.RESIDUE).type)
+      });
+
+      world.addComponent(e1, COMPONENT_TYPES.RESIDUE, createResidueComponent('SIG', 0, 0));
+      world.destroyEntity(e1);
+      expect(added).toEqual([e1]);
+      expect(removed).toEqual(['SIG']);
+
+      unsubscribe();
+      const e2 = world.createEntity();
+      world.addComponent(e2, COMPONENT_TYPES.POSITION, createPositionComponent(0, 0, 'mol1'));
+      world.addComponent(e2, COMPONENT_TYPES.RESIDUE, createResidueComponent('SIG', 0, 0));
+      expect(added).toEqual([e1]);
+    });
+
+    test('clear empties cached queries', () => {
+      const e1 = world.createEntity();
+      world.addComponent(e1, COMPONENT_TYPES.POSITION, createPositionComponent(0, 0, 'mol1'));
+      world.query([COMPONENT_TYPES.POSITION]);
+
+      world.clear();
+
+      expect(world.query([COMPONENT_TYPES.POSITION])).toEqual([]);
+    });
   });
 
   describe('Component Counts', () => {
@@ -184,6 +266,73 @@ describe('ECS World', () => {
     });
   });
 
+  describe('Spatial Index', () => {
+    test('indexes positions as they are added', () => {
+      const e1 = world.createEntity();
+      world.addComponent(e1, COMPONENT_TYPES.POSITION, createPositionComponent(2, -1, 'mol1'));
+
+      expect(world.getEntityAt(2, -1)).toBe(e1);
+      expect(world.getEntitiesAt(2, -1)).toEqual([e1]);
+      expect(world.getEntityAt(0, 0)).toBeUndefined();
+      expect(world.getEntitiesAt(0, 0)).toEqual([]);
+    });
+
+    test('moves entities when their position is replaced', () => {
+      const e1 = world.createEntity();
+      world.addComponent(e1, COMPONENT_TYPES.POSITION, createPositionComponent(0, 0, 'mol1'));
+      world.addComponent(e1, COMPONENT_TYPES.POSITION, createPositionComponent(3, 0, 'mol1'));
+
+      expect(world.getEntityAt(0, 0)).toBeUndefined();
+      expect(world.getEntityAt(3, 0)).toBe(e1);
+    });
+
+    test('drops entities on removeComponent and destroyEntity', () => {
+      const e1 = world.createEntity();
+      const e2 = world.createEntity();
+      world.addComponent(e1, COMPONENT_TYPES.POSITION, createPositionComponent(0, 0, 'mol1'));
+      world.addComponent(e2, COMPONENT_TYPES.POSITION, createPositionComponent(1, 0, 'mol1'));
+
+      world.removeComponent(e1, COMPONENT_TYPES.POSITION);
+      world.destroyEntity(e2);
+
+      expect(world.getEntityAt(0, 0)).toBeUndefined();
+      expect(world.getEntityAt(1, 0)).toBeUndefined();
+      expect(world.spatialIndex.size).toBe(0);
+    });
+
+    test('unindexes the hex an entity was added at, even if edited in place', () => {
+      const e1 = world.createEntity();
+      const position = createPositionComponent(0, 0, 'mol1');
+      world.addComponent(e1, COMPONENT_TYPES.POSITION, position);
+      position.q = 5;
+
+      world.destroyEntity(e1);
+
+      expect(world.getEntitiesAt(0, 0)).toEqual([]);
+    });
+
+    test('keeps overlapping entities in placement order', () => {
+      const e1 = world.createEntity();
+      const e2 = world.createEntity();
+      world.addComponent(e1, COMPONENT_TYPES.POSITION, createPositionComponent(0, 0, 'mol1'));
+      world.addComponent(e2, COMPONENT_TYPES.POSITION, createPositionComponent(0, 0, 'mol2'));
+      world.addComponent(e2, COMPONENT_TYPES.RESIDUE, createResidueComponent('SIG', 0, 0));
+
+      expect(world.getEntitiesAt(0, 0)).toEqual([e1, e2]);
+      expect(world.getEntityAt(0, 0)).toBe(e1);
+      expect(world.getEntityAt(0, 0, [COMPONENT_TYPES.RESIDUE])).toBe(e2);
+    });
+
+    test('clear empties the index', () => {
+      const e1 = world.createEntity();
+      world.addComponent(e1, COMPONENT_TYPES.POSITION, createPositionComponent(0, 0, 'mol1'));
+
+      world.clear();
+
+      expect(world.getEntityAt(0, 0)).toBeUndefined();
+    });
+  });
+
   describe('Clear', () => {
     test('clears all entities and components', () => {
       const e1 = world.createEntity();
@@ -277,6 +426,32 @@ describe('ECS Queries', () => {
     expect(entity).toBeUndefined();
   });
 
+  test('residuesByHex looks up residues by hex', () => {
+    const view = residuesByHex(world);
+
+    expect(view.get('1,0')).toEqual({
+      entityId: 1,
+      position: world.getComponent(1, COMPONENT_TYPES.POSITION),
+      residue: world.getComponent(1, COMPONENT_TYPES.RESIDUE)
+    });
+    expect(view.has('2,0')).toBe(true);
+    expect(view.get('5,5')).toBeUndefined();
+    expect([...view.values()].map(e => e.entityId)).toEqual([0, 1, 2]);
+  });
+
+  test('residuesByHex is shared and follows changes to the world', () => {
+    const view = residuesByHex(world);
+    expect(residuesByHex(world)).toBe(view);
+
+    world.addComponent(2, COMPONENT_TYPES.POSITION, createPositionComponent(4, 0, 'mol2'));
+    const e4 = world.createEntity();
+    world.addComponent(e4, COMPONENT_TYPES.POSITION, createPositionComponent(5, 0, 'mol3'));
+
+    expect(view.has('2,0')).toBe(false);
+    expect(view.get('4,0').entityId).toBe(2);
+    expect(view.has('5,0')).toBe(false); // No residue component
+  });
+
   test('getAdjacentEntities finds hex neighbors', () => {
     // Add entity at (1, -1) which is adjacent to (0, 0)
     const e4 = world.createEntity();
@@ -6,6 +6,7 @@
  */
 
 import { COMPONENT_TYPES } from './components.js';
+import { checkCircuit } from '../physics/circuit.js';
 
 export class WorldInspector {
   /**
@@ -129,7 +130,9 @@ export class WorldInspector {
   /**
    * Validate World integrity
    * Checks for common issues like orphaned components, position conflicts, etc.
-   * @returns {Object} { valid: boolean, errors: [...], warnings: [...] }
+   * Signal wiring problems (see physics/circuit.js checkCircuit) are reported
+   * as warnings and listed in full in circuitIssues.
+   * @returns {Object} { valid: boolean, errors: [...], warnings: [...], circuitIssues: [...] }
    */
   validate() {
     const errors = [];
@@ -204,13 +207,33 @@ export class WorldInspector {
       errors.push(`Multiple Config components found: ${configs.length}`);
     }
 
+    // Check signal wiring (design problems, not integrity errors)
+    const circuitIssues = checkCircuit(this._positionedResidues());
+    for (const issue of circuitIssues) {
+      warnings.push(`Circuit: ${issue.message}`);
+    }
+
     return {
       valid: errors.length === 0,
       errors,
-      warnings
+      warnings,
+      circuitIssues
     };
   }
 
+  /**
+   * Collect residues with positions in the form the signal code uses
+   * @private
+   * @returns {Array} [{index, type, q, r}, ...]
+   */
+  _positionedResidues() {
+    return this.world.query([COMPONENT_TYPES.POSITION, COMPONENT_TYPES.RESIDUE]).map(entityId => {
+      const position = this.world.getComponent(entityId, COMPONENT_TYPES.POSITION);
+      const residue = this.world.getComponent(entityId, COMPONENT_TYPES.RESIDUE);
+      return { index: residue.index, type: residue.type, q: position.q, r: position.r };
+    });
+  }
+
   /**
    * Print validation results to console
    */
@@ -189,6 +189,28 @@ describe('WorldInspector', () => {
       expect(result.valid).toBe(false);
       expect(result.errors.some(e => e.includes('Multiple Config'))).toBe(true);
     });
+
+    it('reports circuit wiring problems as warnings', () => {
+      const config = world.createEntity();
+      const indexMgr = world.createEntity();
+      world.addComponent(config, COMPONENT_TYPES.CONFIG, createConfigComponent());
+      world.addComponent(indexMgr, COMPONENT_TYPES.INDEX_MANAGER, createIndexManagerComponent());
+
+      // INP with nothing upstream, next to an AND
+      ['INP', 'AND'].forEach((type, i) => {
+        const e = world.createEntity();
+        world.addComponent(e, COMPONENT_TYPES.POSITION, createPositionComponent(i, 0, 'mol1'));
+        world.addComponent(e, COMPONENT_TYPES.RESIDUE, createResidueComponent(type, 0, i));
+      });
+
+      const result = inspector.validate();
+
+      expect(result.valid).toBe(true);
+      expect(result.circuitIssues).toEqual([
+        expect.objectContaining({ kind: 'floating_input', index: 0, q: 0, r: 0 })
+      ]);
+      expect(result.warnings.some(w => w.startsWith('Circuit: INP 0 at (0,0)'))).toBe(true);
+    });
   });
 
   describe('export()', () => {
@@ -303,6 +303,63 @@ export function example7_exportingData() {
   // fs.writeFileSync('profile.json', JSON.stringify(data, null, 2));
 }
 
+/**
+ * Example 8: Query Caching
+ *
+ * Compares World.query (cached, O(matches)) with the scan it replaced,
+ * which filtered every entity holding the first component type
+ */
+export function example8_queryCaching() {
+  console.log('\n=== Example 8: Query Caching ===\n');
+
+  const world = new World();
+  const profiler = new SystemProfiler();
+
+  // 5000 residues, 1 in 50 carrying a signal
+  for (let i = 0; i < 5000; i++) {
+    const entityId = world.createEntity();
+    world.addComponent(entityId, COMPONENT_TYPES.POSITION, createPositionComponent(i, 0, 'mol1'));
+    world.addComponent(entityId, COMPONENT_TYPES.RESIDUE, createResidueComponent('SIG', 0, i));
+    if (i % 50 === 0) {
+      world.addComponent(entityId, COMPONENT_TYPES.SIGNAL, createSignalComponent());
+    }
+  }
+
+  const scanQuery = componentTypes => {
+    const firstComponentMap = world.components.get(componentTypes[0]);
+    if (!firstComponentMap) return [];
+    return Array.from(firstComponentMap.keys()).filter(entityId =>
+      componentTypes.every(type => world.hasComponent(entityId, type)));
+  };
+
+  const queries = [
+    [COMPONENT_TYPES.POSITION, COMPONENT_TYPES.RESIDUE],
+    [COMPONENT_TYPES.POSITION, COMPONENT_TYPES.SIGNAL]
+  ];
+
+  for (const componentTypes of queries) {
+    const label = componentTypes.join('+');
+
+    for (let i = 0; i < 100; i++) {
+      const stop = profiler.startSystem(`scan:${label}`);
+      scanQuery(componentTypes);
+      stop();
+    }
+
+    for (let i = 0; i < 100; i++) {
+      const stop = profiler.startSystem(`cached:${label}`);
+      world.query(componentTypes);
+      stop();
+    }
+
+    const scan = profiler.getSystemStats(`scan:${label}`);
+    const cached = profiler.getSystemStats(`cached:${label}`);
+    console.log(`${label} (${world.query(componentTypes).length} matches):`);
+    console.log(`  Scan:   ${scan.overall.average.toFixed(3)}ms`);
+    console.log(`  Cached: ${cached.overall.average.toFixed(3)}ms`);
+  }
+}
+
 /**
  * Run all examples
  */
@@ -314,6 +371,7 @@ export function runAllExamples() {
   example5_gameLoopProfiling();
   example6_conditionalProfiling();
   example7_exportingData();
+  example8_queryCaching();
 
   console.log('\n=== All Examples Complete ===\n');
 }
@@ -2,6 +2,8 @@
  * Query helper functions for common ECS patterns
  */
 
+import { getNeighbors } from '../core/hex-layout.js';
+import { getBindingTarget } from '../data/amino-acids.js';
 import { COMPONENT_TYPES } from './components.js';
 
 /**
@@ -95,7 +97,7 @@ export function queryADP(world) {
   const entities = world.query([COMPONENT_TYPES.POSITION, COMPONENT_TYPES.ADP]);
   return entities.map(entity => ({
     entity,
-    position: world.getComponent(entity, COMPONENT_TYPES.ADP),
+    position: world.getComponent(entity, COMPONENT_TYPES.POSITION),
     adp: world.getComponent(entity, COMPONENT_TYPES.ADP),
   }));
 }
@@ -124,16 +126,17 @@ export function queryResiduesByMolecule(world, moleculeId) {
 
 /**
  * Build a position map for fast spatial lookups
+ * A snapshot copied from the world's spatial index; for single lookups use
+ * getEntityAtPosition or residuesByHex, which need no copy.
  * @param {World} world
  * @returns {Map<string, number>} Map of 'q,r' -> entityId
  */
 export function buildPositionMap(world) {
   const positionMap = new Map();
-  const positions = world.getComponents(COMPONENT_TYPES.POSITION);
 
-  for (const [entityId, position] of positions) {
-    const key = `${position.q},${position.r}`;
-    positionMap.set(key, entityId);
+  for (const key of world.spatialIndex.keys()) {
+    const [q, r] = key.split(',').map(Number);
+    positionMap.set(key, world.getEntityAt(q, r));
   }
 
   return positionMap;
@@ -147,15 +150,51 @@ export function buildPositionMap(world) {
  * @returns {number|undefined} Entity ID or undefined if no entity at that position
  */
 export function getEntityAtPosition(world, q, r) {
-  const positions = world.getComponents(COMPONENT_TYPES.POSITION);
+  return world.getEntityAt(q, r);
+}
+
+// Views are stateless wrappers around the world's index, so one per world
+const residueViews = new WeakMap();
+
+/**
+ * Positioned residues by hex, backed by the world's spatial index
+ * A live, read-only Map-like view ("q,r" -> {entityId, position, residue})
+ * shared by the systems: it is never rebuilt, lookups are O(1), and it
+ * always reflects the world's current positions.
+ * @param {World} world
+ * @returns {Object} {get(key), has(key), values()}
+ */
+export function residuesByHex(world) {
+  if (residueViews.has(world)) return residueViews.get(world);
+
+  const entry = entityId => ({
+    entityId,
+    position: world.getComponent(entityId, COMPONENT_TYPES.POSITION),
+    residue: world.getComponent(entityId, COMPONENT_TYPES.RESIDUE)
+  });
 
-  for (const [entityId, position] of positions) {
-    if (position.q === q && position.r === r) {
-      return entityId;
+  const view = {
+    get(key) {
+      const [q, r] = key.split(',').map(Number);
+      const entityId = world.getEntityAt(q, r, [COMPONENT_TYPES.RESIDUE]);
+      return entityId === undefined ? undefined : entry(entityId);
+    },
+    has(key) {
+      return view.get(key) !== undefined;
+    },
+    * values() {
+      for (const entities of world.spatialIndex.values()) {
+        for (const entityId of entities) {
+          if (world.hasComponent(entityId, COMPONENT_TYPES.RESIDUE)) {
+            yield entry(entityId);
+          }
+        }
+      }
     }
-  }
+  };
 
-  return undefined;
+  residueViews.set(world, view);
+  return view;
 }
 
 /**
@@ -177,19 +216,62 @@ export function getAdjacentEntities(world, q, r) {
   ];
 
   const adjacent = [];
-  const positions = world.getComponents(COMPONENT_TYPES.POSITION);
 
   for (const offset of neighborOffsets) {
-    const neighborQ = q + offset.dq;
-    const neighborR = r + offset.dr;
-
-    for (const [entityId, position] of positions) {
-      if (position.q === neighborQ && position.r === neighborR) {
-        adjacent.push({ entity: entityId, position });
-        break; // Only one entity per position
-      }
+    const entityId = world.getEntityAt(q + offset.dq, r + offset.dr);
+    if (entityId !== undefined) {
+      // Only one entity per position
+      adjacent.push({ entity: entityId, position: world.getComponent(entityId, COMPONENT_TYPES.POSITION) });
     }
   }
 
   return adjacent;
 }
+
+/**
+ * Find the growing chain entity for a catalyst molecule
+ * @param {World} world
+ * @param {string} catalystMoleculeId
+ * @param {string} catalyst - 'transcription' or 'translation'
+ * @returns {number|null} Entity ID
+ */
+export function findGrowingChain(world, catalystMoleculeId, catalyst) {
+  const entities = world.query([COMPONENT_TYPES.GROWING_CHAIN]);
+  for (const entity of entities) {
+    const chain = world.getComponent(entity, COMPONENT_TYPES.GROWING_CHAIN);
+    if (chain.catalystMoleculeId === catalystMoleculeId && chain.catalyst === catalyst) {
+      return entity;
+    }
+  }
+  return null;
+}
+
+/**
+ * Check whether a residue binds a nucleotide (same rule as Complex.findBindings)
+ * @param {string} residueType
+ * @param {string} nucleotideType
+ * @returns {boolean}
+ */
+export function bindsTo(residueType, nucleotideType) {
+  const target = getBindingTarget(residueType);
+  if (!target) return false;
+  return nucleotideType === target || (target === 'T' && nucleotideType === 'U');
+}
+
+/**
+ * Find an ATP position adjacent to a hex
+ * @param {number} q
+ * @param {number} r
+ * @param {Object} positionMap - Residues by hex (see residuesByHex)
+ * @returns {Object|null} {q, r} of adjacent ATP
+ */
+export function findAdjacentATP(q, r, positionMap) {
+  for (const neighbor of getNeighbors(q, r)) {
+    const other = positionMap.get(`${neighbor.q},${neighbor.r}`);
+    if (other && other.residue.type === 'ATP') {
+      return { q: neighbor.q, r: neighbor.r };
+    }
+  }
+
+  return null;
+}
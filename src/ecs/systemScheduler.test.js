@@ -304,9 +304,30 @@ describe('SystemScheduler', () => {
       expect(order).toEqual(['sys1', 'sys3']);
       expect(order).not.toContain('sys2');
     });
+
+    it('uses a custom phase order', () => {
+      const custom = new SystemScheduler(world, { phases: ['binding', 'signals'] });
+      custom.registerSystem('signal', () => {}, { phase: 'signals' });
+      custom.registerSystem('bind', () => {}, { phase: 'binding' });
+
+      expect(custom.getSystemOrder()).toEqual(['bind', 'signal']);
+
+      custom.setPhaseOrder(['signals', 'binding']);
+      expect(custom.getSystemOrder()).toEqual(['signal', 'bind']);
+    });
   });
 
   describe('Integration', () => {
+    it('merges per-system context overrides', () => {
+      scheduler.registerSystem('a', (w, ctx) => ({ value: ctx.value }));
+      scheduler.registerSystem('b', (w, ctx) => ({ value: ctx.value }));
+
+      const results = scheduler.tick({ value: 'shared', systems: { b: { value: 'own' } } });
+
+      expect(results.get('a').value).toBe('shared');
+      expect(results.get('b').value).toBe('own');
+    });
+
     it('systems can communicate via shared context', () => {
       const producerSystem = (w, ctx) => {
         ctx.sharedData = 'hello from producer';
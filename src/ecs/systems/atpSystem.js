@@ -0,0 +1,148 @@
+/**
+ * ECS ATP Supply System
+ *
+ * Operates on World components to:
+ * - Track free ATP concentration per hex (ATPField singleton)
+ * - Let ATR residues draw ATP from the field, depleting it locally
+ * - Diffuse the field and exchange with the bulk baseline each tick
+ * - Run regeneration sites (ATPSource) that recharge nearby ADP to ATP
+ *
+ * Consumed ATP leaves an ADP entity behind, and only regeneration sites
+ * turn ADP back into ATP. The bulk baseline stands in for a large outside
+ * reservoir; set it to 0 for a closed system where every ATP must come
+ * from a regeneration site.
+ */
+
+import { getNeighbors } from '../../core/hex-layout.js';
+import { ENERGY_CONSTANTS } from '../../data/amino-acids.js';
+import { COMPONENT_TYPES } from '../components.js';
+import { diffuseField } from './heatSystem.js';
+
+/**
+ * Find the ATP concentration field component
+ * @param {World} world
+ * @returns {Object|null} {baseline, cells}
+ */
+export function findATPField(world) {
+  const [entityId] = world.query([COMPONENT_TYPES.ATP_FIELD]);
+  return entityId === undefined ? null : world.getComponent(entityId, COMPONENT_TYPES.ATP_FIELD);
+}
+
+/**
+ * Get the free ATP concentration at a hex
+ * @param {World} world
+ * @param {number} q
+ * @param {number} r
+ * @returns {number} Concentration (the default baseline if the world has no field)
+ */
+export function getATPConcentration(world, q, r) {
+  const field = findATPField(world);
+  if (!field) return ENERGY_CONSTANTS.ATP_BASELINE;
+  return field.cells.get(`${q},${r}`) ?? field.baseline;
+}
+
+/**
+ * Take ATP out of the field at a hex
+ * @param {World} world
+ * @param {number} q
+ * @param {number} r
+ * @param {number} amount - Concentration to remove
+ * @returns {number} Amount actually removed (never more than is there)
+ */
+export function drawATP(world, q, r, amount = 1) {
+  const field = findATPField(world);
+  if (!field) return amount;
+
+  const key = `${q},${r}`;
+  const available = field.cells.get(key) ?? field.baseline;
+  const drawn = Math.min(available, amount);
+  field.cells.set(key, available - drawn);
+  return drawn;
+}
+
+/**
+ * Add ATP to the field at a hex
+ * @param {World} world
+ * @param {number} q
+ * @param {number} r
+ * @param {number} amount - Concentration to add
+ * @returns {number} New concentration at the hex
+ */
+export function supplyATP(world, q, r, amount) {
+  const field = findATPField(world);
+  if (!field) {
+    throw new Error('supplyATP requires an ATPField');
+  }
+
+  const key = `${q},${r}`;
+  const concentration = (field.cells.get(key) ?? field.baseline) + amount;
+  field.cells.set(key, concentration);
+  return concentration;
+}
+
+/**
+ * Process one tick of ATP supply
+ * Each regeneration site recharges up to `rate` ADP molecules on or next to
+ * it; unused capacity is released into the concentration field at the site.
+ * The field then diffuses and exchanges with the bulk baseline.
+ *
+ * @param {World} world
+ * @param {Object} options
+ * @param {number} options.diffusionRate - Exchange fraction per neighbor per tick
+ * @param {number} options.exchangeRate - Fraction of the difference from bulk restored per tick
+ * @param {Function} options.onRegenerate - Callback to turn ADP back into ATP: (q, r) => boolean
+ * @returns {Object} {regenerated: [{q, r, source}], supplied: number, count: number}
+ */
+export function processATPSupply(world, options = {}) {
+  const {
+    diffusionRate = ENERGY_CONSTANTS.ATP_DIFFUSION,
+    exchangeRate = ENERGY_CONSTANTS.ATP_EXCHANGE,
+    onRegenerate = null
+  } = options;
+
+  if (!onRegenerate) {
+    throw new Error('processATPSupply requires onRegenerate callback');
+  }
+
+  const field = findATPField(world);
+  if (!field) {
+    throw new Error('processATPSupply requires an ATPField');
+  }
+
+  const adpPositions = new Set();
+  for (const entityId of world.query([COMPONENT_TYPES.POSITION, COMPONENT_TYPES.ADP])) {
+    const position = world.getComponent(entityId, COMPONENT_TYPES.POSITION);
+    adpPositions.add(`${position.q},${position.r}`);
+  }
+
+  const regenerated = [];
+  let supplied = 0;
+
+  for (const entityId of world.query([COMPONENT_TYPES.ATP_SOURCE])) {
+    const source = world.getComponent(entityId, COMPONENT_TYPES.ATP_SOURCE);
+    let capacity = source.rate;
+
+    const sites = [{ q: source.q, r: source.r }, ...getNeighbors(source.q, source.r)];
+    for (const { q, r } of sites) {
+      if (capacity < 1) break;
+      const key = `${q},${r}`;
+      if (!adpPositions.has(key) || !onRegenerate(q, r)) continue;
+
+      adpPositions.delete(key);
+      regenerated.push({ q, r, source: { q: source.q, r: source.r } });
+      capacity--;
+    }
+
+    if (capacity > 0) {
+      supplyATP(world, source.q, source.r, capacity);
+      supplied += capacity;
+    }
+  }
+
+  field.cells = diffuseField(field.cells, field.baseline, {
+    diffusionRate,
+    relaxRate: exchangeRate
+  });
+
+  return { regenerated, supplied, count: regenerated.length };
+}
@@ -0,0 +1,202 @@
+/**
+ * ECS Brownian Motion System
+ *
+ * Operates on World components to:
+ * - Find rigid groups of molecules (BTx bindings, base pairing, shape locks)
+ * - Randomly translate each group one hex, or rotate it 60° about its pivot
+ * - Reject moves that would collide with molecules outside the group
+ *
+ * Motion is temperature-scaled and slows with group size (Stokes-Einstein:
+ * diffusion ∝ T / size). Each group gets at most one move per tick.
+ */
+
+import { getNeighbors, moveInDirection, rotateHex } from '../../core/hex-layout.js';
+import { ENERGY_CONSTANTS, getBindingTarget } from '../../data/amino-acids.js';
+import { COMPONENT_TYPES } from '../components.js';
+import { bindsTo, residuesByHex } from '../queries.js';
+
+/**
+ * Group molecules that are held together
+ * Molecules joined by a BTx binding, base pairing or a shape lock form one group.
+ * @param {World} world
+ * @param {string[]} moleculeIds - All molecules, in a stable order
+ * @param {Object} positionMap - Residues by hex (see residuesByHex)
+ * @returns {Array<string[]>} Groups of molecule IDs
+ */
+export function findRigidGroups(world, moleculeIds, positionMap) {
+  const parent = new Map(moleculeIds.map(id => [id, id]));
+  const find = id => {
+    while (parent.get(id) !== id) id = parent.get(id);
+    return id;
+  };
+  const union = (a, b) => {
+    const rootA = find(a);
+    const rootB = find(b);
+    if (rootA !== rootB) parent.set(rootB, rootA);
+  };
+
+  for (const { entityId, position, residue } of positionMap.values()) {
+    if (getBindingTarget(residue.type)) {
+      for (const neighbor of getNeighbors(position.q, position.r)) {
+        const other = positionMap.get(`${neighbor.q},${neighbor.r}`);
+        if (!other || other.position.moleculeId === position.moleculeId) continue;
+        if (bindsTo(residue.type, other.residue.type)) {
+          union(position.moleculeId, other.position.moleculeId);
+        }
+      }
+    }
+
+    const pairing = world.getComponent(entityId, 'BasePairing');
+    const partner = pairing && world.getComponent(pairing.pairedEntityId, COMPONENT_TYPES.POSITION);
+    if (partner) {
+      union(position.moleculeId, partner.moleculeId);
+    }
+  }
+
+  for (const entityId of world.query([COMPONENT_TYPES.SHAPE_BOND])) {
+    const { moleculeA, moleculeB } = world.getComponent(entityId, COMPONENT_TYPES.SHAPE_BOND);
+    if (parent.has(moleculeA) && parent.has(moleculeB)) {
+      union(moleculeA, moleculeB);
+    }
+  }
+
+  const groups = new Map();
+  for (const id of moleculeIds) {
+    const root = find(id);
+    if (!groups.has(root)) groups.set(root, []);
+    groups.get(root).push(id);
+  }
+  return [...groups.values()];
+}
+
+/**
+ * Check that a group's residues can occupy new hexes
+ * @param {Set} members - Molecule IDs in the group
+ * @param {Array} targets - [{q, r}, ...] new positions
+ * @param {Object} positionMap - Residues by hex (see residuesByHex)
+ * @returns {Array} Conflicts [{q, r, moleculeId}, ...]
+ */
+function findCollisions(members, targets, positionMap) {
+  const conflicts = [];
+  for (const { q, r } of targets) {
+    const other = positionMap.get(`${q},${r}`);
+    if (other && !members.has(other.position.moleculeId)) {
+      conflicts.push({ q, r, moleculeId: other.position.moleculeId });
+    }
+  }
+  return conflicts;
+}
+
+/**
+ * Process Brownian motion for all molecules
+ * Each group translates with probability translationRate × (T / T_room) / size,
+ * or rotates with probability rotationRate × (T / T_room) / size.
+ *
+ * @param {World} world
+ * @param {Object} options
+ * @param {number} options.temperature - Temperature in K (default room temperature)
+ * @param {number} options.translationRate - Translation chance per tick at room temperature for one residue (default 0.5)
+ * @param {number} options.rotationRate - Rotation chance per tick at room temperature for one residue (default 0.25)
+ * @param {Set} options.anchored - Molecule IDs that never move (their whole group stays put)
+ * @param {Function} options.randomFn - Random function for testing (default Math.random)
+ * @param {Function} options.onMove - Callback to move a group at once: ([{moleculeId, q, r, direction}, ...]) => void
+ * @returns {Object} {moved: [{molecules, motion, ...}], blocked: [...], count: number}
+ */
+export function processBrownianMotion(world, options = {}) {
+  const {
+    temperature = ENERGY_CONSTANTS.ROOM_TEMPERATURE,
+    translationRate = 0.5,
+    rotationRate = 0.25,
+    anchored = new Set(),
+    randomFn = Math.random,
+    onMove = null
+  } = options;
+
+  if (!onMove) {
+    throw new Error('processBrownianMotion requires onMove callback');
+  }
+
+  const metas = new Map();
+  for (const entityId of world.query([COMPONENT_TYPES.MOLECULE_META])) {
+    const meta = world.getComponent(entityId, COMPONENT_TYPES.MOLECULE_META);
+    metas.set(meta.molecule.id, meta);
+  }
+
+  // Live view, so each group sees where earlier groups moved
+  const positionMap = residuesByHex(world);
+  const groups = findRigidGroups(world, [...metas.keys()], positionMap);
+  const thermal = Math.max(0, temperature / ENERGY_CONSTANTS.ROOM_TEMPERATURE);
+
+  // Grouped once up front: moving a group only relays out that group's own
+  // residues, and each group is visited once
+  const residuesByMolecule = new Map();
+  for (const entry of positionMap.values()) {
+    const { moleculeId } = entry.position;
+    if (!residuesByMolecule.has(moleculeId)) residuesByMolecule.set(moleculeId, []);
+    residuesByMolecule.get(moleculeId).push(entry);
+  }
+
+  const moved = [];
+  const blocked = [];
+
+  for (const group of groups) {
+    if (group.some(id => anchored.has(id))) continue;
+
+    const members = new Set(group);
+    const residues = group.flatMap(id => residuesByMolecule.get(id) || []);
+    if (residues.length === 0) continue;
+
+    const diffusion = thermal / residues.length;
+    const translateChance = Math.min(1, translationRate * diffusion);
+    const rotateChance = Math.min(1 - translateChance, rotationRate * diffusion);
+
+    const roll = randomFn();
+    let motion;
+    if (roll < translateChance) {
+      const direction = Math.floor(randomFn() * 6);
+      const [dq, dr] = moveInDirection(0, 0, direction);
+      motion = {
+        motion: 'translate',
+        direction,
+        delta: { q: dq, r: dr },
+        place: (q, r) => [q + dq, r + dr],
+        turn: 0
+      };
+    } else if (roll < translateChance + rotateChance) {
+      const steps = randomFn() < 0.5 ? 1 : -1;
+      const first = metas.get(group[0]);
+      const pivot = { q: first.offsetQ, r: first.offsetR };
+      motion = {
+        motion: 'rotate',
+        steps,
+        pivot,
+        place: (q, r) => rotateHex(q, r, steps, pivot),
+        turn: steps
+      };
+    } else {
+      continue;
+    }
+
+    const targets = residues.map(({ position }) => {
+      const [q, r] = motion.place(position.q, position.r);
+      return { q, r };
+    });
+    const conflicts = findCollisions(members, targets, positionMap);
+
+    const { place, turn, ...details } = motion;
+    if (conflicts.length > 0) {
+      blocked.push({ molecules: group, ...details, conflicts });
+      continue;
+    }
+
+    onMove(group.map(moleculeId => {
+      const meta = metas.get(moleculeId);
+      const [q, r] = place(meta.offsetQ, meta.offsetR);
+      return { moleculeId, q, r, direction: (meta.direction + turn + 6) % 6 };
+    }));
+
+    moved.push({ molecules: group, ...details });
+  }
+
+  return { moved, blocked, count: moved.length };
+}
@@ -0,0 +1,198 @@
+/**
+ * ECS Eject System
+ *
+ * Operates on World components to:
+ * - Process EJT (Eject) residues that unbind adjacent molecules
+ * - Move the ejected molecule out of contact with the ejecting molecule
+ * - Consume one ATP per ejection
+ *
+ * The ejected molecule is moved straight away from the EJT residue, one hex
+ * at a time, until none of its residues touch the ejector's molecule.
+ */
+
+import { getNeighbors, moveInDirection } from '../../core/hex-layout.js';
+import { getBindingTarget } from '../../data/amino-acids.js';
+import { COMPONENT_TYPES } from '../components.js';
+import { bindsTo, findAdjacentATP, residuesByHex } from '../queries.js';
+
+/**
+ * Find bindings between two molecules
+ * @param {string} moleculeA
+ * @param {string} moleculeB
+ * @param {Object} positionMap - Residues by hex (see residuesByHex)
+ * @returns {Array} [{residueIndex, nucleotide}, ...]
+ */
+function findBindingsBetween(moleculeA, moleculeB, positionMap) {
+  const bindings = [];
+
+  for (const { position, residue } of positionMap.values()) {
+    const mine = position.moleculeId;
+    if (mine !== moleculeA && mine !== moleculeB) continue;
+    if (!getBindingTarget(residue.type)) continue;
+
+    const other = mine === moleculeA ? moleculeB : moleculeA;
+    for (const neighbor of getNeighbors(position.q, position.r)) {
+      const partner = positionMap.get(`${neighbor.q},${neighbor.r}`);
+      if (!partner || partner.position.moleculeId !== other) continue;
+
+      if (bindsTo(residue.type, partner.residue.type)) {
+        bindings.push({ residueIndex: residue.index, nucleotide: partner.residue.type });
+        break; // One binding per residue
+      }
+    }
+  }
+
+  return bindings;
+}
+
+/**
+ * Find the molecule an EJT residue acts on
+ * Prefers a molecule bound to the ejector's molecule, else the first neighbor.
+ * ATP and spent ADP are fuel, never ejected.
+ * @param {Object} entity - {position, residue}
+ * @param {Object} positionMap - Residues by hex (see residuesByHex)
+ * @returns {Object|null} {moleculeId, direction} - direction from EJT to target
+ */
+function findEjectTarget(entity, positionMap) {
+  const ownId = entity.position.moleculeId;
+  const candidates = [];
+
+  for (const neighbor of getNeighbors(entity.position.q, entity.position.r)) {
+    const other = positionMap.get(`${neighbor.q},${neighbor.r}`);
+    if (!other) continue;
+    if (other.position.moleculeId === ownId) continue;
+    if (other.residue.type === 'ATP' || other.residue.type === 'ADP') continue;
+
+    candidates.push({ moleculeId: other.position.moleculeId, direction: neighbor.direction });
+  }
+
+  if (candidates.length === 0) return null;
+
+  const bound = candidates.find(c => findBindingsBetween(ownId, c.moleculeId, positionMap).length > 0);
+  return bound || candidates[0];
+}
+
+/**
+ * Check a translated placement of a molecule
+ * @param {string} moleculeId - Molecule being moved
+ * @param {string} ejectorId - Molecule it must not touch
+ * @param {number} dq
+ * @param {number} dr
+ * @param {Object} positionMap - Residues by hex (see residuesByHex)
+ * @returns {Object} {overlaps: boolean, touches: boolean}
+ */
+function checkPlacement(moleculeId, ejectorId, dq, dr, positionMap) {
+  let overlaps = false;
+  let touches = false;
+
+  for (const { position } of positionMap.values()) {
+    if (position.moleculeId !== moleculeId) continue;
+
+    const q = position.q + dq;
+    const r = position.r + dr;
+    const occupant = positionMap.get(`${q},${r}`);
+    if (occupant && occupant.position.moleculeId !== moleculeId) {
+      overlaps = true;
+    }
+
+    for (const neighbor of getNeighbors(q, r)) {
+      const other = positionMap.get(`${neighbor.q},${neighbor.r}`);
+      if (other && other.position.moleculeId === ejectorId) {
+        touches = true;
+      }
+    }
+  }
+
+  return { overlaps, touches };
+}
+
+/**
+ * Process EJT (Eject) residues
+ * When signaled with adjacent ATP, EJT breaks the bindings between its
+ * molecule and an adjacent molecule, moving that molecule away until it is
+ * out of contact. Ejections that cannot find a free placement within
+ * maxDistance hexes, or that onMove fails to place, are rejected and keep the ATP.
+ *
+ * @param {World} world
+ * @param {Object} options
+ * @param {Map} options.signalState - Current signal state (residueIndex -> {on, source})
+ * @param {Function} options.onMove - Callback to translate a molecule: (moleculeId, dq, dr) => {placed}
+ * @param {Function} options.onConsumeATP - Callback to consume ATP: (q, r) => boolean
+ * @param {number} options.maxDistance - Furthest the ejected molecule may travel (default 8)
+ * @returns {Object} {ejected: [...], blocked: [...], count: number}
+ */
+export function processEJTs(world, options = {}) {
+  const {
+    signalState = new Map(),
+    onMove = null,
+    onConsumeATP = null,
+    maxDistance = 8
+  } = options;
+
+  if (!onMove || !onConsumeATP) {
+    throw new Error('processEJTs requires onMove and onConsumeATP callbacks');
+  }
+
+  // Collect signaled ejectors up front (Position is updated in place as molecules move)
+  const ejectors = [];
+  const entityIds = world.query([COMPONENT_TYPES.POSITION, COMPONENT_TYPES.RESIDUE]);
+
+  for (const entityId of entityIds) {
+    const residue = world.getComponent(entityId, COMPONENT_TYPES.RESIDUE);
+    if (residue.type !== 'EJT') continue;
+    if (!signalState.get(residue.index)?.on) continue;
+    ejectors.push({ entityId, position: world.getComponent(entityId, COMPONENT_TYPES.POSITION), residue });
+  }
+
+  const ejected = [];
+  const blocked = [];
+
+  const positionMap = residuesByHex(world);
+
+  for (const entity of ejectors) {
+    if (!world.hasComponent(entity.entityId, COMPONENT_TYPES.POSITION)) continue; // Removed this tick
+
+    const { position } = entity;
+    const ejtIndex = entity.residue.index;
+
+    const atp = findAdjacentATP(position.q, position.r, positionMap);
+    if (!atp) continue;
+
+    const target = findEjectTarget(entity, positionMap);
+    if (!target) continue;
+
+    const brokenBindings = findBindingsBetween(position.moleculeId, target.moleculeId, positionMap);
+    const [stepQ, stepR] = moveInDirection(0, 0, target.direction);
+
+    let distance = 0;
+    for (let d = 1; d <= maxDistance; d++) {
+      const placement = checkPlacement(
+        target.moleculeId, position.moleculeId, stepQ * d, stepR * d, positionMap
+      );
+      if (!placement.overlaps && !placement.touches) {
+        distance = d;
+        break;
+      }
+    }
+
+    const delta = { q: stepQ * distance, r: stepR * distance };
+    if (distance === 0 || !onMove(target.moleculeId, delta.q, delta.r)?.placed) {
+      blocked.push({ ejtIndex, moleculeId: target.moleculeId, direction: target.direction });
+      continue;
+    }
+
+    onConsumeATP(atp.q, atp.r);
+
+    ejected.push({
+      ejtIndex,
+      moleculeId: target.moleculeId,
+      direction: target.direction,
+      distance,
+      delta,
+      atp: `${atp.q},${atp.r}`,
+      brokenBindings
+    });
+  }
+
+  return { ejected, blocked, count: ejected.length };
+}
@@ -2,7 +2,7 @@
  * ECS Energy System
  *
  * Operates on World components to:
- * - Process ATR (Attractor) residues that spawn ATP
+ * - Process ATR (Attractor) residues that draw ATP from the local supply
  * - Calculate energy (folding, electrostatic, hydrophobic, binding)
  * - Manage ATP molecules
  */
@@ -14,32 +14,14 @@ import {
   getBindingTarget
 } from '../../data/amino-acids.js';
 import { COMPONENT_TYPES } from '../components.js';
-
-/**
- * Build a position map from World components
- * @param {World} world
- * @returns {Map} Map of "q,r" -> {entityId, position, residue}
- */
-function buildPositionMapFromWorld(world) {
-  const map = new Map();
-  const entityIds = world.query([COMPONENT_TYPES.POSITION, COMPONENT_TYPES.RESIDUE]);
-
-  for (const entityId of entityIds) {
-    const position = world.getComponent(entityId, COMPONENT_TYPES.POSITION);
-    const residue = world.getComponent(entityId, COMPONENT_TYPES.RESIDUE);
-
-    const key = `${position.q},${position.r}`;
-    map.set(key, { entityId, position, residue });
-  }
-
-  return map;
-}
+import { residuesByHex } from '../queries.js';
+import { drawATP, getATPConcentration } from './atpSystem.js';
 
 /**
  * Get adjacent entities for a given position
  * @param {number} q
  * @param {number} r
- * @param {Map} positionMap
+ * @param {Object} positionMap - Residues by hex (see residuesByHex)
  * @returns {Array} Array of {entityId, position, residue}
  */
 function getAdjacentEntities(q, r, positionMap) {
@@ -61,7 +43,7 @@ function getAdjacentEntities(q, r, positionMap) {
  * Check if a position is occupied
  * @param {number} q
  * @param {number} r
- * @param {Map} positionMap
+ * @param {Object} positionMap - Residues by hex (see residuesByHex)
  * @returns {boolean}
  */
 function isOccupied(q, r, positionMap) {
@@ -73,7 +55,7 @@ function isOccupied(q, r, positionMap) {
  * Find an unoccupied hex adjacent to a position
  * @param {number} q
  * @param {number} r
- * @param {Map} positionMap
+ * @param {Object} positionMap - Residues by hex (see residuesByHex)
  * @param {Function} randomFn
  * @returns {Object|null} {q, r} of empty hex, or null if all occupied
  */
@@ -95,13 +77,15 @@ function findEmptyAdjacentHex(q, r, positionMap, randomFn = Math.random) {
 
 /**
  * Process ATR (Attractor) residues
- * When signaled, ATR has a chance to spawn ATP in an adjacent empty hex
+ * When signaled, ATR has a chance to pull ATP into an adjacent empty hex.
+ * The chance scales with the free ATP concentration at that hex (capped at
+ * 1), and each ATP pulled in is drawn from the concentration field there.
  *
  * @param {World} world
  * @param {Object} options
  * @param {Map} options.signalState - Current signal state (residueIndex -> {on, source})
  * @param {Function} options.onSpawnATP - Callback to spawn ATP: (q, r) => {moleculeId}
- * @param {number} options.attractChance - Probability of attraction per tick
+ * @param {number} options.attractChance - Probability of attraction per tick at full concentration
  * @param {Function} options.randomFn - Random function for testing
  * @returns {Object} {attracted: [{moleculeId, q, r}, ...], count: number}
  */
@@ -117,7 +101,7 @@ export function processATRs(world, options = {}) {
     throw new Error('processATRs requires onSpawnATP callback');
   }
 
-  const positionMap = buildPositionMapFromWorld(world);
+  const positionMap = residuesByHex(world);
   const attracted = [];
 
   const entityIds = world.query([COMPONENT_TYPES.POSITION, COMPONENT_TYPES.RESIDUE]);
@@ -133,12 +117,18 @@ export function processATRs(world, options = {}) {
     if (!signalState.get(residue.index)?.on) continue;
 
     // Roll for attraction
-    if (randomFn() >= attractChance) continue;
+    const roll = randomFn();
+    if (roll >= attractChance) continue;
 
     // Find an unoccupied adjacent hex
     const emptyHex = findEmptyAdjacentHex(position.q, position.r, positionMap, randomFn);
     if (!emptyHex) continue;
 
+    // Depleted hexes attract less often
+    const concentration = getATPConcentration(world, emptyHex.q, emptyHex.r);
+    if (roll >= attractChance * Math.min(1, concentration)) continue;
+    drawATP(world, emptyHex.q, emptyHex.r, 1);
+
     // Spawn ATP via callback
     const result = onSpawnATP(emptyHex.q, emptyHex.r);
 
@@ -236,7 +226,7 @@ function calculateFoldingEnergy(world) {
 function calculateElectrostaticEnergy(world) {
   let energy = 0;
   const counted = new Set();
-  const positionMap = buildPositionMapFromWorld(world);
+  const positionMap = residuesByHex(world);
 
   const entityIds = world.query([COMPONENT_TYPES.POSITION, COMPONENT_TYPES.RESIDUE]);
 
@@ -276,7 +266,7 @@ function calculateElectrostaticEnergy(world) {
  */
 function calculateHydrophobicEnergy(world) {
   let energy = 0;
-  const positionMap = buildPositionMapFromWorld(world);
+  const positionMap = residuesByHex(world);
 
   const entityIds = world.query([COMPONENT_TYPES.POSITION, COMPONENT_TYPES.RESIDUE]);
 
@@ -316,5 +306,5 @@ function calculateHydrophobicEnergy(world) {
  */
 function calculateBindingEnergy(bindings) {
   // Each successful binding provides favorable energy
-  return bindings.size * -1.0; // -1 eV per binding
+  return bindings.size * ENERGY_CONSTANTS.BINDING_ENERGY;
 }
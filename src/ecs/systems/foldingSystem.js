@@ -0,0 +1,235 @@
+/**
+ * ECS Folding System
+ *
+ * Operates on World components to:
+ * - Run kinetic Monte Carlo (Gillespie) folding on a protein molecule
+ * - Sample single-bend transitions from buildTransitionMatrix by rate
+ * - Reject transitions that overlap the chain itself or other molecules
+ * - Score folds in context: other molecules' residues add electrostatic,
+ *   burial, steric and binding energy (see calculateFullEnergy)
+ * - Record a trajectory of simulated time, energy and fold states
+ * - Use each residue's local temperature, and drop the folding preference
+ *   of residues hotter than the denaturation temperature
+ *
+ * Each step picks one transition with probability rate / totalRate and
+ * advances time by an exponential waiting time with mean 1 / totalRate.
+ * The "stay" rate from the matrix is not used: Gillespie steps always move.
+ */
+
+import { moveInDirection, applyBend } from '../../core/hex-layout.js';
+import { ENERGY_CONSTANTS } from '../../data/amino-acids.js';
+import {
+  buildProteinWithPositions,
+  buildTransitionMatrix,
+  calculateFullEnergy
+} from '../../physics/energy.js';
+import { COMPONENT_TYPES } from '../components.js';
+import { findDenaturedResidues, getResidueTemperatures } from './heatSystem.js';
+
+/**
+ * Find the MoleculeMeta component for a molecule
+ * @param {World} world
+ * @param {string} moleculeId
+ * @returns {Object|null} {molecule, offsetQ, offsetR, direction}
+ */
+function findMoleculeMeta(world, moleculeId) {
+  for (const entityId of world.query([COMPONENT_TYPES.MOLECULE_META])) {
+    const meta = world.getComponent(entityId, COMPONENT_TYPES.MOLECULE_META);
+    if (meta.molecule.id === moleculeId) {
+      return meta;
+    }
+  }
+  return null;
+}
+
+/**
+ * Collect the residues of every molecule except one
+ * @param {World} world
+ * @param {string} moleculeId - Molecule to leave out
+ * @returns {Array} [{type, position: {q, r}}, ...]
+ */
+function buildEnvironment(world, moleculeId) {
+  const environment = [];
+  for (const entityId of world.query([COMPONENT_TYPES.POSITION, COMPONENT_TYPES.RESIDUE])) {
+    const position = world.getComponent(entityId, COMPONENT_TYPES.POSITION);
+    if (position.moleculeId !== moleculeId) {
+      const { type } = world.getComponent(entityId, COMPONENT_TYPES.RESIDUE);
+      environment.push({ type, position: { q: position.q, r: position.r } });
+    }
+  }
+  return environment;
+}
+
+/**
+ * Lay out a molecule's residues the same way Complex does
+ * @param {Object} meta - {offsetQ, offsetR, direction}
+ * @param {number[]} foldStates
+ * @returns {string[]} "q,r" key for each residue
+ */
+function layoutKeys(meta, foldStates) {
+  const keys = [];
+  let q = meta.offsetQ;
+  let r = meta.offsetR;
+  let direction = meta.direction;
+
+  for (let i = 0; i < foldStates.length; i++) {
+    keys.push(`${q},${r}`);
+
+    if (i < foldStates.length - 1) {
+      const steps = foldStates[i];
+      if (steps !== 0) {
+        direction = applyBend(direction, Math.abs(steps) * 60, steps > 0 ? 'left' : 'right');
+      }
+      [q, r] = moveInDirection(q, r, direction);
+    }
+  }
+
+  return keys;
+}
+
+/**
+ * Check whether a fold configuration fits without any overlap
+ * @param {Object} meta - Molecule meta (offset and direction)
+ * @param {number[]} foldStates
+ * @param {Set} obstacles - Hexes held by other molecules
+ * @returns {boolean}
+ */
+function fitsWithoutOverlap(meta, foldStates, obstacles) {
+  const seen = new Set();
+  for (const key of layoutKeys(meta, foldStates)) {
+    if (seen.has(key) || obstacles.has(key)) return false;
+    seen.add(key);
+  }
+  return true;
+}
+
+/**
+ * Pick a transition with probability proportional to its rate
+ * @param {Array} transitions - Transitions with positive rates
+ * @param {number} totalRate
+ * @param {number} u - Uniform random number in [0, 1)
+ * @returns {Object}
+ */
+function sampleTransition(transitions, totalRate, u) {
+  const target = u * totalRate;
+  let cumulative = 0;
+  for (const t of transitions) {
+    cumulative += t.rate;
+    if (target < cumulative) return t;
+  }
+  return transitions[transitions.length - 1];
+}
+
+/**
+ * Run Gillespie folding steps on one protein
+ * Stops early when no transition is possible (every move overlaps or has
+ * zero rate), or when the next transition would fall after `duration`.
+ *
+ * @param {World} world
+ * @param {Object} options
+ * @param {string} options.moleculeId - Protein to fold
+ * @param {number} options.steps - Maximum number of transitions (default 1)
+ * @param {number} options.temperature - Uniform temperature in K (default: local temperature field)
+ * @param {number} options.denatureAt - Denaturation temperature in K
+ * @param {number} options.time - Simulated time at the start (default 0)
+ * @param {number} options.duration - Simulated time to cover (default: unlimited)
+ * @param {Function} options.randomFn - Random function for testing (default Math.random)
+ * @param {Function} options.onSetFold - Callback to apply a fold: (moleculeId, index, steps) => void
+ * @returns {Object} {trajectory: [{time, energy, foldStates, transition}, ...], time, energy, count}
+ */
+export function processFolding(world, options = {}) {
+  const {
+    moleculeId = null,
+    steps = 1,
+    temperature = null,
+    denatureAt = ENERGY_CONSTANTS.DENATURATION_TEMPERATURE,
+    time: startTime = 0,
+    duration = Infinity,
+    randomFn = Math.random,
+    onSetFold = null
+  } = options;
+
+  if (!onSetFold) {
+    throw new Error('processFolding requires an onSetFold callback');
+  }
+
+  const meta = findMoleculeMeta(world, moleculeId);
+  if (!meta) {
+    throw new Error(`Molecule ${moleculeId} not found`);
+  }
+  if (meta.molecule.type !== 'protein') {
+    throw new Error(`Folding requires a protein, got ${meta.molecule.type}`);
+  }
+
+  const { sequence } = meta.molecule;
+  const environment = buildEnvironment(world, moleculeId);
+  const obstacles = new Set(environment.map(({ position }) => `${position.q},${position.r}`));
+  const context = {
+    placement: { q: meta.offsetQ, r: meta.offsetR, direction: meta.direction },
+    environment
+  };
+
+  // Residues move through the field as the chain folds, so re-read each step
+  const localTemperatures = () => (temperature === null
+    ? getResidueTemperatures(world, moleculeId)
+    : sequence.map(() => temperature));
+
+  const endTime = startTime + duration;
+  let time = startTime;
+  let temperatures = localTemperatures();
+  let denatured = findDenaturedResidues(temperatures, denatureAt);
+  let energy = calculateFullEnergy(sequence, meta.molecule.foldStates, denatured, context);
+  const trajectory = [{
+    time,
+    energy,
+    foldStates: [...meta.molecule.foldStates],
+    transition: null
+  }];
+
+  for (let step = 0; step < steps; step++) {
+    const foldStates = [...meta.molecule.foldStates];
+    const protein = buildProteinWithPositions(sequence, foldStates, denatured, context.placement);
+    const { transitions } = buildTransitionMatrix(protein, temperatures, sequence, foldStates, context);
+
+    const allowed = transitions.filter(t => {
+      if (!(t.rate > 0) || !Number.isFinite(t.deltaE)) return false;
+      const candidate = [...foldStates];
+      candidate[t.position] = t.toSteps;
+      return fitsWithoutOverlap(meta, candidate, obstacles);
+    });
+
+    const totalRate = allowed.reduce((sum, t) => sum + t.rate, 0);
+    if (totalRate === 0) break; // Trapped
+
+    // Waiting time first, then which transition fires
+    const nextTime = time + -Math.log(1 - randomFn()) / totalRate;
+    if (nextTime > endTime) break;
+    time = nextTime;
+    const chosen = sampleTransition(allowed, totalRate, randomFn());
+
+    onSetFold(moleculeId, chosen.position, chosen.toSteps);
+
+    temperatures = localTemperatures();
+    denatured = findDenaturedResidues(temperatures, denatureAt);
+    energy = calculateFullEnergy(sequence, meta.molecule.foldStates, denatured, context);
+    trajectory.push({
+      time,
+      energy,
+      foldStates: [...meta.molecule.foldStates],
+      transition: {
+        position: chosen.position,
+        fromSteps: chosen.fromSteps,
+        toSteps: chosen.toSteps,
+        deltaE: chosen.deltaE,
+        rate: chosen.rate
+      }
+    });
+  }
+
+  // A bounded run always covers its whole interval
+  if (Number.isFinite(endTime)) {
+    time = endTime;
+  }
+
+  return { trajectory, time, energy, count: trajectory.length - 1 };
+}
@@ -0,0 +1,179 @@
+/**
+ * ECS Heat System
+ *
+ * Operates on the TemperatureField singleton to:
+ * - Add heat at a hex (ATP consumption, binding events)
+ * - Diffuse heat to neighboring hexes each tick
+ * - Dissipate excess heat toward the ambient temperature
+ * - Report local temperatures and denatured residues for a molecule
+ *
+ * The field is sparse: only hexes that differ from ambient are stored.
+ * Diffusion is an explicit scheme, stable for diffusionRate ≤ 1/6.
+ */
+
+import { getNeighbors } from '../../core/hex-layout.js';
+import { ENERGY_CONSTANTS } from '../../data/amino-acids.js';
+import { COMPONENT_TYPES } from '../components.js';
+
+/**
+ * Differences from background below this are dropped from a field
+ */
+const FIELD_EPSILON = 0.01;
+
+/**
+ * Find the temperature field component
+ * @param {World} world
+ * @returns {Object|null} {ambient, cells}
+ */
+export function findTemperatureField(world) {
+  const [entityId] = world.query([COMPONENT_TYPES.TEMPERATURE_FIELD]);
+  return entityId === undefined ? null : world.getComponent(entityId, COMPONENT_TYPES.TEMPERATURE_FIELD);
+}
+
+/**
+ * Get the temperature at a hex
+ * @param {World} world
+ * @param {number} q
+ * @param {number} r
+ * @returns {number} Temperature in K (room temperature if the world has no field)
+ */
+export function getTemperatureAt(world, q, r) {
+  const field = findTemperatureField(world);
+  if (!field) return ENERGY_CONSTANTS.ROOM_TEMPERATURE;
+  return field.cells.get(`${q},${r}`) ?? field.ambient;
+}
+
+/**
+ * Add heat at a hex
+ * @param {World} world
+ * @param {number} q
+ * @param {number} r
+ * @param {number} amount - Temperature rise in K (negative cools)
+ * @returns {number} New temperature at the hex
+ */
+export function addHeat(world, q, r, amount) {
+  const field = findTemperatureField(world);
+  if (!field) {
+    throw new Error('addHeat requires a TemperatureField');
+  }
+
+  const key = `${q},${r}`;
+  const temperature = (field.cells.get(key) ?? field.ambient) + amount;
+  field.cells.set(key, temperature);
+  return temperature;
+}
+
+/**
+ * Get the local temperature of each residue in a molecule
+ * @param {World} world
+ * @param {string} moleculeId
+ * @returns {number[]} Temperature in K, in chain order
+ */
+export function getResidueTemperatures(world, moleculeId) {
+  const residues = [];
+  for (const entityId of world.query([COMPONENT_TYPES.POSITION, COMPONENT_TYPES.RESIDUE])) {
+    const position = world.getComponent(entityId, COMPONENT_TYPES.POSITION);
+    if (position.moleculeId !== moleculeId) continue;
+    const residue = world.getComponent(entityId, COMPONENT_TYPES.RESIDUE);
+    residues.push({ index: residue.index, temperature: getTemperatureAt(world, position.q, position.r) });
+  }
+
+  return residues
+    .sort((a, b) => a.index - b.index)
+    .map(r => r.temperature);
+}
+
+/**
+ * Find residues hot enough to lose their folding preference
+ * Denaturation is reversible: a residue refolds normally once it cools.
+ * @param {number[]} temperatures - Local temperature per residue
+ * @param {number} threshold - Denaturation temperature in K
+ * @returns {Set} Chain positions of denatured residues
+ */
+export function findDenaturedResidues(temperatures, threshold = ENERGY_CONSTANTS.DENATURATION_TEMPERATURE) {
+  const denatured = new Set();
+  temperatures.forEach((temperature, i) => {
+    if (temperature > threshold) denatured.add(i);
+  });
+  return denatured;
+}
+
+/**
+ * Diffuse a sparse scalar field by one tick
+ * Every stored hex exchanges diffusionRate × (neighbor − value) with each of
+ * its six neighbors, then relaxes relaxRate of the way to the background.
+ * Shared by the temperature and ATP concentration fields.
+ *
+ * @param {Map<string, number>} cells - "q,r" -> value (missing = background)
+ * @param {number} background - Value of every hex not in cells
+ * @param {Object} options
+ * @param {number} options.diffusionRate - Exchange fraction per neighbor per tick
+ * @param {number} options.relaxRate - Fraction of the difference from background lost per tick
+ * @returns {Map<string, number>} New cells
+ */
+export function diffuseField(cells, background, options = {}) {
+  const { diffusionRate = 0, relaxRate = 0 } = options;
+  const valueOf = key => cells.get(key) ?? background;
+
+  // Stored hexes and their neighbors are the only ones that can change
+  const active = new Set(cells.keys());
+  for (const key of cells.keys()) {
+    const [q, r] = key.split(',').map(Number);
+    for (const neighbor of getNeighbors(q, r)) {
+      active.add(`${neighbor.q},${neighbor.r}`);
+    }
+  }
+
+  const next = new Map();
+  for (const key of active) {
+    const [q, r] = key.split(',').map(Number);
+    const value = valueOf(key);
+
+    let flow = 0;
+    for (const neighbor of getNeighbors(q, r)) {
+      flow += valueOf(`${neighbor.q},${neighbor.r}`) - value;
+    }
+
+    const diffused = value + diffusionRate * flow;
+    const relaxed = background + (diffused - background) * (1 - relaxRate);
+    if (Math.abs(relaxed - background) >= FIELD_EPSILON) {
+      next.set(key, relaxed);
+    }
+  }
+
+  return next;
+}
+
+/**
+ * Process one tick of heat diffusion and dissipation
+ * Heat spreads to neighboring hexes and dissipates toward ambient.
+ *
+ * @param {World} world
+ * @param {Object} options
+ * @param {number} options.diffusionRate - Exchange fraction per neighbor per tick
+ * @param {number} options.dissipationRate - Fraction of excess heat lost per tick
+ * @returns {Object} {cells: number, maxTemperature: number}
+ */
+export function processHeat(world, options = {}) {
+  const {
+    diffusionRate = ENERGY_CONSTANTS.HEAT_DIFFUSION,
+    dissipationRate = ENERGY_CONSTANTS.HEAT_DISSIPATION
+  } = options;
+
+  const field = findTemperatureField(world);
+  if (!field) {
+    throw new Error('processHeat requires a TemperatureField');
+  }
+
+  field.cells = diffuseField(field.cells, field.ambient, {
+    diffusionRate,
+    relaxRate: dissipationRate
+  });
+
+  let maxTemperature = field.ambient;
+  for (const temperature of field.cells.values()) {
+    maxTemperature = Math.max(maxTemperature, temperature);
+  }
+
+  return { cells: field.cells.size, maxTemperature };
+}
@@ -0,0 +1,179 @@
+/**
+ * ECS Push System
+ *
+ * Operates on World components to:
+ * - Process PSH (Push) residues that translate adjacent molecules
+ * - Consume one ATP per successful push
+ *
+ * Push direction follows the PSH residue's backbone orientation (N→C),
+ * so a protein lying along DNA moves the strand parallel to its own chain.
+ */
+
+import { getNeighbors, moveInDirection } from '../../core/hex-layout.js';
+import { COMPONENT_TYPES } from '../components.js';
+import { findAdjacentATP, residuesByHex } from '../queries.js';
+
+/**
+ * Get the backbone direction (N→C) at a residue
+ * Uses the previous residue in the chain, or the next one for the N-terminus.
+ * @param {Object} entity - {position, residue}
+ * @param {Object} positionMap - Residues by hex (see residuesByHex)
+ * @returns {number|null} Direction 0-5, or null for a single-residue molecule
+ */
+function getBackboneDirection(entity, positionMap) {
+  const { position, residue } = entity;
+  let nextDirection = null;
+
+  for (const neighbor of getNeighbors(position.q, position.r)) {
+    const other = positionMap.get(`${neighbor.q},${neighbor.r}`);
+    if (!other || other.position.moleculeId !== position.moleculeId) continue;
+
+    if (other.residue.index === residue.index - 1) {
+      // Previous residue is behind us: heading points away from it
+      return (neighbor.direction + 3) % 6;
+    }
+    if (other.residue.index === residue.index + 1) {
+      nextDirection = neighbor.direction;
+    }
+  }
+
+  return nextDirection;
+}
+
+/**
+ * Find the first adjacent molecule that a pusher can act on
+ * ATP and spent ADP are fuel, not cargo, and a residue never pushes its own molecule.
+ * @param {Object} entity - {position, residue}
+ * @param {Object} positionMap - Residues by hex (see residuesByHex)
+ * @returns {string|null} moleculeId of the target
+ */
+function findPushTarget(entity, positionMap) {
+  for (const neighbor of getNeighbors(entity.position.q, entity.position.r)) {
+    const other = positionMap.get(`${neighbor.q},${neighbor.r}`);
+    if (!other) continue;
+    if (other.position.moleculeId === entity.position.moleculeId) continue;
+    if (other.residue.type === 'ATP' || other.residue.type === 'ADP') continue;
+
+    return other.position.moleculeId;
+  }
+
+  return null;
+}
+
+/**
+ * Find residues that would collide if a molecule were translated
+ * @param {string} moleculeId
+ * @param {number} dq
+ * @param {number} dr
+ * @param {Object} positionMap - Residues by hex (see residuesByHex)
+ * @returns {Array} Conflicts [{q, r, moleculeId, index, type}, ...]
+ */
+function findTranslationConflicts(moleculeId, dq, dr, positionMap) {
+  const conflicts = [];
+
+  for (const { position } of positionMap.values()) {
+    if (position.moleculeId !== moleculeId) continue;
+
+    const q = position.q + dq;
+    const r = position.r + dr;
+    const other = positionMap.get(`${q},${r}`);
+
+    if (other && other.position.moleculeId !== moleculeId) {
+      conflicts.push({
+        q,
+        r,
+        moleculeId: other.position.moleculeId,
+        index: other.residue.index,
+        type: other.residue.type
+      });
+    }
+  }
+
+  return conflicts;
+}
+
+/**
+ * Process PSH (Push) residues
+ * When signaled with adjacent ATP, PSH translates an adjacent molecule
+ * one hex along its backbone direction and consumes the ATP.
+ * Moves that would overlap another molecule, or that onPush fails to place,
+ * are rejected and keep the ATP.
+ *
+ * @param {World} world
+ * @param {Object} options
+ * @param {Map} options.signalState - Current signal state (residueIndex -> {on, source})
+ * @param {Function} options.onPush - Callback to translate a molecule: (moleculeId, dq, dr) => {placed, conflicts}
+ * @param {Function} options.onConsumeATP - Callback to consume ATP: (q, r) => boolean
+ * @returns {Object} {pushed: [...], blocked: [...], count: number}
+ */
+export function processPSHs(world, options = {}) {
+  const {
+    signalState = new Map(),
+    onPush = null,
+    onConsumeATP = null
+  } = options;
+
+  if (!onPush || !onConsumeATP) {
+    throw new Error('processPSHs requires onPush and onConsumeATP callbacks');
+  }
+
+  // Collect signaled pushers up front; Position components are updated in
+  // place when molecules move, so later pushes see where each pusher is now
+  const pushers = [];
+  const entityIds = world.query([COMPONENT_TYPES.POSITION, COMPONENT_TYPES.RESIDUE]);
+
+  for (const entityId of entityIds) {
+    const residue = world.getComponent(entityId, COMPONENT_TYPES.RESIDUE);
+    if (residue.type !== 'PSH') continue;
+    if (!signalState.get(residue.index)?.on) continue;
+    pushers.push({ entityId, position: world.getComponent(entityId, COMPONENT_TYPES.POSITION), residue });
+  }
+
+  const pushed = [];
+  const blocked = [];
+  const movedMolecules = new Set();
+  // Live view, so later pushes see earlier moves and consumed ATP
+  const positionMap = residuesByHex(world);
+
+  for (const entity of pushers) {
+    if (!world.hasComponent(entity.entityId, COMPONENT_TYPES.POSITION)) continue; // Removed this tick
+
+    const { position, residue } = entity;
+
+    const atp = findAdjacentATP(position.q, position.r, positionMap);
+    if (!atp) continue;
+
+    const targetId = findPushTarget(entity, positionMap);
+    if (!targetId || movedMolecules.has(targetId)) continue;
+
+    const direction = getBackboneDirection(entity, positionMap);
+    if (direction === null) continue;
+
+    const [dq, dr] = moveInDirection(0, 0, direction);
+    const conflicts = findTranslationConflicts(targetId, dq, dr, positionMap);
+
+    if (conflicts.length > 0) {
+      blocked.push({ pshIndex: residue.index, moleculeId: targetId, direction, conflicts });
+      continue;
+    }
+
+    const result = onPush(targetId, dq, dr);
+    if (!result?.placed) {
+      blocked.push({ pshIndex: residue.index, moleculeId: targetId, direction, conflicts: result?.conflicts ?? [] });
+      continue;
+    }
+
+    onConsumeATP(atp.q, atp.r);
+    movedMolecules.add(targetId);
+
+    pushed.push({
+      pshIndex: residue.index,
+      moleculeId: targetId,
+      direction,
+      delta: { q: dq, r: dr },
+      atp: `${atp.q},${atp.r}`
+    });
+  }
+
+  return { pushed, blocked, count: pushed.length };
+}
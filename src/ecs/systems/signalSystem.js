@@ -12,33 +12,14 @@ import {
   getBindingTarget
 } from '../../data/amino-acids.js';
 import { COMPONENT_TYPES } from '../components.js';
+import { residuesByHex } from '../queries.js';
 import { DEFAULT_SIGNAL_CONFIG } from '../../physics/signal.js';
 
-/**
- * Build a position map from World components
- * @param {World} world
- * @returns {Map} Map of "q,r" -> {entityId, position, residue}
- */
-function buildPositionMapFromWorld(world) {
-  const map = new Map();
-  const entityIds = world.query([COMPONENT_TYPES.POSITION, COMPONENT_TYPES.RESIDUE]);
-
-  for (const entityId of entityIds) {
-    const position = world.getComponent(entityId, COMPONENT_TYPES.POSITION);
-    const residue = world.getComponent(entityId, COMPONENT_TYPES.RESIDUE);
-
-    const key = `${position.q},${position.r}`;
-    map.set(key, { entityId, position, residue });
-  }
-
-  return map;
-}
-
 /**
  * Get adjacent entities for a given position
  * @param {number} q
  * @param {number} r
- * @param {Map} positionMap
+ * @param {Object} positionMap - Residues by hex (see residuesByHex)
  * @returns {Array} Array of {entityId, position, residue}
  */
 function getAdjacentEntities(q, r, positionMap) {
@@ -60,7 +41,7 @@ function getAdjacentEntities(q, r, positionMap) {
  * Get signal-capable neighbors for an entity
  * @param {number} q
  * @param {number} r
- * @param {Map} positionMap
+ * @param {Object} positionMap - Residues by hex (see residuesByHex)
  * @returns {Array} Array of {entityId, position, residue}
  */
 function getSignalCapableNeighbors(q, r, positionMap) {
@@ -115,7 +96,7 @@ function initializeSignalState(world, boundPairs) {
 /**
  * Find connected components of SIG residues
  * @param {World} world
- * @param {Map} positionMap
+ * @param {Object} positionMap - Residues by hex (see residuesByHex)
  * @returns {Array<Set>} Array of Sets, each containing residue indices
  */
 function findSigComponents(world, positionMap) {
@@ -448,7 +429,7 @@ function computeSteadyState(
   config = DEFAULT_SIGNAL_CONFIG,
   randomFn = Math.random
 ) {
-  const positionMap = buildPositionMapFromWorld(world);
+  const positionMap = residuesByHex(world);
   let state = initializeSignalState(world, boundPairs);
 
   const allConsumedAtp = [];
@@ -485,7 +466,7 @@ function computeSteppedUpdate(
   config = DEFAULT_SIGNAL_CONFIG,
   randomFn = Math.random
 ) {
-  const positionMap = buildPositionMapFromWorld(world);
+  const positionMap = residuesByHex(world);
 
   // If no previous state, initialize from sources
   let state = previousState;
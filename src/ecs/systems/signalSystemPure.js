@@ -3,6 +3,13 @@
  *
  * Operates directly on SignalComponent - no external state Maps.
  * Reads and writes signal state to/from components.
+ *
+ * Gates (AND, NOT) reserve one specific adjacent ATP when they fire; the
+ * reservations are returned for the caller to consume. Latches (LAT) keep
+ * their state in SignalComponent.on and delay lines (DLY) keep their recent
+ * inputs in SignalComponent.history, so both carry over between stepped calls.
+ * In analog mode (config.analog) SignalComponent.strength carries the signal
+ * strength; see physics/signal.js for the rules.
  */
 
 import { getNeighbors } from '../../core/hex-layout.js';
@@ -11,7 +18,14 @@ import {
   getBindingTarget
 } from '../../data/amino-acids.js';
 import { COMPONENT_TYPES } from '../components.js';
-import { DEFAULT_SIGNAL_CONFIG } from '../../physics/signal.js';
+import {
+  DEFAULT_SIGNAL_CONFIG,
+  isGateType,
+  getDelayTicks,
+  advanceDelayLine,
+  getSignalStrength,
+  attenuateThroughComponent
+} from '../../physics/signal.js';
 
 /**
  * Initialize signal states from bindings
@@ -38,42 +52,57 @@ function initializeFromBindings(world, boundPairs) {
       signal.source = false;
       signal.on = false;
     }
+
+    // Delay lines start empty
+    if (signal.history) {
+      signal.history = [];
+    }
   }
 }
 
 /**
- * Build position map for spatial queries
+ * Refresh source flags from current bindings (stepped mode)
+ * Residues that became bound turn on as sources; residues that lost their
+ * binding stop being sources and turn off.
  * @param {World} world
- * @returns {Map} "q,r" -> entityId
+ * @param {Map} boundPairs - Map of residueIndex -> nucleotide type
  */
-function buildPositionMap(world) {
-  const map = new Map();
-  const entityIds = world.query([COMPONENT_TYPES.POSITION]);
+function refreshSourcesFromBindings(world, boundPairs) {
+  const entityIds = world.query([COMPONENT_TYPES.SIGNAL]);
 
   for (const entityId of entityIds) {
-    const position = world.getComponent(entityId, COMPONENT_TYPES.POSITION);
-    const key = `${position.q},${position.r}`;
-    map.set(key, entityId);
-  }
+    const signal = world.getComponent(entityId, COMPONENT_TYPES.SIGNAL);
+    const residue = world.getComponent(entityId, COMPONENT_TYPES.RESIDUE);
+
+    const bindTarget = getBindingTarget(residue.type);
+    if (!bindTarget) continue;
 
-  return map;
+    const boundTo = boundPairs.get(residue.index);
+    const isSource = boundTo === bindTarget || (bindTarget === 'T' && boundTo === 'U');
+
+    if (isSource) {
+      signal.source = true;
+      signal.on = true;
+    } else if (signal.source) {
+      signal.source = false;
+      signal.on = false;
+    }
+  }
 }
 
 /**
  * Get adjacent entities with Signal component
  * @param {number} q
  * @param {number} r
- * @param {Map} positionMap
  * @param {World} world
  * @returns {Array} Array of entityIds
  */
-function getSignalCapableNeighbors(q, r, positionMap, world) {
+function getSignalCapableNeighbors(q, r, world) {
   const neighbors = getNeighbors(q, r);
   const adjacent = [];
 
   for (const neighbor of neighbors) {
-    const key = `${neighbor.q},${neighbor.r}`;
-    const entityId = positionMap.get(key);
+    const entityId = world.getEntityAt(neighbor.q, neighbor.r);
 
     if (entityId !== undefined && world.hasComponent(entityId, COMPONENT_TYPES.SIGNAL)) {
       adjacent.push(entityId);
@@ -86,10 +115,9 @@ function getSignalCapableNeighbors(q, r, positionMap, world) {
 /**
  * Find connected components of SIG residues
  * @param {World} world
- * @param {Map} positionMap
  * @returns {Array<Set>} Array of Sets, each containing entityIds
  */
-function findSigComponents(world, positionMap) {
+function findSigComponents(world) {
   const sigEntities = [];
   const entityIds = world.query([COMPONENT_TYPES.POSITION, COMPONENT_TYPES.RESIDUE, COMPONENT_TYPES.SIGNAL]);
 
@@ -121,8 +149,7 @@ function findSigComponents(world, positionMap) {
       const neighbors = getNeighbors(position.q, position.r);
 
       for (const neighbor of neighbors) {
-        const key = `${neighbor.q},${neighbor.r}`;
-        const neighborId = positionMap.get(key);
+        const neighborId = world.getEntityAt(neighbor.q, neighbor.r);
 
         if (neighborId !== undefined && !visited.has(neighborId)) {
           const neighborResidue = world.getComponent(neighborId, COMPONENT_TYPES.RESIDUE);
@@ -161,10 +188,10 @@ function findAdjacentAtp(q, r, atpPositions) {
  * Compute one step of signal propagation
  * Reads and writes SignalComponent directly
  * @param {World} world
- * @param {Set} atpPositions - Set of "q,r" strings
+ * @param {Set} atpPositions - Set of "q,r" strings (reserved ATP is removed)
  * @param {Object} config - Per-type propagation probabilities
  * @param {Function} randomFn - Random function
- * @returns {Object} {consumedAtp: string[], changed: boolean}
+ * @returns {Object} {consumedAtp: string[], atpReservations: [{gate, type, atp}], changed: boolean}
  */
 export function computeOneStep(
   world,
@@ -173,10 +200,9 @@ export function computeOneStep(
   randomFn = Math.random
 ) {
   const consumedAtp = [];
+  const atpReservations = [];
   let changed = false;
 
-  const positionMap = buildPositionMap(world);
-
   // Store new states temporarily
   const newStates = new Map(); // entityId -> {on, source}
 
@@ -184,19 +210,55 @@ export function computeOneStep(
   const entityIds = world.query([COMPONENT_TYPES.SIGNAL]);
   for (const entityId of entityIds) {
     const signal = world.getComponent(entityId, COMPONENT_TYPES.SIGNAL);
-    newStates.set(entityId, { on: signal.on, source: signal.source });
+    newStates.set(entityId, {
+      on: signal.on,
+      source: signal.source,
+      strength: signal.strength,
+      history: signal.history
+    });
   }
 
+  const analog = config.analog === true;
+  const { attenuation = 0.9, threshold = 0.5 } = config;
+  const strengthOf = entityId => getSignalStrength(newStates.get(entityId));
+  // A gate input counts as ON (analog: only at or above the threshold)
+  const isActive = entityId => (analog ? strengthOf(entityId) >= threshold : Boolean(newStates.get(entityId)?.on));
+
   // PHASE 1: Process SIG components (instant propagation)
-  const sigComponents = findSigComponents(world, positionMap);
+  const sigComponents = findSigComponents(world);
 
   for (const component of sigComponents) {
+    if (analog) {
+      const neighborsOf = sigEntity => {
+        const position = world.getComponent(sigEntity, COMPONENT_TYPES.POSITION);
+        return getSignalCapableNeighbors(position.q, position.r, world);
+      };
+      const strengths = attenuateThroughComponent(
+        [...component],
+        sigEntity => neighborsOf(sigEntity).filter(nId => component.has(nId)),
+        sigEntity => neighborsOf(sigEntity)
+          .filter(nId => !component.has(nId))
+          .reduce((max, nId) => Math.max(max, strengthOf(nId)), 0),
+        attenuation
+      );
+
+      for (const [sigEntity, strength] of strengths) {
+        const currentState = newStates.get(sigEntity);
+        const on = strength > 0;
+        if (on !== currentState.on || strength !== getSignalStrength(currentState)) {
+          newStates.set(sigEntity, { ...currentState, on, strength });
+          changed = true;
+        }
+      }
+      continue;
+    }
+
     let shouldBeOn = false;
 
     // Check if ANY SIG in this component has an ON source neighbor
     for (const sigEntity of component) {
       const position = world.getComponent(sigEntity, COMPONENT_TYPES.POSITION);
-      const neighbors = getSignalCapableNeighbors(position.q, position.r, positionMap, world);
+      const neighbors = getSignalCapableNeighbors(position.q, position.r, world);
 
       for (const neighborId of neighbors) {
         if (component.has(neighborId)) continue; // Skip same component
@@ -235,16 +297,19 @@ export function computeOneStep(
     const signalingType = getSignalingType(residue.type);
     if (!signalingType || signalingType === 'conductor') continue;
 
-    const signalNeighbors = getSignalCapableNeighbors(position.q, position.r, positionMap, world);
+    const signalNeighbors = getSignalCapableNeighbors(position.q, position.r, world);
     const prob = config[residue.type] ?? 1.0;
+    const strongest = neighbors => neighbors.reduce((max, nId) => Math.max(max, strengthOf(nId)), 0);
 
     let shouldBeOn = currentState.on;
+    let strength = 1; // Analog output strength (gates restore full strength)
 
     if (signalingType === 'actuator') {
       const anyNeighborOn = signalNeighbors.some(nId => newStates.get(nId)?.on);
+      strength = strongest(signalNeighbors);
 
       if (anyNeighborOn && !currentState.on) {
-        if (randomFn() < prob) {
+        if (randomFn() < (analog ? prob * strength : prob)) {
           shouldBeOn = true;
         }
       } else if (anyNeighborOn) {
@@ -252,13 +317,14 @@ export function computeOneStep(
       } else {
         shouldBeOn = false;
       }
-    } else if (signalingType === 'input_port') {
+    } else if (signalingType === 'input_port' || signalingType === 'reset_port') {
       const sourceNeighbors = signalNeighbors.filter(nId => {
         const nResidue = world.getComponent(nId, COMPONENT_TYPES.RESIDUE);
         const nType = getSignalingType(nResidue.type);
         return nType === 'conductor' || nType === 'output_port' || getBindingTarget(nResidue.type) !== null;
       });
       const anySourceOn = sourceNeighbors.some(nId => newStates.get(nId)?.on);
+      strength = strongest(sourceNeighbors);
 
       if (anySourceOn && !currentState.on) {
         if (randomFn() < prob) {
@@ -272,10 +338,10 @@ export function computeOneStep(
     } else if (signalingType === 'output_port') {
       const gateNeighbors = signalNeighbors.filter(nId => {
         const nResidue = world.getComponent(nId, COMPONENT_TYPES.RESIDUE);
-        const nType = getSignalingType(nResidue.type);
-        return nType === 'and_gate' || nType === 'not_gate';
+        return isGateType(getSignalingType(nResidue.type));
       });
       const anyGateOn = gateNeighbors.some(nId => newStates.get(nId)?.on);
+      strength = strongest(gateNeighbors);
 
       // Check SGX routing
       const sgxNeighbors = signalNeighbors.filter(nId => {
@@ -290,14 +356,14 @@ export function computeOneStep(
         const dr = position.r - sgxPos.r;
         const oppositeQ = sgxPos.q - dq;
         const oppositeR = sgxPos.r - dr;
-        const oppositeKey = `${oppositeQ},${oppositeR}`;
-        const oppositeId = positionMap.get(oppositeKey);
+        const oppositeId = world.getEntityAt(oppositeQ, oppositeR);
 
         if (oppositeId !== undefined) {
           const oppResidue = world.getComponent(oppositeId, COMPONENT_TYPES.RESIDUE);
           if (oppResidue && getSignalingType(oppResidue.type) === 'input_port') {
             if (newStates.get(oppositeId)?.on) {
               routedFromSgx = true;
+              strength = Math.max(strength, strengthOf(oppositeId));
               break;
             }
           }
@@ -324,7 +390,7 @@ export function computeOneStep(
       if (inpNeighbors.length === 0) {
         shouldBeOn = false;
       } else {
-        const allOn = inpNeighbors.every(nId => newStates.get(nId)?.on);
+        const allOn = inpNeighbors.every(nId => isActive(nId));
 
         if (allOn && !currentState.on) {
           if (randomFn() < prob) {
@@ -332,6 +398,7 @@ export function computeOneStep(
             if (atpKey) {
               shouldBeOn = true;
               consumedAtp.push(atpKey);
+              atpReservations.push({ gate: residue.index, type: residue.type, atp: atpKey });
               atpPositions.delete(atpKey);
             }
           }
@@ -350,7 +417,7 @@ export function computeOneStep(
       if (inpNeighbors.length === 0) {
         shouldBeOn = false;
       } else {
-        const allOff = inpNeighbors.every(nId => !newStates.get(nId)?.on);
+        const allOff = inpNeighbors.every(nId => !isActive(nId));
 
         if (allOff && !currentState.on) {
           if (randomFn() < prob) {
@@ -358,6 +425,7 @@ export function computeOneStep(
             if (atpKey) {
               shouldBeOn = true;
               consumedAtp.push(atpKey);
+              atpReservations.push({ gate: residue.index, type: residue.type, atp: atpKey });
               atpPositions.delete(atpKey);
             }
           }
@@ -367,10 +435,49 @@ export function computeOneStep(
           shouldBeOn = false;
         }
       }
+    } else if (signalingType === 'latch') {
+      const portOn = type => signalNeighbors.some(nId => {
+        const nResidue = world.getComponent(nId, COMPONENT_TYPES.RESIDUE);
+        return getSignalingType(nResidue.type) === type && isActive(nId);
+      });
+
+      if (portOn('reset_port')) {
+        shouldBeOn = false;
+      } else if (portOn('input_port') && !currentState.on) {
+        if (randomFn() < prob) {
+          shouldBeOn = true;
+        }
+      }
+    } else if (signalingType === 'delay') {
+      const inputOn = signalNeighbors.some(nId => {
+        const nResidue = world.getComponent(nId, COMPONENT_TYPES.RESIDUE);
+        return getSignalingType(nResidue.type) === 'input_port' && isActive(nId);
+      });
+      const { history, output } = advanceDelayLine(currentState.history, inputOn, getDelayTicks(config));
+
+      if (output && !currentState.on) {
+        if (randomFn() < prob) {
+          shouldBeOn = true;
+        }
+      } else {
+        shouldBeOn = output;
+      }
+
+      const previous = currentState.history || [];
+      if (history.length !== previous.length || history.some((value, i) => value !== previous[i])) {
+        newStates.set(entityId, { ...currentState, history });
+        changed = true;
+      }
     }
 
-    if (shouldBeOn !== currentState.on) {
-      newStates.set(entityId, { ...currentState, on: shouldBeOn });
+    if (analog) {
+      const nextStrength = shouldBeOn ? strength : 0;
+      if (shouldBeOn !== currentState.on || nextStrength !== getSignalStrength(currentState)) {
+        newStates.set(entityId, { ...newStates.get(entityId), on: shouldBeOn, strength: nextStrength });
+        changed = true;
+      }
+    } else if (shouldBeOn !== currentState.on) {
+      newStates.set(entityId, { ...newStates.get(entityId), on: shouldBeOn });
       changed = true;
     }
   }
@@ -380,9 +487,13 @@ export function computeOneStep(
     const signal = world.getComponent(entityId, COMPONENT_TYPES.SIGNAL);
     signal.on = newState.on;
     signal.source = newState.source;
+    signal.strength = newState.strength;
+    if (newState.history) {
+      signal.history = newState.history;
+    }
   }
 
-  return { consumedAtp, changed };
+  return { consumedAtp, atpReservations, changed };
 }
 
 /**
@@ -392,7 +503,7 @@ export function computeOneStep(
  * @param {Set} atpPositions
  * @param {Object} config
  * @param {Function} randomFn
- * @returns {Object} {consumedAtp, iterations}
+ * @returns {Object} {consumedAtp, atpReservations, iterations}
  */
 export function computeSteadyState(
   world,
@@ -404,26 +515,30 @@ export function computeSteadyState(
   // Initialize from bindings
   initializeFromBindings(world, boundPairs);
 
+  // Reservations hold across iterations: an ATP is only ever used once
+  const availableAtp = new Set(atpPositions);
   const allConsumedAtp = [];
+  const allReservations = [];
   let iterations = 0;
   const maxIterations = world.entityCount * 10;
 
   let changed = true;
   while (changed && iterations < maxIterations) {
     iterations++;
-    const result = computeOneStep(world, atpPositions, config, randomFn);
+    const result = computeOneStep(world, availableAtp, config, randomFn);
     changed = result.changed;
     allConsumedAtp.push(...result.consumedAtp);
+    allReservations.push(...result.atpReservations);
   }
 
-  return { consumedAtp: allConsumedAtp, iterations };
+  return { consumedAtp: allConsumedAtp, atpReservations: allReservations, iterations };
 }
 
 /**
  * Pure ECS signal system entry point
  * @param {World} world
  * @param {Object} options
- * @returns {Object} {consumedAtp, ...}
+ * @returns {Object} {consumedAtp, atpReservations, ...}
  */
 export function signalSystemPure(world, options = {}) {
   const {
@@ -435,9 +550,10 @@ export function signalSystemPure(world, options = {}) {
   } = options;
 
   if (stepped) {
-    // For stepped mode, assume signals are already initialized
-    // Just compute one step
-    return computeOneStep(world, atpPositions, config, randomFn);
+    // Continue from the current SignalComponents, picking up bindings
+    // made or broken since the last step
+    refreshSourcesFromBindings(world, boundPairs);
+    return computeOneStep(world, new Set(atpPositions), config, randomFn);
   } else {
     return computeSteadyState(world, boundPairs, atpPositions, config, randomFn);
   }
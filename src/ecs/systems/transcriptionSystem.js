@@ -0,0 +1,275 @@
+/**
+ * ECS Transcription System
+ *
+ * Operates on World components to:
+ * - Process RPF (RNA-Polymerase-Function) residues that read a DNA template
+ * - Grow an RNA molecule one complementary nucleotide per activation
+ * - Consume one ATP per nucleotide added
+ * - Advance the polymerase along the template
+ *
+ * Geometry: RPF reads the first adjacent DNA base (scanning directions 0-5)
+ * and places the new nucleotide on the opposite side of the RPF, taking the
+ * first open hex clockwise from there. After each nucleotide the polymerase
+ * molecule steps one hex along the template (toward the next base), so the
+ * next nucleotide lands beside the previous one and the chain continues.
+ */
+
+import { getNeighbors, moveInDirection } from '../../core/hex-layout.js';
+import { COMPONENT_TYPES, createGrowingChainComponent } from '../components.js';
+import { BasePairingComponent } from '../components/basePairingComponent.js';
+import { findAdjacentATP, findGrowingChain, residuesByHex } from '../queries.js';
+
+/**
+ * Map molecule IDs to molecule types ('protein', 'dna', 'rna', ...)
+ * @param {World} world
+ * @returns {Map} moleculeId -> type
+ */
+function buildMoleculeTypeMap(world) {
+  const types = new Map();
+  for (const entityId of world.query([COMPONENT_TYPES.MOLECULE_META])) {
+    const meta = world.getComponent(entityId, COMPONENT_TYPES.MOLECULE_META);
+    types.set(meta.molecule.id, meta.molecule.type);
+  }
+  return types;
+}
+
+/**
+ * RNA nucleotide complementary to a DNA base (T is replaced by U)
+ * @param {string} base - DNA base
+ * @returns {string} RNA base
+ */
+export function getRNAComplement(base) {
+  const complement = BasePairingComponent.getComplement(base);
+  return complement === 'T' ? 'U' : complement;
+}
+
+/**
+ * Find the last residue (highest index) of a molecule
+ * @param {string} moleculeId
+ * @param {Object} positionMap - Residues by hex (see residuesByHex)
+ * @returns {Object|null} {entityId, position, residue}
+ */
+function findLastResidue(moleculeId, positionMap) {
+  let last = null;
+  for (const entity of positionMap.values()) {
+    if (entity.position.moleculeId !== moleculeId) continue;
+    if (!last || entity.residue.index > last.residue.index) {
+      last = entity;
+    }
+  }
+  return last;
+}
+
+/**
+ * Find the first adjacent residue belonging to a molecule of the given type
+ * @param {Object} position - {q, r, moleculeId}
+ * @param {string} moleculeType
+ * @param {Object} positionMap - Residues by hex (see residuesByHex)
+ * @param {Map} moleculeTypes
+ * @returns {Object|null} {entity, direction}
+ */
+function findAdjacentTemplate(position, moleculeType, positionMap, moleculeTypes) {
+  for (const neighbor of getNeighbors(position.q, position.r)) {
+    const other = positionMap.get(`${neighbor.q},${neighbor.r}`);
+    if (!other || other.position.moleculeId === position.moleculeId) continue;
+    if (moleculeTypes.get(other.position.moleculeId) !== moleculeType) continue;
+
+    return { entity: other, direction: neighbor.direction };
+  }
+
+  return null;
+}
+
+/**
+ * Find the first empty hex around a position, scanning clockwise
+ * @param {number} q
+ * @param {number} r
+ * @param {number} startDirection - First direction to try
+ * @param {Object} positionMap - Residues by hex (see residuesByHex)
+ * @returns {Object|null} {q, r, direction}
+ */
+function findOpenHexClockwise(q, r, startDirection, positionMap) {
+  for (let i = 0; i < 6; i++) {
+    const direction = (startDirection + i) % 6;
+    const [nq, nr] = moveInDirection(q, r, direction);
+    if (!positionMap.has(`${nq},${nr}`)) {
+      return { q: nq, r: nr, direction };
+    }
+  }
+  return null;
+}
+
+/**
+ * Get the direction from a template residue to the next one in its chain
+ * @param {Object} entity - {position, residue}
+ * @param {Object} positionMap - Residues by hex (see residuesByHex)
+ * @returns {number|null} Direction 0-5, or null at the end of the template
+ */
+function getTemplateDirection(entity, positionMap) {
+  for (const neighbor of getNeighbors(entity.position.q, entity.position.r)) {
+    const other = positionMap.get(`${neighbor.q},${neighbor.r}`);
+    if (!other || other.position.moleculeId !== entity.position.moleculeId) continue;
+    if (other.residue.index === entity.residue.index + 1) {
+      return neighbor.direction;
+    }
+  }
+  return null;
+}
+
+/**
+ * Check whether translating a molecule would overlap another molecule
+ * @param {string} moleculeId
+ * @param {number} dq
+ * @param {number} dr
+ * @param {Object} positionMap - Residues by hex (see residuesByHex)
+ * @param {Set} freed - "q,r" hexes that will be empty by then
+ * @returns {boolean}
+ */
+function translationOverlaps(moleculeId, dq, dr, positionMap, freed = new Set()) {
+  for (const { position } of positionMap.values()) {
+    if (position.moleculeId !== moleculeId) continue;
+    const key = `${position.q + dq},${position.r + dr}`;
+    const other = freed.has(key) ? undefined : positionMap.get(key);
+    if (other && other.position.moleculeId !== moleculeId) {
+      return true;
+    }
+  }
+  return false;
+}
+
+/**
+ * Process RPF residues (transcription)
+ * A signaled RPF next to a DNA base and ATP adds the complementary RNA
+ * nucleotide to its growing chain, consumes the ATP, then advances the
+ * polymerase one base along the template. The chain is released when the
+ * polymerase reaches the end of the template.
+ *
+ * @param {World} world
+ * @param {Object} options
+ * @param {Map} options.signalState - Current signal state (residueIndex -> {on, source})
+ * @param {Function} options.onStartChain - Create a new RNA molecule: (base, q, r) => moleculeId
+ * @param {Function} options.onExtendChain - Append to a molecule: (moleculeId, base, q, r) => boolean
+ * @param {Function} options.onMove - Translate the polymerase, pushing aside the spent ADP:
+ *   (moleculeId, dq, dr) => {placed}
+ * @param {Function} options.onConsumeATP - Callback to consume ATP: (q, r) => boolean
+ * @param {boolean} options.advance - Move the polymerase after each nucleotide (default true)
+ * @returns {Object} {transcribed: [...], blocked: [...], count: number}
+ */
+export function processRPFs(world, options = {}) {
+  const {
+    signalState = new Map(),
+    onStartChain = null,
+    onExtendChain = null,
+    onMove = null,
+    onConsumeATP = null,
+    advance = true
+  } = options;
+
+  if (!onStartChain || !onExtendChain || !onMove || !onConsumeATP) {
+    throw new Error('processRPFs requires onStartChain, onExtendChain, onMove and onConsumeATP callbacks');
+  }
+
+  // Collect signaled polymerases up front (Position is updated in place as molecules move)
+  const polymerases = [];
+  for (const entityId of world.query([COMPONENT_TYPES.POSITION, COMPONENT_TYPES.RESIDUE])) {
+    const residue = world.getComponent(entityId, COMPONENT_TYPES.RESIDUE);
+    if (residue.type !== 'RPF') continue;
+    if (!signalState.get(residue.index)?.on) continue;
+    polymerases.push({ entityId, position: world.getComponent(entityId, COMPONENT_TYPES.POSITION), residue });
+  }
+
+  const transcribed = [];
+  const blocked = [];
+  const movedMolecules = new Set();
+  const moleculeTypes = buildMoleculeTypeMap(world);
+
+  const positionMap = residuesByHex(world);
+
+  for (const entity of polymerases) {
+    if (!world.hasComponent(entity.entityId, COMPONENT_TYPES.POSITION)) continue; // Removed this tick
+
+    const { position } = entity;
+    const rpfIndex = entity.residue.index;
+    // One nucleotide per polymerase molecule per tick
+    if (movedMolecules.has(position.moleculeId)) continue;
+
+    const atp = findAdjacentATP(position.q, position.r, positionMap);
+    if (!atp) continue;
+
+    const template = findAdjacentTemplate(position, 'dna', positionMap, moleculeTypes);
+    if (!template) continue;
+
+    const base = getRNAComplement(template.entity.residue.type);
+    const site = findOpenHexClockwise(position.q, position.r, (template.direction + 3) % 6, positionMap);
+    if (!site) {
+      blocked.push({ rpfIndex, reason: 'no_space' });
+      continue;
+    }
+
+    // Find or create the growing chain record for this polymerase
+    let chainEntity = findGrowingChain(world, position.moleculeId, 'transcription');
+    if (chainEntity === null) {
+      chainEntity = world.createEntity();
+      world.addComponent(
+        chainEntity,
+        COMPONENT_TYPES.GROWING_CHAIN,
+        createGrowingChainComponent(position.moleculeId, 'transcription')
+      );
+    }
+    const chain = world.getComponent(chainEntity, COMPONENT_TYPES.GROWING_CHAIN);
+
+    // Extend the existing chain if its last nucleotide touches the site
+    let extended = false;
+    if (chain.chainMoleculeId) {
+      const last = findLastResidue(chain.chainMoleculeId, positionMap);
+      const touches = last && getNeighbors(last.position.q, last.position.r)
+        .some(n => n.q === site.q && n.r === site.r);
+      if (touches) {
+        extended = onExtendChain(chain.chainMoleculeId, base, site.q, site.r);
+      }
+    }
+
+    if (!extended) {
+      chain.chainMoleculeId = onStartChain(base, site.q, site.r);
+      chain.length = 0;
+    }
+    chain.templateMoleculeId = template.entity.position.moleculeId;
+    chain.length++;
+
+    onConsumeATP(atp.q, atp.r);
+
+    // Advance along the template; release the chain at its end
+    let advanced = false;
+    let terminated = false;
+    const templateDirection = getTemplateDirection(template.entity, positionMap);
+
+    if (templateDirection === null) {
+      terminated = true;
+      world.destroyEntity(chainEntity);
+    } else if (advance) {
+      const [dq, dr] = moveInDirection(0, 0, templateDirection);
+      // The spent ADP left in the ATP's hex is pushed aside, so it does not block the advance
+      const freed = new Set([`${atp.q},${atp.r}`]);
+      if (!translationOverlaps(position.moleculeId, dq, dr, positionMap, freed)) {
+        advanced = onMove(position.moleculeId, dq, dr)?.placed === true;
+      }
+    }
+
+    movedMolecules.add(position.moleculeId);
+
+    transcribed.push({
+      rpfIndex,
+      moleculeId: chain.chainMoleculeId,
+      templateBase: template.entity.residue.type,
+      base,
+      q: site.q,
+      r: site.r,
+      extended,
+      advanced,
+      terminated,
+      atp: `${atp.q},${atp.r}`
+    });
+  }
+
+  return { transcribed, blocked, count: transcribed.length };
+}
@@ -0,0 +1,257 @@
+/**
+ * ECS Translation System
+ *
+ * Operates on World components to:
+ * - Process PBF (Peptide-Bond-Former) residues that read adjacent mRNA
+ * - Translate codons into amino acids using a loadable codon table
+ * - Grow a new protein molecule one residue per codon
+ * - Consume one ATP per residue added
+ *
+ * Reading: the first time a PBF touches an mRNA it scans forward from the
+ * adjacent nucleotide to the first start codon. Each later activation reads
+ * the next codon in frame until a stop codon releases the protein.
+ *
+ * Geometry: the first residue is placed on the side of the PBF opposite the
+ * mRNA; the chain then grows straight ahead, turning clockwise around
+ * obstacles.
+ */
+
+import { getNeighbors, moveInDirection } from '../../core/hex-layout.js';
+import { translateCodon } from '../../data/codon-table.js';
+import { COMPONENT_TYPES, createGrowingChainComponent } from '../components.js';
+import { findAdjacentATP, findGrowingChain, residuesByHex } from '../queries.js';
+
+/**
+ * Map molecule IDs to their Molecule instances
+ * @param {World} world
+ * @returns {Map} moleculeId -> Molecule
+ */
+function buildMoleculeMap(world) {
+  const molecules = new Map();
+  for (const entityId of world.query([COMPONENT_TYPES.MOLECULE_META])) {
+    const meta = world.getComponent(entityId, COMPONENT_TYPES.MOLECULE_META);
+    molecules.set(meta.molecule.id, meta.molecule);
+  }
+  return molecules;
+}
+
+/**
+ * Get a molecule's residues in chain order
+ * @param {string} moleculeId
+ * @param {Object} positionMap - Residues by hex (see residuesByHex)
+ * @returns {Array} [{entityId, position, residue}, ...]
+ */
+function getChainResidues(moleculeId, positionMap) {
+  return [...positionMap.values()]
+    .filter(e => e.position.moleculeId === moleculeId)
+    .sort((a, b) => a.residue.index - b.residue.index);
+}
+
+/**
+ * Find the first adjacent RNA nucleotide
+ * @param {Object} position - {q, r, moleculeId}
+ * @param {Object} positionMap - Residues by hex (see residuesByHex)
+ * @param {Map} molecules - moleculeId -> Molecule
+ * @returns {Object|null} {entity, direction}
+ */
+function findAdjacentRNA(position, positionMap, molecules) {
+  for (const neighbor of getNeighbors(position.q, position.r)) {
+    const other = positionMap.get(`${neighbor.q},${neighbor.r}`);
+    if (!other || other.position.moleculeId === position.moleculeId) continue;
+    if (molecules.get(other.position.moleculeId)?.type !== 'rna') continue;
+
+    return { entity: other, direction: neighbor.direction };
+  }
+
+  return null;
+}
+
+/**
+ * Find the first empty hex around a position, scanning clockwise
+ * @param {number} q
+ * @param {number} r
+ * @param {number} startDirection - First direction to try
+ * @param {Object} positionMap - Residues by hex (see residuesByHex)
+ * @returns {Object|null} {q, r, direction}
+ */
+function findOpenHexClockwise(q, r, startDirection, positionMap) {
+  for (let i = 0; i < 6; i++) {
+    const direction = (startDirection + i) % 6;
+    const [nq, nr] = moveInDirection(q, r, direction);
+    if (!positionMap.has(`${nq},${nr}`)) {
+      return { q: nq, r: nr, direction };
+    }
+  }
+  return null;
+}
+
+/**
+ * Get the direction from one hex to an adjacent hex
+ * @param {Object} from - {q, r}
+ * @param {Object} to - {q, r}
+ * @returns {number|null}
+ */
+function directionBetween(from, to) {
+  const neighbor = getNeighbors(from.q, from.r).find(n => n.q === to.q && n.r === to.r);
+  return neighbor ? neighbor.direction : null;
+}
+
+/**
+ * Find the first start codon at or after a position in an mRNA
+ * @param {string[]} sequence - mRNA sequence
+ * @param {number} from - Index to start scanning
+ * @param {Object} codonTable - Loaded codon table
+ * @returns {number} Index of the start codon, or -1
+ */
+function findStartCodon(sequence, from, codonTable) {
+  for (let i = from; i + 3 <= sequence.length; i++) {
+    if (codonTable.start.has(sequence.slice(i, i + 3).join(''))) {
+      return i;
+    }
+  }
+  return -1;
+}
+
+/**
+ * Process PBF residues (translation)
+ * A signaled PBF next to mRNA and ATP reads the next codon, adds its amino
+ * acid to the growing protein and consumes the ATP. Stop codons release the
+ * protein (no ATP used); incomplete codons wait for more mRNA.
+ *
+ * @param {World} world
+ * @param {Object} options
+ * @param {Map} options.signalState - Current signal state (residueIndex -> {on, source})
+ * @param {Object} options.codonTable - Table from loadCodonTable
+ * @param {Function} options.onStartChain - Create a new protein: (residue, q, r) => moleculeId
+ * @param {Function} options.onExtendChain - Append to a molecule: (moleculeId, residue, q, r) => boolean
+ * @param {Function} options.onConsumeATP - Callback to consume ATP: (q, r) => boolean
+ * @returns {Object} {translated: [...], released: [...], count: number}
+ */
+export function processPBFs(world, options = {}) {
+  const {
+    signalState = new Map(),
+    codonTable = null,
+    onStartChain = null,
+    onExtendChain = null,
+    onConsumeATP = null
+  } = options;
+
+  if (!codonTable) {
+    throw new Error('processPBFs requires a codonTable');
+  }
+  if (!onStartChain || !onExtendChain || !onConsumeATP) {
+    throw new Error('processPBFs requires onStartChain, onExtendChain and onConsumeATP callbacks');
+  }
+
+  const ribosomes = [];
+  for (const entityId of world.query([COMPONENT_TYPES.POSITION, COMPONENT_TYPES.RESIDUE])) {
+    const residue = world.getComponent(entityId, COMPONENT_TYPES.RESIDUE);
+    if (residue.type !== 'PBF') continue;
+    if (!signalState.get(residue.index)?.on) continue;
+    ribosomes.push({ entityId, position: world.getComponent(entityId, COMPONENT_TYPES.POSITION), residue });
+  }
+
+  const translated = [];
+  const released = [];
+  const activeMolecules = new Set();
+
+  const positionMap = residuesByHex(world);
+  // Molecules started during the loop are proteins, which no ribosome reads
+  const molecules = buildMoleculeMap(world);
+
+  for (const entity of ribosomes) {
+    if (!world.hasComponent(entity.entityId, COMPONENT_TYPES.POSITION)) continue; // Removed this tick
+
+    const { position } = entity;
+    const pbfIndex = entity.residue.index;
+    // One codon per ribosome molecule per tick
+    if (activeMolecules.has(position.moleculeId)) continue;
+
+    const rna = findAdjacentRNA(position, positionMap, molecules);
+    if (!rna) continue;
+
+    const mrnaId = rna.entity.position.moleculeId;
+    const sequence = molecules.get(mrnaId).sequence;
+
+    let chainEntity = findGrowingChain(world, position.moleculeId, 'translation');
+    let chain = chainEntity === null
+      ? null
+      : world.getComponent(chainEntity, COMPONENT_TYPES.GROWING_CHAIN);
+
+    // Drop a chain that was reading a different mRNA, or whose protein is gone
+    if (chain && (chain.templateMoleculeId !== mrnaId ||
+        getChainResidues(chain.chainMoleculeId, positionMap).length === 0)) {
+      world.destroyEntity(chainEntity);
+      chainEntity = null;
+      chain = null;
+    }
+
+    // Work out which codon to read
+    let readIndex;
+    if (chain) {
+      readIndex = chain.readIndex;
+    } else {
+      const adjacentIndex = getChainResidues(mrnaId, positionMap)
+        .findIndex(e => e.entityId === rna.entity.entityId);
+      readIndex = findStartCodon(sequence, adjacentIndex, codonTable);
+      if (readIndex === -1) continue; // No start codon downstream
+    }
+
+    if (readIndex + 3 > sequence.length) continue; // Wait for a full codon
+
+    const codon = sequence.slice(readIndex, readIndex + 3).join('');
+    const { residue: aminoAcid, isStop } = translateCodon(codonTable, codon);
+
+    if (isStop) {
+      if (chain) {
+        released.push({ pbfIndex, moleculeId: chain.chainMoleculeId, length: chain.length, codon });
+        world.destroyEntity(chainEntity);
+      }
+      activeMolecules.add(position.moleculeId);
+      continue;
+    }
+
+    if (!aminoAcid) continue; // Codon not in this table
+
+    const atp = findAdjacentATP(position.q, position.r, positionMap);
+    if (!atp) continue;
+
+    // Place the residue: first beside the PBF, then straight off the chain end
+    let site;
+    let moleculeId;
+    if (chain) {
+      const residues = getChainResidues(chain.chainMoleculeId, positionMap);
+      const last = residues[residues.length - 1];
+      const prev = residues.length > 1 ? residues[residues.length - 2] : entity;
+      const heading = directionBetween(prev.position, last.position) ?? 0;
+      site = findOpenHexClockwise(last.position.q, last.position.r, heading, positionMap);
+      if (!site || !onExtendChain(chain.chainMoleculeId, aminoAcid, site.q, site.r)) continue;
+      moleculeId = chain.chainMoleculeId;
+    } else {
+      site = findOpenHexClockwise(position.q, position.r, (rna.direction + 3) % 6, positionMap);
+      if (!site) continue;
+      moleculeId = onStartChain(aminoAcid, site.q, site.r);
+
+      chainEntity = world.createEntity();
+      chain = createGrowingChainComponent(position.moleculeId, 'translation', moleculeId, mrnaId);
+      world.addComponent(chainEntity, COMPONENT_TYPES.GROWING_CHAIN, chain);
+    }
+
+    chain.readIndex = readIndex + 3;
+    chain.length++;
+    onConsumeATP(atp.q, atp.r);
+    activeMolecules.add(position.moleculeId);
+
+    translated.push({
+      pbfIndex,
+      moleculeId,
+      codon,
+      residue: aminoAcid,
+      q: site.q,
+      r: site.r,
+      atp: `${atp.q},${atp.r}`
+    });
+  }
+
+  return { translated, released, count: translated.length };
+}
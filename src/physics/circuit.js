@@ -0,0 +1,384 @@
+/**
+ * Circuit Truth-Table Analyzer
+ *
+ * Works out what logic a folded complex computes, without touching it:
+ * - Inputs are the BTx residues (bound = 1, unbound = 0)
+ * - Outputs are the actuator residues (PSH, ATR, EJT, RPF, PBF)
+ * - Every input combination is run with no ATP and with ATP next to every gate
+ *
+ * Each output reports two things per row:
+ * - fires: whether it can turn on at all (every probability roll succeeds)
+ * - rate: the fraction of trials in which it turned on with the complex's
+ *   signal probabilities
+ *
+ * Signals are computed to steady state with the pure functions in signal.js
+ * on a copy of the layout, so no ATP is consumed and the complex's RNG is
+ * left alone.
+ *
+ * checkCircuit is the static counterpart: it walks the signal graph of a
+ * layout and reports wiring mistakes without simulating anything. Graph
+ * edges follow the intended signal direction (BTx and OUT into SIG, SIG
+ * into INP/RST and actuators, INP/RST into gates, gates into OUT, INP
+ * through SGX to the opposite OUT). Adjacent SIGs form one node.
+ */
+
+import { getNeighbors } from '../core/hex-layout.js';
+import { SeededRandom } from '../core/rng.js';
+import { getBindingTarget, getSignalingType } from '../data/amino-acids.js';
+import {
+  buildPositionMap,
+  getSignalCapableNeighbors,
+  isSignalSource,
+  isGateType,
+  findSigComponents,
+  computeSteadyState
+} from './signal.js';
+
+/**
+ * Most inputs analyzeCircuit will enumerate by default (2^n rows per ATP case)
+ */
+export const MAX_CIRCUIT_INPUTS = 10;
+
+/**
+ * Find the circuit inputs (BTx residues) of a layout
+ * @param {Array} residues - [{index, type, q, r}, ...]
+ * @returns {Array} [{index, type, nucleotide, label}, ...] in index order, labelled A, B, C...
+ */
+export function findCircuitInputs(residues) {
+  return residues
+    .filter(residue => getBindingTarget(residue.type) !== null)
+    .sort((a, b) => a.index - b.index)
+    .map((residue, i) => ({
+      index: residue.index,
+      type: residue.type,
+      nucleotide: getBindingTarget(residue.type),
+      label: String.fromCharCode(65 + i)
+    }));
+}
+
+/**
+ * Find the circuit outputs (actuator residues) of a layout
+ * @param {Array} residues - [{index, type, q, r}, ...]
+ * @returns {Array} [{index, type, label}, ...] in index order, labelled by type and index (e.g. "ATR5")
+ */
+export function findCircuitOutputs(residues) {
+  return residues
+    .filter(residue => getSignalingType(residue.type) === 'actuator')
+    .sort((a, b) => a.index - b.index)
+    .map(residue => ({
+      index: residue.index,
+      type: residue.type,
+      label: `${residue.type}${residue.index}`
+    }));
+}
+
+/**
+ * Enumerate every combination of n boolean inputs
+ * @param {number} n
+ * @returns {boolean[][]} 2^n rows, counting up in binary with the first input as the high bit
+ */
+export function enumerateInputCombinations(n) {
+  const rows = [];
+  for (let bits = 0; bits < 2 ** n; bits++) {
+    rows.push(Array.from({ length: n }, (_, i) => Boolean(bits & (1 << (n - 1 - i)))));
+  }
+  return rows;
+}
+
+/**
+ * Free hexes that would give every gate in a layout an ATP
+ * @param {Array} residues - [{index, type, q, r}, ...]
+ * @returns {Set} Set of "q,r" strings
+ */
+function surroundGatesWithATP(residues) {
+  const occupied = new Set(residues.map(residue => `${residue.q},${residue.r}`));
+  const positions = new Set();
+  for (const residue of residues) {
+    const signaling = getSignalingType(residue.type);
+    if (signaling !== 'and_gate' && signaling !== 'not_gate') continue;
+    for (const { q, r } of getNeighbors(residue.q, residue.r)) {
+      const key = `${q},${r}`;
+      if (!occupied.has(key)) positions.add(key);
+    }
+  }
+  return positions;
+}
+
+/**
+ * Build the truth table of a complex
+ *
+ * @param {Complex} complex - Folded complex to analyze (not modified)
+ * @param {Object} options
+ * @param {number} options.trials - Runs per row for the probabilistic rate (default 100)
+ * @param {number|string} options.seed - Seed for the trials (default: the complex's seed)
+ * @param {Object} options.config - Signal config (default: the complex's config)
+ * @param {number} options.maxInputs - Refuse circuits with more inputs than this
+ * @returns {Object} {inputs, outputs, rows: [{inputs: boolean[], atp: boolean, outputs: [{fires, rate}]}]}
+ */
+export function analyzeCircuit(complex, options = {}) {
+  const {
+    trials = 100,
+    seed = complex.seed,
+    config = complex.getSignalConfig(),
+    maxInputs = MAX_CIRCUIT_INPUTS
+  } = options;
+
+  const residues = complex.getEntities().map(({ index, type, q, r }) => ({ index, type, q, r }));
+  const inputs = findCircuitInputs(residues);
+  const outputs = findCircuitOutputs(residues);
+
+  if (inputs.length > maxInputs) {
+    throw new Error(`Circuit has ${inputs.length} inputs, more than the limit of ${maxInputs}`);
+  }
+
+  const gateATP = surroundGatesWithATP(residues);
+  const rng = new SeededRandom(seed);
+  const rows = [];
+
+  for (const atp of [false, true]) {
+    for (const bits of enumerateInputCombinations(inputs.length)) {
+      const boundPairs = new Map();
+      inputs.forEach((input, i) => {
+        if (bits[i]) boundPairs.set(input.index, input.nucleotide);
+      });
+      const atpPositions = atp ? gateATP : new Set();
+
+      // A roll of 0 passes every probability check
+      const { state } = computeSteadyState(residues, boundPairs, atpPositions, config, () => 0);
+      const counts = outputs.map(() => 0);
+      for (let trial = 0; trial < trials; trial++) {
+        const result = computeSteadyState(residues, boundPairs, atpPositions, config, rng.random);
+        outputs.forEach((output, i) => {
+          if (result.state.get(output.index)?.on) counts[i]++;
+        });
+      }
+
+      rows.push({
+        inputs: bits,
+        atp,
+        outputs: outputs.map((output, i) => ({
+          fires: Boolean(state.get(output.index)?.on),
+          rate: trials > 0 ? counts[i] / trials : 0
+        }))
+      });
+    }
+  }
+
+  return { inputs, outputs, rows };
+}
+
+/**
+ * Check that an analyzed circuit computes a boolean function
+ * Compares the deterministic `fires` column of one output.
+ *
+ * @param {Object} analysis - Result of analyzeCircuit
+ * @param {Function} expected - (inputs: boolean[]) => boolean
+ * @param {Object} options
+ * @param {number} options.output - Position of the output in analysis.outputs (default 0)
+ * @param {boolean} options.atp - Check the rows with ATP (default true)
+ * @returns {boolean}
+ */
+export function circuitComputes(analysis, expected, options = {}) {
+  const { output = 0, atp = true } = options;
+  if (!analysis.outputs[output]) return false;
+
+  return analysis.rows
+    .filter(row => row.atp === atp)
+    .every(row => row.outputs[output].fires === Boolean(expected(row.inputs)));
+}
+
+/**
+ * Residues that feed a residue, following the intended signal direction
+ * @param {Object} residue - {index, type, q, r}
+ * @param {Map} positionMap - Position -> residue map
+ * @returns {Array} Upstream residues
+ */
+function findUpstream(residue, positionMap) {
+  const neighbors = getSignalCapableNeighbors(residue.q, residue.r, positionMap);
+  const signalingOf = n => getSignalingType(n.type);
+
+  switch (getSignalingType(residue.type)) {
+  case 'conductor':
+    return neighbors.filter(n => isSignalSource(n.type) || signalingOf(n) === 'output_port');
+  case 'input_port':
+  case 'reset_port':
+    return neighbors.filter(n => isSignalSource(n.type) ||
+        signalingOf(n) === 'conductor' || signalingOf(n) === 'output_port');
+  case 'actuator':
+    return neighbors.filter(n => signalingOf(n) !== 'actuator');
+  case 'output_port': {
+    const upstream = neighbors.filter(n => isGateType(signalingOf(n)));
+    for (const sgx of neighbors.filter(n => signalingOf(n) === 'crossroads')) {
+      const opposite = positionMap.get(`${2 * sgx.q - residue.q},${2 * sgx.r - residue.r}`);
+      if (opposite && signalingOf(opposite) === 'input_port') upstream.push(opposite);
+    }
+    return upstream;
+  }
+  case 'latch':
+    return neighbors.filter(n => signalingOf(n) === 'input_port' || signalingOf(n) === 'reset_port');
+  case 'and_gate':
+  case 'not_gate':
+  case 'delay':
+    return neighbors.filter(n => signalingOf(n) === 'input_port');
+  default:
+    return [];
+  }
+}
+
+/**
+ * Find strongly connected components with more than one node (Tarjan)
+ * @param {Map} edges - node -> Set of downstream nodes
+ * @returns {Array<number[]>} Nodes of each cycle
+ */
+function findCycles(edges) {
+  const order = new Map();
+  const low = new Map();
+  const stack = [];
+  const onStack = new Set();
+  const cycles = [];
+  let counter = 0;
+
+  const visit = node => {
+    order.set(node, counter);
+    low.set(node, counter);
+    counter++;
+    stack.push(node);
+    onStack.add(node);
+
+    for (const next of edges.get(node) || []) {
+      if (!order.has(next)) {
+        visit(next);
+        low.set(node, Math.min(low.get(node), low.get(next)));
+      } else if (onStack.has(next)) {
+        low.set(node, Math.min(low.get(node), order.get(next)));
+      }
+    }
+
+    if (low.get(node) === order.get(node)) {
+      const members = [];
+      let member;
+      do {
+        member = stack.pop();
+        onStack.delete(member);
+        members.push(member);
+      } while (member !== node);
+      if (members.length > 1) cycles.push(members);
+    }
+  };
+
+  for (const node of edges.keys()) {
+    if (!order.has(node)) visit(node);
+  }
+  return cycles;
+}
+
+/**
+ * Statically check a layout's signal wiring
+ * Reports, with residue index and hex:
+ * - floating_input: INP/RST with no adjacent SIG, OUT or BTx
+ * - unconnected_output: OUT with no adjacent gate and nothing routed through SGX
+ * - gate_without_input: AND, NOT, LAT or DLY with no adjacent INP
+ * - sgx_without_output: SGX with no INP that has an OUT diametrically opposite
+ * - unreachable_actuator: actuator no BTx can reach
+ * - feedback_cycle: residues whose signal feeds back into itself
+ *
+ * @param {Array} residues - [{index, type, q, r}, ...]
+ * @returns {Array} [{kind, index, type, q, r, message, residues?}, ...]
+ */
+export function checkCircuit(residues) {
+  const positionMap = buildPositionMap(residues);
+  const byIndex = new Map(residues.map(residue => [residue.index, residue]));
+  const issues = [];
+  const describe = residue => `${residue.type} ${residue.index} at (${residue.q},${residue.r})`;
+  const report = (kind, residue, problem, extra = {}) => {
+    issues.push({
+      kind,
+      index: residue.index,
+      type: residue.type,
+      q: residue.q,
+      r: residue.r,
+      message: `${describe(residue)}: ${problem}`,
+      ...extra
+    });
+  };
+
+  // Adjacent SIGs switch together, so each SIG component is one node
+  const nodeOf = new Map();
+  const membersOf = new Map();
+  for (const component of findSigComponents(residues, positionMap)) {
+    const node = Math.min(...component);
+    membersOf.set(node, [...component]);
+    for (const index of component) nodeOf.set(index, node);
+  }
+  const node = index => nodeOf.get(index) ?? index;
+
+  const signaling = residues.filter(residue =>
+    getSignalingType(residue.type) || isSignalSource(residue.type));
+  const edges = new Map(signaling.map(residue => [node(residue.index), new Set()]));
+
+  for (const residue of signaling) {
+    const signalingType = getSignalingType(residue.type);
+    const upstream = findUpstream(residue, positionMap);
+    for (const source of upstream) {
+      if (node(source.index) !== node(residue.index)) {
+        edges.get(node(source.index)).add(node(residue.index));
+      }
+    }
+
+    if ((signalingType === 'input_port' || signalingType === 'reset_port') && upstream.length === 0) {
+      report('floating_input', residue, 'no adjacent SIG, OUT or BTx to take a signal from');
+    } else if (signalingType === 'output_port' && upstream.length === 0) {
+      report('unconnected_output', residue, 'no adjacent gate and nothing routed through SGX');
+    } else if (isGateType(signalingType) &&
+        !upstream.some(n => getSignalingType(n.type) === 'input_port')) {
+      report('gate_without_input', residue, 'no adjacent INP');
+    } else if (signalingType === 'crossroads') {
+      const routes = getSignalCapableNeighbors(residue.q, residue.r, positionMap).some(n => {
+        if (getSignalingType(n.type) !== 'input_port') return false;
+        const opposite = positionMap.get(`${2 * residue.q - n.q},${2 * residue.r - n.r}`);
+        return opposite && getSignalingType(opposite.type) === 'output_port';
+      });
+      if (!routes) {
+        report('sgx_without_output', residue, 'no INP with an OUT on the opposite side');
+      }
+    }
+  }
+
+  // Everything downstream of a BTx can receive a signal
+  const reached = new Set();
+  const queue = signaling.filter(residue => isSignalSource(residue.type)).map(residue => node(residue.index));
+  while (queue.length > 0) {
+    const current = queue.shift();
+    if (reached.has(current)) continue;
+    reached.add(current);
+    queue.push(...edges.get(current));
+  }
+  for (const residue of signaling) {
+    if (getSignalingType(residue.type) === 'actuator' && !reached.has(node(residue.index))) {
+      report('unreachable_actuator', residue, 'no path from any BTx');
+    }
+  }
+
+  for (const cycle of findCycles(edges)) {
+    const members = cycle
+      .flatMap(n => membersOf.get(n) || [n])
+      .sort((a, b) => a - b)
+      .map(index => byIndex.get(index));
+    report('feedback_cycle', members[0], 'feedback cycle', {
+      message: `Feedback cycle through ${members.map(describe).join(', ')}`,
+      residues: members.map(residue => residue.index)
+    });
+  }
+
+  return issues;
+}
+
+export default {
+  MAX_CIRCUIT_INPUTS,
+  findCircuitInputs,
+  findCircuitOutputs,
+  enumerateInputCombinations,
+  analyzeCircuit,
+  circuitComputes,
+  checkCircuit
+};
@@ -0,0 +1,253 @@
+import { describe, test, expect } from '@jest/globals';
+import { Complex } from '../core/complex.js';
+import { Molecule } from '../core/molecule.js';
+import {
+  findCircuitInputs,
+  findCircuitOutputs,
+  enumerateInputCombinations,
+  analyzeCircuit,
+  circuitComputes,
+  checkCircuit
+} from './circuit.js';
+
+// =============================================================================
+// TEST UTILITIES
+// =============================================================================
+
+/**
+ * Create a residue object for testing
+ */
+function createResidue(index, type, q, r) {
+  return { index, type, q, r };
+}
+
+/**
+ * Build a gate protein along r=0 with an OUT-ATR arm touching the gate at (2, 0)
+ * The arm starts at (3, -1), away from the input port at (1, 0)
+ * @param {string} sequence - Gate protein, gate at index 2
+ * @param {Object} config - Signal config
+ */
+function createGateCircuit(sequence, config) {
+  const complex = Complex.fromProtein(sequence, { seed: 7 });
+  complex.setSignalConfig(config);
+  complex.addMolecule(Molecule.createProtein('OUT-ATR'), { offset: { q: 3, r: -1 }, direction: 4 });
+  return complex;
+}
+
+const instantConfig = { SIG: 1.0, AND: 1.0, NOT: 1.0, ATR: 1.0 };
+
+// =============================================================================
+// INPUT / OUTPUT DISCOVERY
+// =============================================================================
+
+describe('Circuit Analyzer - Inputs and Outputs', () => {
+  // INPUT: BTA, SIG, ATR, BTG, PSH
+  // EXPECTED: BTx residues are inputs A, B; actuators are outputs
+  // WHY: Inputs and outputs are identified by residue type
+  test('finds BTx inputs and actuator outputs', () => {
+    const residues = [
+      { index: 3, type: 'BTG', q: 3, r: 0 },
+      { index: 0, type: 'BTA', q: 0, r: 0 },
+      { index: 1, type: 'SIG', q: 1, r: 0 },
+      { index: 2, type: 'ATR', q: 2, r: 0 },
+      { index: 4, type: 'PSH', q: 4, r: 0 }
+    ];
+
+    expect(findCircuitInputs(residues)).toEqual([
+      { index: 0, type: 'BTA', nucleotide: 'A', label: 'A' },
+      { index: 3, type: 'BTG', nucleotide: 'G', label: 'B' }
+    ]);
+    expect(findCircuitOutputs(residues).map(o => o.label)).toEqual(['ATR2', 'PSH4']);
+  });
+
+  // INPUT: 2 inputs
+  // EXPECTED: 00, 01, 10, 11
+  // WHY: Rows follow binary counting order
+  test('enumerates input combinations in binary order', () => {
+    expect(enumerateInputCombinations(2)).toEqual([
+      [false, false],
+      [false, true],
+      [true, false],
+      [true, true]
+    ]);
+    expect(enumerateInputCombinations(0)).toEqual([[]]);
+  });
+});
+
+// =============================================================================
+// TRUTH TABLES
+// =============================================================================
+
+describe('Circuit Analyzer - Truth Tables', () => {
+  // INPUT: BTA-INP-AND-INP-BTG with OUT-ATR on the gate
+  // EXPECTED: ATR fires only for A=1, B=1 with ATP
+  // WHY: AND needs both inputs and ATP
+  test('AND circuit computes A AND B', () => {
+    const analysis = analyzeCircuit(createGateCircuit('BTA-INP-AND-INP-BTG', instantConfig), { trials: 10 });
+
+    expect(analysis.rows).toHaveLength(8);
+    expect(circuitComputes(analysis, ([a, b]) => a && b)).toBe(true);
+    expect(circuitComputes(analysis, () => false, { atp: false })).toBe(true);
+    expect(circuitComputes(analysis, ([a, b]) => a || b)).toBe(false);
+  });
+
+  // INPUT: BTA-INP-NOT with OUT-ATR on the gate
+  // EXPECTED: ATR fires when A is unbound and ATP is present
+  // WHY: NOT turns on when all its inputs are off
+  test('NOT circuit computes NOT A', () => {
+    const analysis = analyzeCircuit(createGateCircuit('BTA-INP-NOT', instantConfig), { trials: 10 });
+
+    expect(analysis.inputs.map(i => i.label)).toEqual(['A']);
+    expect(circuitComputes(analysis, ([a]) => !a)).toBe(true);
+  });
+
+  // INPUT: AND gate with 50% activation probability, 400 trials
+  // EXPECTED: The A=1, B=1 row always can fire, but only about half the time does
+  // WHY: fires is the deterministic result, rate the probabilistic one
+  test('reports probabilistic firing rates', () => {
+    const complex = createGateCircuit('BTA-INP-AND-INP-BTG', { ...instantConfig, AND: 0.5 });
+    const analysis = analyzeCircuit(complex, { trials: 400 });
+    const row = analysis.rows.find(r => r.atp && r.inputs[0] && r.inputs[1]);
+
+    expect(row.outputs[0].fires).toBe(true);
+    expect(row.outputs[0].rate).toBeGreaterThan(0.3);
+    expect(row.outputs[0].rate).toBeLessThan(0.7);
+
+    const again = analyzeCircuit(complex, { trials: 400 });
+    expect(again.rows).toEqual(analysis.rows);
+  });
+
+  // INPUT: Complex with DNA bound and ATP next to the gate
+  // EXPECTED: Analysis leaves molecules, ATP and RNG state untouched
+  // WHY: The analyzer runs on a copy of the layout
+  test('does not modify the complex', () => {
+    const complex = createGateCircuit('BTA-INP-AND-INP-BTG', instantConfig);
+    complex.addMolecule(Molecule.createDNA('A'), { offset: { q: 0, r: 1 } });
+    complex.addMolecule(Molecule.createATP(), { offset: { q: 2, r: 1 } });
+    const before = JSON.stringify(complex.toJSON());
+
+    analyzeCircuit(complex, { trials: 5 });
+
+    expect(JSON.stringify(complex.toJSON())).toBe(before);
+    expect(complex.getATPPositions().has('2,1')).toBe(true);
+  });
+
+  // INPUT: Protein with three BTx residues, maxInputs 2
+  // EXPECTED: Throws
+  // WHY: Rows grow as 2^n
+  test('refuses circuits with too many inputs', () => {
+    const complex = Complex.fromProtein('BTA-BTC-BTG');
+    expect(() => analyzeCircuit(complex, { maxInputs: 2 })).toThrow(/3 inputs/);
+  });
+});
+
+// =============================================================================
+// STATIC CHECKS
+// =============================================================================
+
+describe('Circuit Analyzer - Static Checks', () => {
+  // INPUT: BTA-SIG-SIG-INP-AND with OUT-ATR on the gate, away from the INP
+  // EXPECTED: No issues
+  // WHY: Every port is fed and every actuator is reachable
+  test('well-wired circuit has no issues', () => {
+    const residues = [
+      createResidue(0, 'BTA', 0, 0),
+      createResidue(1, 'SIG', 1, 0),
+      createResidue(2, 'INP', 2, 0),
+      createResidue(3, 'AND', 3, 0),
+      createResidue(4, 'OUT', 4, -1),
+      createResidue(5, 'ATR', 4, -2)
+    ];
+
+    expect(checkCircuit(residues)).toEqual([]);
+  });
+
+  // INPUT: INP with only an AND next to it
+  // EXPECTED: floating_input at the INP
+  // WHY: INP only takes signal from SIG, OUT or BTx
+  test('reports floating inputs with index and hex', () => {
+    const issues = checkCircuit([createResidue(0, 'INP', 0, 0), createResidue(1, 'AND', 1, 0)]);
+
+    expect(issues).toContainEqual(expect.objectContaining({
+      kind: 'floating_input', index: 0, type: 'INP', q: 0, r: 0
+    }));
+  });
+
+  // INPUT: OUT next to a SIG only; AND with no neighbors
+  // EXPECTED: unconnected_output and gate_without_input
+  // WHY: OUT needs a gate; gates need an INP
+  test('reports unconnected outputs and gates without inputs', () => {
+    const issues = checkCircuit([
+      createResidue(0, 'SIG', 0, 0),
+      createResidue(1, 'OUT', 1, 0),
+      createResidue(2, 'AND', 5, 0)
+    ]);
+
+    expect(issues.map(i => [i.kind, i.index])).toEqual([
+      ['unconnected_output', 1],
+      ['gate_without_input', 2]
+    ]);
+  });
+
+  // INPUT: INP-SGX with SIG (not OUT) on the far side; then with OUT there
+  // EXPECTED: sgx_without_output only in the first layout
+  // WHY: SGX routes INP to the diametrically opposite OUT
+  test('reports SGX with no opposite OUT', () => {
+    const layout = far => [
+      createResidue(0, 'BTA', 0, 0),
+      createResidue(1, 'INP', 1, 0),
+      createResidue(2, 'SGX', 2, 0),
+      createResidue(3, far, 3, 0)
+    ];
+
+    expect(checkCircuit(layout('SIG')).map(i => i.kind)).toContain('sgx_without_output');
+    expect(checkCircuit(layout('OUT')).map(i => i.kind)).not.toContain('sgx_without_output');
+  });
+
+  // INPUT: PSH touching only a SIG that touches nothing else
+  // EXPECTED: unreachable_actuator at the PSH
+  // WHY: No BTx can ever power it
+  test('reports actuators no BTx can reach', () => {
+    const issues = checkCircuit([
+      createResidue(0, 'SIG', 0, 0),
+      createResidue(1, 'PSH', 1, 0),
+      createResidue(2, 'BTA', 6, 0)
+    ]);
+
+    expect(issues).toContainEqual(expect.objectContaining({ kind: 'unreachable_actuator', index: 1 }));
+  });
+
+  // INPUT: AND whose OUT touches the AND's own INP
+  // EXPECTED: One feedback_cycle listing AND, INP and OUT
+  // WHY: The gate output feeds back into its input
+  test('reports feedback cycles', () => {
+    const issues = checkCircuit([
+      createResidue(0, 'BTA', 0, 0),
+      createResidue(1, 'INP', 1, 0),
+      createResidue(2, 'AND', 2, 0),
+      createResidue(3, 'OUT', 2, -1)
+    ]);
+
+    const cycles = issues.filter(i => i.kind === 'feedback_cycle');
+    expect(cycles).toHaveLength(1);
+    expect(cycles[0].residues).toEqual([1, 2, 3]);
+    expect(cycles[0].message).toMatch(/OUT 3 at \(2,-1\)/);
+  });
+
+  // INPUT: SIG wire feeding INP-AND, with the AND's OUT touching the wire
+  // EXPECTED: The whole SIG wire is listed in the cycle
+  // WHY: Adjacent SIGs switch together, so the loop runs through all of them
+  test('expands SIG wires in cycles', () => {
+    const issues = checkCircuit([
+      createResidue(0, 'SIG', 0, 0),
+      createResidue(1, 'SIG', 1, 0),
+      createResidue(2, 'INP', 2, 0),
+      createResidue(3, 'AND', 3, 0),
+      createResidue(4, 'OUT', 3, -1),
+      createResidue(5, 'SIG', 2, -1)
+    ]);
+
+    const cycle = issues.find(i => i.kind === 'feedback_cycle');
+    expect(cycle.residues).toEqual([0, 1, 2, 3, 4, 5]);
+  });
+});
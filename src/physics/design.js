@@ -0,0 +1,340 @@
+/**
+ * Inverse Folding
+ *
+ * Proposes a protein sequence whose lowest-energy fold (per
+ * calculateFullEnergy, searched with optimizeFold) is a given target shape.
+ * The target is either a list of fold states or a hex footprint in chain
+ * order.
+ *
+ * Design starts from the folding preferences in AMINO_ACID_TYPES: every
+ * free residue gets the bend residue (STR, L60, R60, L12, R12) whose
+ * preferred fold state is the target's. Constraints then fix some residues:
+ * - fixed: specific residue types at specific positions ({4: 'BTA'})
+ * - gates: logic gates with INP ports on spatially adjacent residues
+ *   ([{type: 'AND', inputs: 2}])
+ * Fixed residues may prefer a different bend than the target, so while some
+ * other fold is as good as the target, single-residue mutations and
+ * opposite-charge pairs are tried. Each round scores every mutation cheaply
+ * against the competing folds found so far, verifies the most promising few
+ * with optimizeFold and moves to the best of them, even when it is no better
+ * than the current sequence (sequences already tried are not revisited).
+ * The sequence that best separates the target from its closest competitor
+ * is kept.
+ *
+ * Not every target can be designed: a residue without a folding preference
+ * (BTA, INP, ...) at a bend leaves the chain free to swing there unless
+ * charges pull it into place. In that case the best sequence found is
+ * returned with matches: false.
+ *
+ * Verification uses optimizeFold, so it is exact for chains short enough
+ * for exhaustive search and a beam-search estimate beyond that.
+ */
+
+import { AMINO_ACID_TYPES } from '../data/amino-acids.js';
+import { getNeighbors, moveInDirection, sequenceToHexGrid } from '../core/hex-layout.js';
+import { calculateFullEnergy, stepsToAngle } from './energy.js';
+import { optimizeFold } from './folding.js';
+
+/**
+ * Residue that prefers each fold state
+ */
+export const BEND_RESIDUES = {
+  '-2': 'R12',
+  '-1': 'R60',
+  0: 'STR',
+  1: 'L60',
+  2: 'L12'
+};
+
+/**
+ * Residues tried when mutating free positions
+ */
+export const DESIGN_ALPHABET = ['STR', 'L60', 'R60', 'L12', 'R12', 'FLX', 'POS', 'NEG', 'PHO', 'PHI'];
+
+/**
+ * Energy gap below which the target does not count as the unique minimum
+ */
+const MARGIN_EPSILON = 1e-9;
+
+/**
+ * Competing folds optimizeFold reports per verified sequence
+ */
+const COMPETITORS_PER_SEARCH = 8;
+
+/**
+ * Convert a hex footprint in chain order to fold states
+ * @param {Array} footprint - [{q, r}, ...] consecutive residues on adjacent hexes
+ * @returns {number[]} Fold state per residue (ends are 0)
+ * @throws {Error} If the path overlaps, skips a hex, or doubles back
+ */
+export function footprintToFoldStates(footprint) {
+  const seen = new Set();
+  for (const { q, r } of footprint) {
+    const key = `${q},${r}`;
+    if (seen.has(key)) {
+      throw new Error(`Footprint visits (${q},${r}) twice`);
+    }
+    seen.add(key);
+  }
+
+  const directions = [];
+  for (let i = 0; i < footprint.length - 1; i++) {
+    const dq = footprint[i + 1].q - footprint[i].q;
+    const dr = footprint[i + 1].r - footprint[i].r;
+    const direction = [0, 1, 2, 3, 4, 5].find(d => {
+      const [q, r] = moveInDirection(0, 0, d);
+      return q === dq && r === dr;
+    });
+    if (direction === undefined) {
+      throw new Error(`Footprint residues ${i} and ${i + 1} are not adjacent`);
+    }
+    directions.push(direction);
+  }
+
+  const foldStates = new Array(footprint.length).fill(0);
+  for (let i = 1; i < footprint.length - 1; i++) {
+    // Left turns lower the direction index (see applyBend)
+    const turn = (directions[i - 1] - directions[i] + 6) % 6;
+    const steps = turn > 3 ? turn - 6 : turn;
+    if (steps === 3) {
+      throw new Error(`Footprint doubles back at residue ${i}`);
+    }
+    foldStates[i] = steps;
+  }
+  return foldStates;
+}
+
+/**
+ * Lay out fold states on the hex grid
+ * @param {number[]} foldStates
+ * @returns {Array} [{q, r}, ...] in chain order
+ */
+function layoutFoldStates(foldStates) {
+  const bends = [];
+  for (let i = 1; i < foldStates.length - 1; i++) {
+    if (foldStates[i] !== 0) {
+      bends.push({ position: i, ...stepsToAngle(foldStates[i]) });
+    }
+  }
+  return sequenceToHexGrid(foldStates.map(() => 'STR').join('-'), bends);
+}
+
+/**
+ * Place gate requirements on free residues
+ * Each gate goes where it and its INPs disagree least with the target
+ * bends (signaling residues all prefer to run straight).
+ *
+ * @param {Array} sequence - Residue types, null where free (modified)
+ * @param {number[]} foldStates - Target fold states
+ * @param {Array} gates - [{type, inputs}, ...]
+ */
+function placeGates(sequence, foldStates, gates) {
+  const layout = layoutFoldStates(foldStates);
+  const at = new Map(layout.map(({ q, r }, i) => [`${q},${r}`, i]));
+  const conflict = i => (foldStates[i] !== 0 && i > 0 && i < foldStates.length - 1 ? 1 : 0);
+
+  for (const { type, inputs = 2 } of gates) {
+    let best = null;
+
+    sequence.forEach((assigned, i) => {
+      if (assigned !== null) return;
+
+      const free = getNeighbors(layout[i].q, layout[i].r)
+        .map(({ q, r }) => at.get(`${q},${r}`))
+        .filter(j => j !== undefined && sequence[j] === null)
+        .sort((a, b) => conflict(a) - conflict(b) || a - b)
+        .slice(0, inputs);
+      if (free.length < inputs) return;
+
+      const cost = conflict(i) + free.reduce((sum, j) => sum + conflict(j), 0);
+      if (!best || cost < best.cost) {
+        best = { gate: i, inputs: free, cost };
+      }
+    });
+
+    if (!best) {
+      throw new Error(`No room for ${type} with ${inputs} INPs in the target shape`);
+    }
+
+    sequence[best.gate] = type;
+    for (const j of best.inputs) sequence[j] = 'INP';
+  }
+}
+
+/**
+ * Score how well a sequence folds into the target
+ * @param {string[]} sequence
+ * @param {number[]} foldStates - Target
+ * @param {Object} searchOptions - Passed to optimizeFold
+ * @returns {Object} {sequence, energy, competitor, margin, matches, ties, competitors}
+ *   - ties counts competitors no higher than the target; competitors lists
+ *   the fold states of every competitor found
+ */
+function evaluateDesign(sequence, foldStates, searchOptions) {
+  const energy = calculateFullEnergy(sequence, foldStates);
+  const { conformations } = optimizeFold(sequence, { ...searchOptions, topK: COMPETITORS_PER_SEARCH + 1 });
+  const competitors = conformations.filter(c =>
+    c.foldStates.some((steps, i) => steps !== foldStates[i]));
+  const competitor = competitors[0] || null;
+  const margin = competitor ? competitor.energy - energy : Infinity;
+  const ties = competitors.filter(c => c.energy - energy <= MARGIN_EPSILON).length;
+
+  return {
+    sequence,
+    energy,
+    competitor,
+    margin,
+    matches: margin > MARGIN_EPSILON,
+    ties,
+    competitors: competitors.map(c => c.foldStates)
+  };
+}
+
+/**
+ * Whether design a separates the target better than design b
+ * Higher margin wins; at equal margin, fewer tied competitors.
+ * @param {Object} a - From evaluateDesign
+ * @param {Object} b - From evaluateDesign
+ * @returns {boolean}
+ */
+function isBetterDesign(a, b) {
+  if (Math.abs(a.margin - b.margin) > MARGIN_EPSILON) return a.margin > b.margin;
+  return a.ties < b.ties;
+}
+
+/**
+ * Cheap estimate of a sequence's margin
+ * Compares the target only with competing folds already found, so it is an
+ * upper bound on the margin optimizeFold would report.
+ * @param {string[]} sequence
+ * @param {number[]} foldStates - Target
+ * @param {Map} competitors - key -> fold states
+ * @returns {number}
+ */
+function estimateMargin(sequence, foldStates, competitors) {
+  const energy = calculateFullEnergy(sequence, foldStates);
+  let margin = Infinity;
+  for (const states of competitors.values()) {
+    margin = Math.min(margin, calculateFullEnergy(sequence, states) - energy);
+  }
+  return margin;
+}
+
+/**
+ * Design a sequence whose lowest-energy fold is the target
+ *
+ * @param {Object} target - {foldStates: number[]} or {footprint: [{q, r}, ...]}
+ * @param {Object} options
+ * @param {Object|Map} options.fixed - Position -> residue type that must be used
+ * @param {Array} options.gates - [{type: 'AND', inputs: 2}, ...] gates to include
+ * @param {number} options.maxRounds - Mutation rounds before giving up (default 10)
+ * @param {number} options.shortlist - Mutations verified with optimizeFold per round (default 4)
+ * @param {Object} options.search - Options for optimizeFold (method, beamWidth, ...)
+ * @returns {Object} {sequence: string[], foldStates, energy, competitor: {foldStates, energy}|null,
+ *   margin: number, matches: boolean, rounds: number}
+ */
+export function designSequence(target, options = {}) {
+  const {
+    fixed = {},
+    gates = [],
+    maxRounds = 10,
+    shortlist = 4,
+    search = {}
+  } = options;
+
+  const foldStates = target.footprint
+    ? footprintToFoldStates(target.footprint)
+    : [...target.foldStates];
+  const length = foldStates.length;
+  if (length === 0) {
+    throw new Error('designSequence requires a non-empty target');
+  }
+  foldStates[0] = 0;
+  foldStates[length - 1] = 0;
+  layoutFoldStates(foldStates); // Throws if the target overlaps itself
+
+  const sequence = new Array(length).fill(null);
+  const fixedEntries = fixed instanceof Map ? [...fixed] : Object.entries(fixed);
+  for (const [key, type] of fixedEntries) {
+    const position = Number(key);
+    if (!Number.isInteger(position) || position < 0 || position >= length) {
+      throw new Error(`Fixed position ${key} is outside the ${length}-residue target`);
+    }
+    if (!AMINO_ACID_TYPES[type]) {
+      throw new Error(`Unknown residue type: ${type}`);
+    }
+    sequence[position] = type;
+  }
+  placeGates(sequence, foldStates, gates);
+
+  const free = [];
+  sequence.forEach((type, i) => {
+    if (type !== null) return;
+    free.push(i);
+    sequence[i] = BEND_RESIDUES[foldStates[i]];
+  });
+
+  // Opposite charges pull the chain together (E = k ln r), which can favor
+  // the target over folds that differ only at flexible residues
+  const pairs = [];
+  for (const i of free) {
+    for (const j of free) {
+      if (j > i + 1) pairs.push([i, j]);
+    }
+  }
+
+  const mutations = [];
+  for (const i of free) {
+    for (const type of DESIGN_ALPHABET) mutations.push([[i, type]]);
+  }
+  for (const [i, j] of pairs) {
+    mutations.push([[i, 'POS'], [j, 'NEG']], [[i, 'NEG'], [j, 'POS']]);
+  }
+
+  const competitors = new Map();
+  const tried = new Set();
+  const remember = design => {
+    tried.add(design.sequence.join('-'));
+    for (const states of design.competitors) competitors.set(states.join(','), states);
+    return design;
+  };
+
+  let current = remember(evaluateDesign(sequence, foldStates, search));
+  let best = current;
+  let rounds = 0;
+
+  while (!best.matches && rounds < maxRounds) {
+    const candidates = [];
+    for (const mutation of mutations) {
+      const candidate = [...current.sequence];
+      for (const [i, type] of mutation) candidate[i] = type;
+      if (tried.has(candidate.join('-'))) continue;
+      candidates.push({ candidate, estimate: estimateMargin(candidate, foldStates, competitors) });
+    }
+    if (candidates.length === 0) break; // Every neighbor has been tried
+
+    rounds++;
+    candidates.sort((a, b) => b.estimate - a.estimate);
+
+    // Move to the best verified neighbor, even a sideways or worse one,
+    // so a round without improvement does not end the search
+    let next = null;
+    for (const { candidate } of candidates.slice(0, shortlist)) {
+      const result = remember(evaluateDesign(candidate, foldStates, search));
+      if (!next || isBetterDesign(result, next)) next = result;
+    }
+
+    current = next;
+    if (isBetterDesign(current, best)) best = current;
+  }
+
+  const { energy, competitor, margin, matches } = best;
+  return { sequence: best.sequence, foldStates, energy, competitor, margin, matches, rounds };
+}
+
+export default {
+  BEND_RESIDUES,
+  DESIGN_ALPHABET,
+  footprintToFoldStates,
+  designSequence
+};
@@ -0,0 +1,143 @@
+import { describe, test, expect } from '@jest/globals';
+import { sequenceToHexGrid } from '../core/hex-layout.js';
+import { Complex } from '../core/complex.js';
+import { Molecule } from '../core/molecule.js';
+import { stepsToAngle } from './energy.js';
+import { optimizeFold } from './folding.js';
+import { footprintToFoldStates, designSequence } from './design.js';
+
+// =============================================================================
+// TEST UTILITIES
+// =============================================================================
+
+/**
+ * Hex footprint of fold states, as Molecule lays them out
+ */
+function footprintOf(foldStates) {
+  const bends = [];
+  foldStates.forEach((steps, position) => {
+    if (steps !== 0) bends.push({ position, ...stepsToAngle(steps) });
+  });
+  return sequenceToHexGrid(foldStates.map(() => 'STR').join('-'), bends)
+    .map(({ q, r }) => ({ q, r }));
+}
+
+/**
+ * Axial hex distance between two residues of a complex
+ */
+function hexDistance(a, b) {
+  const dq = a.q - b.q;
+  const dr = a.r - b.r;
+  return (Math.abs(dq) + Math.abs(dr) + Math.abs(dq + dr)) / 2;
+}
+
+// =============================================================================
+// FOOTPRINTS
+// =============================================================================
+
+describe('Inverse Folding - Footprints', () => {
+  // INPUT: Footprint of a chain with left and right bends
+  // EXPECTED: The fold states it was laid out from
+  // WHY: footprintToFoldStates inverts the Molecule layout
+  test('round-trips fold states', () => {
+    const foldStates = [0, 1, 0, -2, 0];
+    expect(footprintToFoldStates(footprintOf(foldStates))).toEqual(foldStates);
+  });
+
+  // INPUT: Footprints that revisit a hex, skip a hex, or turn back
+  // EXPECTED: Throws
+  // WHY: None of these can be a chain of adjacent residues
+  test('rejects impossible footprints', () => {
+    expect(() => footprintToFoldStates([{ q: 0, r: 0 }, { q: 1, r: 0 }, { q: 0, r: 0 }]))
+      .toThrow(/twice/);
+    expect(() => footprintToFoldStates([{ q: 0, r: 0 }, { q: 2, r: 0 }]))
+      .toThrow(/not adjacent/);
+  });
+});
+
+// =============================================================================
+// DESIGN
+// =============================================================================
+
+describe('Inverse Folding - Design', () => {
+  // INPUT: Target with every kind of bend, no constraints
+  // EXPECTED: Bend residues only; the target is the unique minimum
+  // WHY: Each residue's folding preference already matches the target
+  test('designs a sequence that folds into the target', () => {
+    const target = [0, 1, 1, -1, 0, 2, 0];
+    const design = designSequence({ foldStates: target });
+
+    expect(design.sequence).toEqual(['STR', 'L60', 'L60', 'R60', 'STR', 'L12', 'STR']);
+    expect(design.matches).toBe(true);
+    expect(design.rounds).toBe(0);
+    expect(optimizeFold(design.sequence).conformations[0].foldStates).toEqual(target);
+  });
+
+  // INPUT: Target footprint instead of fold states
+  // EXPECTED: Same design as from the fold states
+  // WHY: Footprints are converted before design
+  test('accepts a footprint target', () => {
+    const target = [0, 1, 1, -1, 0, 2, 0];
+    const design = designSequence({ footprint: footprintOf(target) });
+    expect(design.foldStates).toEqual(target);
+    expect(design.matches).toBe(true);
+  });
+
+  // INPUT: Hairpin with BTA fixed at the second bend
+  // EXPECTED: BTA kept; charges added so the hairpin is still the unique minimum
+  // WHY: BTA has no folding preference, so only the charges hold that bend
+  test('respects fixed residues', () => {
+    const target = [0, 0, 2, 1, 0, 0];
+    const design = designSequence({ foldStates: target }, { fixed: { 3: 'BTA' } });
+
+    expect(design.sequence[3]).toBe('BTA');
+    expect(design.sequence).toContain('POS');
+    expect(design.sequence).toContain('NEG');
+    expect(design.matches).toBe(true);
+    expect(optimizeFold(design.sequence).conformations[0].foldStates).toEqual(target);
+  });
+
+  // INPUT: 8-residue target with BTA fixed at its right bend, 3 rounds of 2 verified mutations
+  // EXPECTED: All 3 rounds run; BTA kept; no worse than the starting design
+  // WHY: Rounds without improvement move sideways instead of ending the search,
+  //      and only the shortlisted mutations pay for a full fold search
+  test('keeps searching after a round without improvement', () => {
+    const target = [0, 1, 0, 0, -1, 0, 0, 0];
+    const start = designSequence({ foldStates: target }, { fixed: { 4: 'BTA' }, maxRounds: 0 });
+    const design = designSequence({ foldStates: target }, { fixed: { 4: 'BTA' }, maxRounds: 3, shortlist: 2 });
+
+    expect(start.matches).toBe(false);
+    expect(design.rounds).toBe(3);
+    expect(design.sequence[4]).toBe('BTA');
+    expect(design.margin).toBeGreaterThanOrEqual(start.margin);
+  });
+
+  // INPUT: Hairpin with an AND gate and two INPs required
+  // EXPECTED: One AND, two INPs, both on hexes next to the AND
+  // WHY: INP ports only feed a gate they touch
+  test('places gates with adjacent INPs', () => {
+    const target = [0, 0, 2, 1, 0, 0];
+    const design = designSequence({ foldStates: target }, { gates: [{ type: 'AND', inputs: 2 }] });
+
+    expect(design.sequence.filter(t => t === 'AND')).toHaveLength(1);
+    expect(design.sequence.filter(t => t === 'INP')).toHaveLength(2);
+
+    const complex = new Complex();
+    complex.addMolecule(Molecule.createProtein(design.sequence, { foldStates: target }));
+    const residues = complex.getEntities();
+    const gate = residues.find(e => e.type === 'AND');
+    for (const input of residues.filter(e => e.type === 'INP')) {
+      expect(hexDistance(input, gate)).toBe(1);
+    }
+  });
+
+  // INPUT: Bad constraints and targets
+  // EXPECTED: Throws
+  test('rejects invalid constraints', () => {
+    const target = { foldStates: [0, 1, 0] };
+    expect(() => designSequence(target, { fixed: { 1: 'XYZ' } })).toThrow(/Unknown residue type/);
+    expect(() => designSequence(target, { fixed: { 5: 'BTA' } })).toThrow(/outside/);
+    expect(() => designSequence(target, { gates: [{ type: 'AND', inputs: 4 }] })).toThrow(/No room/);
+    expect(() => designSequence({ foldStates: [] })).toThrow(/non-empty/);
+  });
+});
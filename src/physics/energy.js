@@ -7,23 +7,36 @@
  * - Electrostatic: 1/r Coulomb potential, adjacent opposite charges = -1 eV
  * - Hydrophobic: burial/exposure bonuses/penalties
  * - Kinetic barrier: rotational energy E_a = 0.5 × ROTATIONAL_SCALE × I × ω²
+ *
+ * Inside a Complex the protein is not alone: an optional environment (the
+ * residues of every other molecule, [{type, position}]) adds electrostatic,
+ * burial and steric contributions from those residues, plus a binding bonus
+ * for BTx residues next to their nucleotide. The environment's own internal
+ * energy is left out, since folding one protein cannot change it.
  */
 
-import { AMINO_ACID_TYPES, ENERGY_CONSTANTS, calculateFoldEnergy } from '../data/amino-acids.js';
-import { hexEuclideanDistance, sequenceToHexGrid } from '../core/hex-layout.js';
+import {
+  AMINO_ACID_TYPES,
+  ENERGY_CONSTANTS,
+  calculateFoldEnergy,
+  canBindToNucleotide
+} from '../data/amino-acids.js';
+import { applyBend, getNeighbors, hexEuclideanDistance, rotateHex, sequenceToHexGrid } from '../core/hex-layout.js';
 
 /**
  * Calculate total energy of a protein in its current state
  * @param {Object} protein - Protein object with amino acids and positions
+ * @param {Array} environment - Optional: residues of other molecules [{type, position}, ...]
  * @returns {number} Total energy in eV
  */
-export function calculateProteinEnergy(protein) {
+export function calculateProteinEnergy(protein, environment = []) {
   let E_total = 0;
 
-  E_total += calculateElectrostaticEnergy(protein);
-  E_total += calculateHydrophobicEnergy(protein);
+  E_total += calculateElectrostaticEnergy(protein, environment);
+  E_total += calculateHydrophobicEnergy(protein, environment);
   E_total += calculateFoldingPreferenceEnergy(protein);
-  E_total += calculateStericEnergy(protein);
+  E_total += calculateStericEnergy(protein, environment);
+  E_total += calculateBindingEnergy(protein, environment);
 
   return E_total;
 }
@@ -40,15 +53,17 @@ export function calculateProteinEnergy(protein) {
  *   r>1: E < 0 (farther = less attractive)
  *
  * We scale k so that meaningful energy differences occur over our distance range.
+ * Environment residues pair with the protein's residues, not with each other.
  */
-export function calculateElectrostaticEnergy(protein) {
+export function calculateElectrostaticEnergy(protein, environment = []) {
   let E = 0;
   const { COULOMB_CONSTANT } = ENERGY_CONSTANTS;
+  const others = [...protein.aminoAcids, ...environment];
 
   for (let i = 0; i < protein.aminoAcids.length; i++) {
-    for (let j = i + 1; j < protein.aminoAcids.length; j++) {
+    for (let j = i + 1; j < others.length; j++) {
       const aa1 = protein.aminoAcids[i];
-      const aa2 = protein.aminoAcids[j];
+      const aa2 = others[j];
 
       const q1 = AMINO_ACID_TYPES[aa1.type]?.charge || 0;
       const q2 = AMINO_ACID_TYPES[aa2.type]?.charge || 0;
@@ -72,8 +87,9 @@ export function calculateElectrostaticEnergy(protein) {
 /**
  * Hydrophobic effect energy
  * Hydrophobic residues want to be buried, hydrophilic want to be exposed
+ * Environment residues bury the protein's residues but are not scored themselves.
  */
-export function calculateHydrophobicEnergy(protein) {
+export function calculateHydrophobicEnergy(protein, environment = []) {
   let E = 0;
   const { HYDROPHOBIC_BURIAL, HYDROPHOBIC_EXPOSURE, HYDROPHILIC_BURIAL, HYDROPHILIC_EXPOSURE } = ENERGY_CONSTANTS;
 
@@ -82,7 +98,7 @@ export function calculateHydrophobicEnergy(protein) {
     const props = AMINO_ACID_TYPES[aa.type];
     if (!props) continue;
 
-    const exposure = calculateSolventExposure(protein, i);
+    const exposure = calculateSolventExposure(protein, i, environment);
 
     if (props.hydrophobicity === 'hydrophobic') {
       // Hydrophobic: wants to be buried (low exposure)
@@ -105,14 +121,15 @@ export function calculateHydrophobicEnergy(protein) {
  * Calculate solvent exposure for an amino acid
  * 0 = fully buried, 1 = fully exposed
  */
-function calculateSolventExposure(protein, index) {
+function calculateSolventExposure(protein, index, environment = []) {
   const aa = protein.aminoAcids[index];
+  const others = [...protein.aminoAcids, ...environment];
   let neighbors = 0;
 
-  for (let j = 0; j < protein.aminoAcids.length; j++) {
+  for (let j = 0; j < others.length; j++) {
     if (j === index) continue;
 
-    const other = protein.aminoAcids[j];
+    const other = others[j];
     const dist = hexEuclideanDistance(aa.position, other.position);
 
     // Count neighbors within contact distance
@@ -141,6 +158,9 @@ export function calculateFoldingPreferenceEnergy(protein) {
   for (let i = 1; i < protein.aminoAcids.length - 1; i++) {
     const aa = protein.aminoAcids[i];
 
+    // Denatured residues have lost their preference (see heatSystem.js)
+    if (aa.denatured) continue;
+
     // Find if there's a fold at this position
     const fold = protein.folds.find(f => f.position === i);
 
@@ -188,18 +208,21 @@ export function stepsToAngle(steps) {
 
 /**
  * Steric clash energy (repulsion when too close)
- * Prevents overlaps
+ * Prevents overlaps, within the chain and with environment residues
  */
-export function calculateStericEnergy(protein) {
+export function calculateStericEnergy(protein, environment = []) {
   let E = 0;
   const CLASH_DISTANCE = 0.5;  // Hexes
   const CLASH_PENALTY = 100.0;  // eV (very high to prevent overlaps)
+  const others = [...protein.aminoAcids, ...environment];
 
   for (let i = 0; i < protein.aminoAcids.length; i++) {
-    for (let j = i + 2; j < protein.aminoAcids.length; j++) {
+    for (let j = i + 1; j < others.length; j++) {
       // Skip adjacent amino acids (they're bonded)
+      if (j === i + 1 && j < protein.aminoAcids.length) continue;
+
       const aa1 = protein.aminoAcids[i];
-      const aa2 = protein.aminoAcids[j];
+      const aa2 = others[j];
 
       const r = hexEuclideanDistance(aa1.position, aa2.position);
 
@@ -214,6 +237,31 @@ export function calculateStericEnergy(protein) {
   return E;
 }
 
+/**
+ * Binding energy of BTx residues next to a matching nucleotide
+ * Each BTx counts once, however many matching nucleotides touch it.
+ * @param {Object} protein - Protein with aminoAcids and their positions
+ * @param {Array} environment - Residues of other molecules [{type, position}, ...]
+ * @returns {number} Energy in eV
+ */
+export function calculateBindingEnergy(protein, environment = []) {
+  if (environment.length === 0) return 0;
+
+  const nucleotides = new Map(environment.map(({ type, position }) =>
+    [`${position.q},${position.r}`, type]));
+  let E = 0;
+
+  for (const aa of protein.aminoAcids) {
+    const bound = getNeighbors(aa.position.q, aa.position.r).some(({ q, r }) => {
+      const nucleotide = nucleotides.get(`${q},${r}`);
+      return nucleotide !== undefined && canBindToNucleotide(aa.type, nucleotide);
+    });
+    if (bound) E += ENERGY_CONSTANTS.BINDING_ENERGY;
+  }
+
+  return E;
+}
+
 /**
  * Calculate reduced moment of inertia for a fold at the given position.
  *
@@ -363,9 +411,13 @@ export function calculateTransitionRate(E_a_kinetic, deltaE, temperature = ENERG
  * Build a protein object with real hex positions from sequence and fold states
  * @param {string[]} sequence - Array of amino acid type codes
  * @param {number[]} foldStates - Array of fold states in steps notation
+ * @param {Set} denatured - Optional: residue indices that have lost their folding preference
+ * @param {Object} placement - Optional: {q, r, direction} of the first residue and the
+ *   chain's starting direction, as in a Complex (default origin, direction 0). With a
+ *   placement, a bend at index 0 turns the first bond as it does in a Complex
  * @returns {Object} Protein object with aminoAcids (including positions) and folds
  */
-export function buildProteinWithPositions(sequence, foldStates) {
+export function buildProteinWithPositions(sequence, foldStates, denatured = null, placement = null) {
   const sequenceStr = sequence.join('-');
   const bends = [];
 
@@ -383,10 +435,20 @@ export function buildProteinWithPositions(sequence, foldStates) {
   // Get hex positions (may throw on overlap)
   const hexGrid = sequenceToHexGrid(sequenceStr, bends);
 
-  const aminoAcids = sequence.map((type, i) => ({
-    type,
-    position: { q: hexGrid[i].q, r: hexGrid[i].r }
-  }));
+  // Turning the layout by N steps points the first bond in direction N
+  const { q: offsetQ = 0, r: offsetR = 0, direction = 0 } = placement || {};
+  const firstSteps = placement && foldStates.length > 1 ? foldStates[0] : 0;
+  const heading = firstSteps !== 0
+    ? applyBend(direction, Math.abs(firstSteps) * 60, firstSteps > 0 ? 'left' : 'right')
+    : direction;
+  const aminoAcids = sequence.map((type, i) => {
+    const [q, r] = rotateHex(hexGrid[i].q, hexGrid[i].r, heading);
+    return {
+      type,
+      position: { q: q + offsetQ, r: r + offsetR },
+      ...(denatured?.has(i) && { denatured: true })
+    };
+  });
 
   const folds = bends.map(b => ({
     position: b.position,
@@ -401,12 +463,25 @@ export function buildProteinWithPositions(sequence, foldStates) {
  * Calculate full protein energy including electrostatics
  * @param {string[]} sequence - Array of amino acid type codes
  * @param {number[]} foldStates - Array of fold states in steps notation
+ * @param {Set} denatured - Optional: residue indices that have lost their folding preference
+ * @param {Object} context - Optional: surroundings in a Complex
+ * @param {Object} context.placement - {q, r, direction} of the chain (see buildProteinWithPositions)
+ * @param {Array} context.environment - Residues of other molecules [{type, position}, ...]
  * @returns {number} Total energy in eV, or Infinity if configuration is invalid
  */
-export function calculateFullEnergy(sequence, foldStates) {
+export function calculateFullEnergy(sequence, foldStates, denatured = null, context = null) {
+  const { placement = null, environment = [] } = context || {};
+
   try {
-    const protein = buildProteinWithPositions(sequence, foldStates);
-    return calculateProteinEnergy(protein);
+    const protein = buildProteinWithPositions(sequence, foldStates, denatured, placement);
+
+    // Folds that run into another molecule are invalid, like self-overlaps
+    const occupied = new Set(environment.map(({ position }) => `${position.q},${position.r}`));
+    if (protein.aminoAcids.some(({ position }) => occupied.has(`${position.q},${position.r}`))) {
+      return Infinity;
+    }
+
+    return calculateProteinEnergy(protein, environment);
   } catch (error) {
     if (error.message.includes('Overlap')) {
       return Infinity;  // Invalid configuration
@@ -420,19 +495,27 @@ export function calculateFullEnergy(sequence, foldStates) {
  * Now includes full energy calculation with electrostatics
  *
  * @param {Object} protein - Current protein state
- * @param {number} temperature - Temperature in K
+ * @param {number|number[]} temperature - Temperature in K, or local temperature per residue
  * @param {string[]} sequence - Optional: amino acid sequence for full energy calc
  * @param {number[]} currentFoldStates - Optional: current fold states for full energy calc
+ * @param {Object} context - Optional: {placement, environment} for the full energy calc
+ *   (see calculateFullEnergy)
  * @returns {Array} Array of possible transitions with rates
  */
-export function buildTransitionMatrix(protein, temperature = ENERGY_CONSTANTS.ROOM_TEMPERATURE, sequence = null, currentFoldStates = null) {
+export function buildTransitionMatrix(protein, temperature = ENERGY_CONSTANTS.ROOM_TEMPERATURE, sequence = null, currentFoldStates = null, context = null) {
   const transitions = [];
 
+  // Residues flagged by buildProteinWithPositions keep their flag in every target state
+  const denatured = new Set();
+  protein.aminoAcids.forEach((aa, i) => {
+    if (aa.denatured) denatured.add(i);
+  });
+
   // Calculate current full energy if sequence provided
   const useFullEnergy = sequence !== null && currentFoldStates !== null;
   let currentFullEnergy = 0;
   if (useFullEnergy) {
-    currentFullEnergy = calculateFullEnergy(sequence, currentFoldStates);
+    currentFullEnergy = calculateFullEnergy(sequence, currentFoldStates, denatured, context);
   }
 
   // For each bend position (between amino acids, not at ends)
@@ -456,17 +539,19 @@ export function buildTransitionMatrix(protein, temperature = ENERGY_CONSTANTS.RO
         // Calculate full energy of target state including electrostatics
         const targetFoldStates = [...currentFoldStates];
         targetFoldStates[pos] = targetSteps;
-        const targetFullEnergy = calculateFullEnergy(sequence, targetFoldStates);
+        const targetFullEnergy = calculateFullEnergy(sequence, targetFoldStates, denatured, context);
         deltaE = targetFullEnergy - currentFullEnergy;
       } else {
         // Fallback: use only the amino acid's fold energy
         const aa = protein.aminoAcids[pos];
-        const currentFoldEnergy = calculateFoldEnergy(aa.type, currentSteps);
-        const targetFoldEnergy = calculateFoldEnergy(aa.type, targetSteps);
+        const currentFoldEnergy = aa.denatured ? 0 : calculateFoldEnergy(aa.type, currentSteps);
+        const targetFoldEnergy = aa.denatured ? 0 : calculateFoldEnergy(aa.type, targetSteps);
         deltaE = targetFoldEnergy - currentFoldEnergy;
       }
 
-      const rate = calculateTransitionRate(E_a_kinetic, deltaE, temperature);
+      // Each bend feels the temperature at its own residue
+      const localTemperature = Array.isArray(temperature) ? temperature[pos] : temperature;
+      const rate = calculateTransitionRate(E_a_kinetic, deltaE, localTemperature);
 
       const { angle, direction } = stepsToAngle(targetSteps);
 
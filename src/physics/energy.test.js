@@ -719,6 +719,17 @@ describe('Physics Energy Calculations', () => {
 
       expect(preferredEnergy).toBeLessThan(straightEnergy);
     });
+
+    test('denatured residues lose their folding preference', () => {
+      const sequence = ['FLX', 'L60', 'FLX'];
+      const straight = [0, 0, 0];  // L60 forced straight
+
+      const native = calculateFullEnergy(sequence, straight);
+      const denatured = calculateFullEnergy(sequence, straight, new Set([1]));
+
+      expect(native - denatured).toBeCloseTo(0.1, 10);
+      expect(calculateFullEnergy(sequence, [0, 1, 0], new Set([1]))).toBeCloseTo(denatured, 10);
+    });
   });
 
   // ===========================================================================
@@ -803,6 +814,147 @@ describe('Physics Energy Calculations', () => {
       expect(awayFromPreferred).toBeDefined();
       expect(toPreferred.rate).toBeGreaterThan(awayFromPreferred.rate);
     });
+
+    test('uses the local temperature of each bend', () => {
+      const sequence = ['FLX', 'L60', 'L60', 'FLX'];
+      const foldStates = [0, 0, 0, 0];
+      const protein = buildProteinWithPositions(sequence, foldStates);
+
+      const { transitions } = buildTransitionMatrix(protein, [300, 300, 600, 300], sequence, foldStates);
+      const uniform = buildTransitionMatrix(protein, 300, sequence, foldStates).transitions;
+
+      const rate = (list, position) => list.find(t => t.position === position && t.toSteps === 1).rate;
+      expect(rate(transitions, 1)).toBeCloseTo(rate(uniform, 1), 10);
+      expect(rate(transitions, 2)).toBeGreaterThan(rate(uniform, 2));
+    });
+
+    test('keeps residues denatured across target states', () => {
+      const sequence = ['FLX', 'L60', 'FLX'];
+      const foldStates = [0, 0, 0];
+      const protein = buildProteinWithPositions(sequence, foldStates, new Set([1]));
+
+      const { transitions } = buildTransitionMatrix(protein, 300, sequence, foldStates);
+
+      // Without a preference, bending L60 its preferred way gains nothing
+      const toPreferred = transitions.find(t => t.toSteps === 1);
+      expect(toPreferred.deltaE).toBeCloseTo(0, 10);
+    });
+  });
+
+  // ===========================================================================
+  // INTERMOLECULAR CONTEXT
+  // ===========================================================================
+
+  describe('environment (other molecules)', () => {
+    const residue = (type, q, r) => ({ type, position: { q, r } });
+
+    // INPUT: POS in the protein, NEG in the environment 2 hexes away
+    // EXPECTED: +k ln 2, the same as an intramolecular pair at that distance
+    // WHY: Environment charges pair with the protein's charges
+    test('environment charges add electrostatic energy', () => {
+      const protein = createStraightProtein(['POS', 'FLX']);
+      const environment = [residue('NEG', 2, 0), residue('NEG', 3, 0)];
+
+      const E = calculateElectrostaticEnergy(protein, environment);
+      const expected = ENERGY_CONSTANTS.COULOMB_CONSTANT * (Math.log(2) + Math.log(3));
+      expect(E).toBeCloseTo(expected, 10);
+    });
+
+    // INPUT: Two NEGs in the environment only
+    // EXPECTED: 0
+    // WHY: Pairs within the environment cannot change as the protein folds
+    test('environment pairs are not counted', () => {
+      const protein = createStraightProtein(['FLX']);
+      expect(calculateElectrostaticEnergy(protein, [residue('NEG', 5, 0), residue('NEG', 6, 0)])).toBe(0);
+    });
+
+    // INPUT: PHO surrounded by environment residues
+    // EXPECTED: Lower hydrophobic energy than alone
+    // WHY: Other molecules bury the residue too
+    test('environment residues bury hydrophobic residues', () => {
+      const protein = createStraightProtein(['PHO']);
+      const environment = [
+        residue('A', 1, 0), residue('C', 0, 1), residue('G', -1, 1), residue('T', -1, 0)
+      ];
+
+      expect(calculateHydrophobicEnergy(protein, environment)).toBeLessThan(calculateHydrophobicEnergy(protein));
+    });
+
+    // INPUT: Protein residue on the same hex as an environment residue
+    // EXPECTED: Clash penalty; calculateFullEnergy returns Infinity
+    // WHY: Folds cannot run into other molecules
+    test('collisions with the environment are forbidden', () => {
+      const protein = createStraightProtein(['FLX', 'FLX']);
+      expect(calculateStericEnergy(protein, [residue('A', 1, 0)])).toBeGreaterThan(50);
+
+      const context = { environment: [residue('A', 2, -1)] };
+      expect(calculateFullEnergy(['STR', 'FLX', 'STR'], [0, 0, 0], null, context)).toBeLessThan(Infinity);
+      expect(calculateFullEnergy(['STR', 'FLX', 'STR'], [0, 1, 0], null, context)).toBe(Infinity);
+    });
+
+    // INPUT: BTA next to A, BTA next to C, BTT next to U
+    // EXPECTED: BINDING_ENERGY for matching nucleotides only, once per BTx
+    // WHY: Binding follows canBindToNucleotide
+    test('adds binding energy for BTx next to its nucleotide', () => {
+      const protein = createStraightProtein(['BTA', 'BTT']);
+
+      expect(calculateProteinEnergy(protein, [residue('C', 0, -1)]))
+        .toBeCloseTo(calculateProteinEnergy(protein), 10);
+      expect(calculateProteinEnergy(protein, [residue('A', 0, -1), residue('A', -1, 0), residue('U', 2, 0)]))
+        .toBeCloseTo(calculateProteinEnergy(protein) + 2 * ENERGY_CONSTANTS.BINDING_ENERGY, 10);
+    });
+
+    // INPUT: Protein placed at an offset with a starting direction
+    // EXPECTED: Same hexes as rotating and shifting the origin layout
+    // WHY: The environment is in complex coordinates, so the protein must be too
+    test('placement moves and turns the layout', () => {
+      const sequence = ['STR', 'L60', 'STR'];
+      const protein = buildProteinWithPositions(sequence, [0, 1, 0], null, { q: 3, r: -1, direction: 1 });
+
+      // Direction 1 is (0, +1); the left bend turns it to direction 0
+      expect(protein.aminoAcids.map(aa => aa.position)).toEqual([
+        { q: 3, r: -1 }, { q: 3, r: 0 }, { q: 4, r: 0 }
+      ]);
+    });
+
+    // INPUT: STR-STR-STR with a left bend at index 0, placed at the origin;
+    //        another molecule's residue at (1, 0), then at (1, -1)
+    // EXPECTED: Hexes (0,0), (1,-1), (2,-2); finite energy beside (1, 0), Infinity on (1, -1)
+    // WHY: A Complex turns the first bond by foldStates[0], so energy must see the same hexes
+    test('placement applies the bend at index 0', () => {
+      const sequence = ['STR', 'STR', 'STR'];
+      const foldStates = [1, 0, 0];
+      const placement = { q: 0, r: 0, direction: 0 };
+
+      const protein = buildProteinWithPositions(sequence, foldStates, null, placement);
+      expect(protein.aminoAcids.map(aa => aa.position)).toEqual([
+        { q: 0, r: 0 }, { q: 1, r: -1 }, { q: 2, r: -2 }
+      ]);
+
+      const beside = calculateFullEnergy(sequence, foldStates, null, {
+        placement, environment: [residue('STR', 1, 0)]
+      });
+      const onTop = calculateFullEnergy(sequence, foldStates, null, {
+        placement, environment: [residue('STR', 1, -1)]
+      });
+      expect(Number.isFinite(beside)).toBe(true);
+      expect(onTop).toBe(Infinity);
+    });
+
+    // INPUT: FLX hinge with BTA at its tip, an A nucleotide reachable only by bending left
+    // EXPECTED: Transitions to the bound bends are downhill by BINDING_ENERGY
+    // WHY: The transition matrix scores targets in context
+    test('transition matrix uses the context', () => {
+      const sequence = ['STR', 'FLX', 'BTA'];
+      const foldStates = [0, 0, 0];
+      const context = { environment: [residue('A', 2, -2)] };
+      const protein = buildProteinWithPositions(sequence, foldStates);
+
+      const { transitions } = buildTransitionMatrix(protein, 300, sequence, foldStates, context);
+
+      expect(transitions.find(t => t.toSteps === 1).deltaE).toBeCloseTo(ENERGY_CONSTANTS.BINDING_ENERGY, 10);
+      expect(transitions.find(t => t.toSteps === -1).deltaE).toBeCloseTo(0, 10);
+    });
   });
 
   // ===========================================================================
@@ -1067,8 +1219,10 @@ describe('Physics Energy Calculations', () => {
         'RPF', 'PBF',
         // Signaling
         'SIG', 'AND',
+        // Sequential
+        'LAT', 'RST', 'DLY',
         // Actuators
-        'PSH', 'ATR'
+        'PSH', 'ATR', 'EJT'
       ];
 
       for (const code of expectedAAs) {
@@ -1077,7 +1231,7 @@ describe('Physics Energy Calculations', () => {
         expect(AMINO_ACID_TYPES[code].mass).toBeGreaterThan(0);
       }
 
-      expect(Object.keys(AMINO_ACID_TYPES).length).toBe(25);
+      expect(Object.keys(AMINO_ACID_TYPES).length).toBe(29);
     });
 
     test('new AAs can be used in protein sequences', () => {
@@ -0,0 +1,223 @@
+/**
+ * Fold Optimizer
+ *
+ * Searches the fold-state space of a protein sequence for its lowest-energy
+ * conformations, scored with calculateFullEnergy. Bends sit at positions
+ * 1..n-2 (the ends cannot bend), each in one of five states (-2..+2 steps).
+ *
+ * Two search methods:
+ * - exhaustive: depth-first over every bend, laying the chain out as it goes
+ *   and pruning any branch as soon as it runs into itself. Exact, but grows
+ *   as 5^(n-2), so it is only used for short chains.
+ * - beam: grows the chain one residue at a time, keeping the `beamWidth`
+ *   lowest-energy partial chains at each length. Fast and deterministic, but
+ *   may miss the optimum when a good fold needs an unfavorable prefix.
+ *
+ * Results use the same foldStates layout as Molecule, so the best
+ * conformation can go straight into Molecule.createProtein(seq, {foldStates}).
+ */
+
+import { applyBend, moveInDirection } from '../core/hex-layout.js';
+import { calculateFullEnergy } from './energy.js';
+
+/**
+ * Fold states a bend can take, in steps (0 = straight, +left, -right)
+ */
+export const FOLD_STEPS = [0, 1, -1, 2, -2];
+
+/**
+ * Default search settings
+ */
+export const FOLD_OPTIMIZER_DEFAULTS = {
+  topK: 5,             // Conformations to return
+  exhaustiveLimit: 6,  // Most bend positions searched exhaustively by 'auto'
+  beamWidth: 64        // Partial chains kept per length by beam search
+};
+
+/**
+ * Extend a partial chain by one residue
+ * @param {Object} chain - {foldStates, occupied: Set, q, r, direction}
+ * @param {number} position - Bend position (residue the chain turns at)
+ * @param {number} steps - Fold state at that position
+ * @returns {Object|null} New chain, or null if the next residue would overlap
+ */
+function extendChain(chain, position, steps) {
+  const direction = steps === 0
+    ? chain.direction
+    : applyBend(chain.direction, Math.abs(steps) * 60, steps > 0 ? 'left' : 'right');
+  const [q, r] = moveInDirection(chain.q, chain.r, direction);
+  const key = `${q},${r}`;
+  if (chain.occupied.has(key)) return null;
+
+  const foldStates = [...chain.foldStates];
+  foldStates[position] = steps;
+  return { foldStates, occupied: new Set(chain.occupied).add(key), q, r, direction };
+}
+
+/**
+ * A straight two-residue chain to grow from
+ * @param {number} length - Full sequence length
+ * @returns {Object} {foldStates, occupied, q, r, direction}
+ */
+function startChain(length) {
+  return {
+    foldStates: new Array(length).fill(0),
+    occupied: new Set(['0,0', '1,0']),
+    q: 1,
+    r: 0,
+    direction: 0
+  };
+}
+
+/**
+ * Insert a conformation into a list kept sorted by energy, capped at k
+ * @param {Array} best - [{foldStates, energy}, ...] lowest first
+ * @param {Object} conformation
+ * @param {number} k
+ */
+function keepBest(best, conformation, k) {
+  if (best.length === k && conformation.energy >= best[k - 1].energy) return;
+
+  const at = best.findIndex(c => conformation.energy < c.energy);
+  best.splice(at === -1 ? best.length : at, 0, conformation);
+  if (best.length > k) best.pop();
+}
+
+/**
+ * Find the lowest-energy conformations by trying every non-overlapping fold
+ * @param {string[]} sequence
+ * @param {Object} options
+ * @param {number} options.topK
+ * @param {Set} options.denatured - Residues without a folding preference
+ * @returns {Object} {conformations: [{foldStates, energy}], evaluated: number}
+ */
+function searchExhaustive(sequence, { topK, denatured }) {
+  const best = [];
+  let evaluated = 0;
+
+  const visit = (chain, position) => {
+    if (position === sequence.length - 1) {
+      evaluated++;
+      keepBest(best, {
+        foldStates: chain.foldStates,
+        energy: calculateFullEnergy(sequence, chain.foldStates, denatured)
+      }, topK);
+      return;
+    }
+
+    for (const steps of FOLD_STEPS) {
+      const next = extendChain(chain, position, steps);
+      if (next) visit(next, position + 1);
+    }
+  };
+
+  visit(startChain(sequence.length), 1);
+  return { conformations: best, evaluated };
+}
+
+/**
+ * Find low-energy conformations by growing the chain with a beam
+ * Each partial chain is scored as the energy of the residues placed so far.
+ * @param {string[]} sequence
+ * @param {Object} options
+ * @param {number} options.topK
+ * @param {number} options.beamWidth
+ * @param {Set} options.denatured - Residues without a folding preference
+ * @returns {Object} {conformations: [{foldStates, energy}], evaluated: number}
+ */
+function searchBeam(sequence, { topK, beamWidth, denatured }) {
+  let beam = [startChain(sequence.length)];
+  let evaluated = 0;
+
+  for (let position = 1; position < sequence.length - 1; position++) {
+    const placed = position + 2;
+    const candidates = [];
+
+    for (const chain of beam) {
+      for (const steps of FOLD_STEPS) {
+        const next = extendChain(chain, position, steps);
+        if (!next) continue;
+
+        evaluated++;
+        next.energy = calculateFullEnergy(
+          sequence.slice(0, placed),
+          next.foldStates.slice(0, placed),
+          denatured
+        );
+        candidates.push(next);
+      }
+    }
+
+    beam = candidates
+      .sort((a, b) => a.energy - b.energy)
+      .slice(0, beamWidth);
+  }
+
+  const best = [];
+  for (const chain of beam) {
+    keepBest(best, {
+      foldStates: chain.foldStates,
+      energy: chain.energy
+    }, topK);
+  }
+  return { conformations: best, evaluated };
+}
+
+/**
+ * Find the lowest-energy conformations of a protein sequence
+ *
+ * @param {string|string[]} sequence - e.g. "BTA-SIG-AND" or ['BTA', 'SIG', 'AND']
+ * @param {Object} options
+ * @param {string} options.method - 'auto' (default), 'exhaustive' or 'beam'
+ * @param {number} options.topK - Conformations to return (default 5)
+ * @param {number} options.exhaustiveLimit - 'auto' searches exhaustively up to this many bend positions (default 6)
+ * @param {number} options.beamWidth - Partial chains kept per length (default 64)
+ * @param {Set} options.denatured - Residues without a folding preference (default none)
+ * @returns {Object} {method, conformations: [{foldStates, energy}, ...] lowest first, evaluated}
+ */
+export function optimizeFold(sequence, options = {}) {
+  const {
+    method = 'auto',
+    topK = FOLD_OPTIMIZER_DEFAULTS.topK,
+    exhaustiveLimit = FOLD_OPTIMIZER_DEFAULTS.exhaustiveLimit,
+    beamWidth = FOLD_OPTIMIZER_DEFAULTS.beamWidth,
+    denatured = null
+  } = options;
+
+  const residues = typeof sequence === 'string' ? sequence.split('-') : [...sequence];
+  if (residues.length === 0) {
+    throw new Error('optimizeFold requires a non-empty sequence');
+  }
+
+  const bendPositions = Math.max(0, residues.length - 2);
+  const chosen = method === 'auto'
+    ? (bendPositions <= exhaustiveLimit ? 'exhaustive' : 'beam')
+    : method;
+
+  if (residues.length < 3) {
+    // Nothing can bend: the straight chain is the only conformation
+    const foldStates = new Array(residues.length).fill(0);
+    return {
+      method: chosen,
+      conformations: [{ foldStates, energy: calculateFullEnergy(residues, foldStates, denatured) }],
+      evaluated: 1
+    };
+  }
+
+  let result;
+  if (chosen === 'exhaustive') {
+    result = searchExhaustive(residues, { topK, denatured });
+  } else if (chosen === 'beam') {
+    result = searchBeam(residues, { topK, beamWidth, denatured });
+  } else {
+    throw new Error(`Unknown fold search method: ${method}`);
+  }
+
+  return { method: chosen, ...result };
+}
+
+export default {
+  FOLD_STEPS,
+  FOLD_OPTIMIZER_DEFAULTS,
+  optimizeFold
+};
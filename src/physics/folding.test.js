@@ -0,0 +1,134 @@
+import { describe, test, expect } from '@jest/globals';
+import { calculateFullEnergy } from './energy.js';
+import { FOLD_STEPS, optimizeFold } from './folding.js';
+import { Complex } from '../core/complex.js';
+import { Molecule } from '../core/molecule.js';
+
+// =============================================================================
+// TEST UTILITIES
+// =============================================================================
+
+/**
+ * Energies of every fold of a sequence, lowest first (overlaps excluded)
+ */
+function bruteForceEnergies(sequence) {
+  const energies = [];
+  const foldStates = new Array(sequence.length).fill(0);
+
+  const visit = position => {
+    if (position === sequence.length - 1) {
+      const energy = calculateFullEnergy(sequence, foldStates);
+      if (energy !== Infinity) energies.push(energy);
+      return;
+    }
+    for (const steps of FOLD_STEPS) {
+      foldStates[position] = steps;
+      visit(position + 1);
+    }
+    foldStates[position] = 0;
+  };
+
+  visit(1);
+  return energies.sort((a, b) => a - b);
+}
+
+// =============================================================================
+// EXHAUSTIVE SEARCH
+// =============================================================================
+
+describe('Fold Optimizer - Exhaustive', () => {
+  // INPUT: STR-L60-L60-L60-STR
+  // EXPECTED: Every L60 bent 60° left, at the lowest energy
+  // WHY: Nothing competes with the folding preferences
+  test('finds the preferred fold', () => {
+    const result = optimizeFold('STR-L60-L60-L60-STR');
+
+    expect(result.method).toBe('exhaustive');
+    expect(result.conformations[0].foldStates).toEqual([0, 1, 1, 1, 0]);
+    expect(result.conformations[0].energy).toBe(calculateFullEnergy(['STR', 'L60', 'L60', 'L60', 'STR'], [0, 1, 1, 1, 0]));
+  });
+
+  // INPUT: Charged, hydrophobic and bent residues, 7 long
+  // EXPECTED: Top-k energies equal the k lowest of a brute-force scan
+  // WHY: Overlap pruning must not drop any valid fold
+  test('matches a brute-force scan', () => {
+    const sequence = ['POS', 'L60', 'PHO', 'R12', 'PHO', 'NEG', 'STR'];
+    const result = optimizeFold(sequence, { topK: 4 });
+    const expected = bruteForceEnergies(sequence).slice(0, 4);
+
+    expect(result.conformations.map(c => c.energy)).toEqual(expected);
+    expect(result.evaluated).toBe(bruteForceEnergies(sequence).length);
+  });
+
+  // INPUT: 2-residue chain
+  // EXPECTED: The straight chain
+  // WHY: Ends cannot bend
+  test('returns the straight chain when nothing can bend', () => {
+    const result = optimizeFold('STR-STR');
+    expect(result.conformations).toEqual([{ foldStates: [0, 0], energy: 0 }]);
+  });
+});
+
+// =============================================================================
+// BEAM SEARCH
+// =============================================================================
+
+describe('Fold Optimizer - Beam Search', () => {
+  const longSequence = Array.from({ length: 16 }, (_, i) =>
+    ['POS', 'PHO', 'L60', 'NEG', 'PHO', 'STR', 'R60'][i % 7]);
+
+  // INPUT: 16-residue chain with default options
+  // EXPECTED: Beam search, top 5 sorted and valid, better than straight
+  // WHY: 'auto' switches to beam search above the exhaustive limit
+  test('is used for long chains', () => {
+    const result = optimizeFold(longSequence);
+
+    expect(result.method).toBe('beam');
+    expect(result.conformations).toHaveLength(5);
+
+    const energies = result.conformations.map(c => c.energy);
+    expect(energies).toEqual([...energies].sort((a, b) => a - b));
+    for (const { foldStates, energy } of result.conformations) {
+      expect(foldStates).toHaveLength(16);
+      expect(calculateFullEnergy(longSequence, foldStates)).toBe(energy);
+    }
+    expect(energies[0]).toBeLessThan(calculateFullEnergy(longSequence, new Array(16).fill(0)));
+  });
+
+  // INPUT: Short chain searched with a wide beam
+  // EXPECTED: Same best energy as exhaustive search
+  // WHY: A beam wide enough to keep every prefix is exhaustive
+  test('agrees with exhaustive search when the beam is wide', () => {
+    const sequence = 'POS-L60-PHO-R12-PHO-NEG-STR';
+    const exhaustive = optimizeFold(sequence, { method: 'exhaustive', topK: 1 });
+    const beam = optimizeFold(sequence, { method: 'beam', topK: 1, beamWidth: 10000 });
+
+    expect(beam.conformations[0].energy).toBe(exhaustive.conformations[0].energy);
+  });
+
+  // INPUT: Unknown method
+  // EXPECTED: Throws
+  test('rejects unknown methods', () => {
+    expect(() => optimizeFold('STR-STR-STR', { method: 'random' })).toThrow(/Unknown fold search method/);
+  });
+});
+
+// =============================================================================
+// COMPLEX INTEGRATION
+// =============================================================================
+
+describe('Fold Optimizer - Complex Integration', () => {
+  // INPUT: Best fold of a long sequence placed in a Complex
+  // EXPECTED: Every residue on its own hex
+  // WHY: Results use Molecule's foldStates layout
+  test('best fold can be placed in a Complex', () => {
+    const sequence = 'POS-PHO-L60-NEG-PHO-STR-R60-POS-PHO-L60';
+    const [best] = optimizeFold(sequence).conformations;
+
+    const complex = new Complex();
+    complex.addMolecule(Molecule.createProtein(sequence, { foldStates: best.foldStates }));
+
+    const hexes = complex.getEntities().map(e => `${e.q},${e.r}`);
+    expect(new Set(hexes).size).toBe(10);
+  });
+});
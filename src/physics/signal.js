@@ -7,7 +7,9 @@
  * - Gate ports: INP (input, OR of sources), OUT (output, OR of gates or routed from SGX)
  * - Signal router: SGX (crossroads - routes INP to diametrically opposite OUT)
  * - Logic gates: AND (on if ALL INPs are on + ATP), NOT (on if ALL INPs are off + ATP)
- * - Actuators: PSH, ATR (respond to signals like SIG)
+ * - Sequential: LAT (SR latch - set by INP, cleared by RST, holds otherwise),
+ *   DLY (delay line - outputs its INP state from N steps ago)
+ * - Actuators: PSH, ATR, EJT, RPF, PBF (respond to signals like SIG)
  *
  * Two propagation modes:
  * 1. Instant (stepped=false): Compute to steady-state in single call
@@ -16,6 +18,20 @@
  * In both modes, probability controls chance of activation:
  * - prob=1.0: Always activates when conditions are met
  * - prob=0.75: 75% chance to activate when conditions are met
+ *
+ * Analog mode (config.analog = true) adds a strength from 0 to 1 to every
+ * signal. Sources emit 1. Each SIG hop keeps `attenuation` of the strength,
+ * ports pass on the strongest input, and gates count an input as ON only
+ * at or above `threshold` (gate outputs are restored to full strength).
+ * Actuators turn on with probability prob × strength.
+ *
+ * computeSignalProbabilities replaces sampling with the exact Markov chain
+ * of stepped mode: the probability of every residue being ON after each step
+ * and in the limit.
+ *
+ * Each gate that fires reserves one specific adjacent ATP. A reserved ATP is
+ * unavailable to every other gate for the rest of the call, and the
+ * reservations are reported so the caller can consume exactly those ATP.
  */
 
 import { getNeighbors } from '../core/hex-layout.js';
@@ -27,7 +43,8 @@ import {
 
 /**
  * Default propagation probabilities per residue type
- * These apply regardless of stepped/instant mode
+ * These apply regardless of stepped/instant mode, and are followed by the
+ * analog mode settings.
  */
 export const DEFAULT_SIGNAL_CONFIG = {
   SIG: 0.75,   // 75% chance per step
@@ -36,8 +53,19 @@ export const DEFAULT_SIGNAL_CONFIG = {
   SGX: 0.75,   // 75% chance per step (signal crossroads/router)
   AND: 0.75,   // 75% chance per step (also requires ATP)
   NOT: 0.75,   // 75% chance per step (also requires ATP)
+  LAT: 1.0,    // 100% (set/reset are deterministic)
+  RST: 1.0,    // 100% (instant wire, no probability)
+  DLY: 1.0,    // 100% (timing comes from the delay itself)
+  delay: 3,    // DLY: steps between input and output
   PSH: 0.75,   // 75% chance per step
   ATR: 0.75,   // 75% chance per step
+  EJT: 0.75,   // 75% chance per step
+  RPF: 0.75,   // 75% chance per step
+  PBF: 0.75,   // 75% chance per step
+
+  analog: false,     // Boolean signals (true = analog strengths)
+  attenuation: 0.9,  // Analog: strength kept per SIG hop
+  threshold: 0.5,    // Analog: input strength a gate counts as ON
 };
 
 /**
@@ -138,6 +166,32 @@ export function initializeSignalState(residues, boundPairs) {
   return state;
 }
 
+/**
+ * Refresh source flags from current bindings
+ * Residues that became bound turn on as sources; residues that lost their
+ * binding stop being sources and turn off.
+ * @param {Array} residues - [{index, type, q, r}, ...]
+ * @param {Map} state - Current signal state (not modified)
+ * @param {Map} boundPairs - Map of residueIndex -> nucleotide
+ * @returns {Map} Updated signal state
+ */
+export function refreshSources(residues, state, boundPairs) {
+  const refreshed = new Map(state);
+
+  for (const residue of residues) {
+    if (!getBindingTarget(residue.type)) continue;
+
+    const current = refreshed.get(residue.index) || { on: false, source: false };
+    if (isActiveSource(residue, boundPairs)) {
+      refreshed.set(residue.index, { ...current, on: true, source: true });
+    } else if (current.source) {
+      refreshed.set(residue.index, { ...current, on: false, source: false });
+    }
+  }
+
+  return refreshed;
+}
+
 /**
  * Find connected components of SIG residues
  * Uses DFS to group SIG residues that are adjacent to each other
@@ -145,7 +199,7 @@ export function initializeSignalState(residues, boundPairs) {
  * @param {Map} positionMap - Position -> residue map
  * @returns {Array<Set>} Array of Sets, each containing indices of connected SIGs
  */
-function findSigComponents(residues, positionMap) {
+export function findSigComponents(residues, positionMap) {
   const sigResidues = residues.filter(r => getSignalingType(r.type) === 'conductor');
   const visited = new Set();
   const components = [];
@@ -179,6 +233,91 @@ function findSigComponents(residues, positionMap) {
   return components;
 }
 
+/**
+ * Get the analog strength of a signal state
+ * Boolean states count as full strength when on.
+ * @param {Object|undefined} state - {on, strength}
+ * @returns {number} Strength from 0 to 1
+ */
+export function getSignalStrength(state) {
+  if (!state?.on) return 0;
+  return state.strength ?? 1;
+}
+
+/**
+ * Spread analog strength through a connected group of SIG residues
+ * Each member starts at attenuation × its strongest outside input, and every
+ * hop inside the group keeps `attenuation` of the strength again.
+ * @param {Array} members - Member IDs
+ * @param {Function} neighborsOf - (id) => member IDs adjacent to id
+ * @param {Function} inputOf - (id) => strongest strength entering id from outside the group
+ * @param {number} attenuation - Fraction kept per hop
+ * @returns {Map} id -> strength
+ */
+export function attenuateThroughComponent(members, neighborsOf, inputOf, attenuation) {
+  const strengths = new Map(members.map(id => [id, inputOf(id) * attenuation]));
+
+  const queue = members.filter(id => strengths.get(id) > 0);
+  while (queue.length > 0) {
+    const id = queue.shift();
+    const passed = strengths.get(id) * attenuation;
+    for (const neighbor of neighborsOf(id)) {
+      if (passed > strengths.get(neighbor)) {
+        strengths.set(neighbor, passed);
+        queue.push(neighbor);
+      }
+    }
+  }
+
+  return strengths;
+}
+
+/**
+ * Check whether a signaling type drives OUT ports
+ * @param {string|null} signalingType
+ * @returns {boolean}
+ */
+export function isGateType(signalingType) {
+  return signalingType === 'and_gate' || signalingType === 'not_gate' ||
+    signalingType === 'latch' || signalingType === 'delay';
+}
+
+/**
+ * Get the delay of DLY residues in steps
+ * @param {Object} config - Signal config (default DEFAULT_SIGNAL_CONFIG)
+ * @returns {number}
+ */
+export function getDelayTicks(config = DEFAULT_SIGNAL_CONFIG) {
+  return config.delay ?? DEFAULT_SIGNAL_CONFIG.delay;
+}
+
+/**
+ * Push one input into a delay line
+ * The history holds the most recent inputs, oldest first, and never grows
+ * beyond `delay` entries. The output is the input from `delay` steps ago
+ * (off until the line has filled).
+ *
+ * @param {boolean[]} history - Previous inputs, oldest first
+ * @param {boolean} input - This step's input
+ * @param {number} delay - Steps between input and output
+ * @returns {Object} {history: boolean[], output: boolean}
+ */
+export function advanceDelayLine(history = [], input, delay) {
+  const next = [...history, input];
+  const output = next.length > delay ? next.shift() : false;
+  return { history: next, output };
+}
+
+/**
+ * Compare two delay line histories
+ * @param {boolean[]} a
+ * @param {boolean[]} b
+ * @returns {boolean}
+ */
+function sameHistory(a = [], b = []) {
+  return a.length === b.length && a.every((value, i) => value === b[i]);
+}
+
 /**
  * Compute ONE step of signal propagation
  * SIG residues propagate instantly through connected components.
@@ -187,10 +326,11 @@ function findSigComponents(residues, positionMap) {
  * @param {Array} residues - [{index, type, q, r}, ...]
  * @param {Map} currentState - Current signal state
  * @param {Map} positionMap - Position -> residue map
- * @param {Set} atpPositions - Set of "q,r" strings where ATP is present
+ * @param {Set} atpPositions - Set of "q,r" strings where ATP is present (reserved ATP is removed)
  * @param {Object} config - Per-type propagation probabilities
- * @param {Function} randomFn - Random function (for testing)
- * @returns {Object} {state: Map, consumedAtp: string[], activatedThisTick: number[], changed: boolean}
+ * @param {Function} randomFn - Random function (for testing); called with the probability being rolled
+ * @returns {Object} {state: Map, consumedAtp: string[], atpReservations: [{gate, type, atp}],
+ *   activatedThisTick: number[], changed: boolean}
  */
 export function computeOneStep(
   residues,
@@ -202,6 +342,7 @@ export function computeOneStep(
 ) {
   const newState = new Map();
   const consumedAtp = [];
+  const atpReservations = [];
   const activatedThisTick = [];
   let changed = false;
 
@@ -210,10 +351,50 @@ export function computeOneStep(
     newState.set(index, { ...s });
   }
 
+  const analog = config.analog === true;
+  const { attenuation = 0.9, threshold = 0.5 } = config;
+  const strengthOf = index => getSignalStrength(newState.get(index));
+  // A gate input counts as ON (analog: only at or above the threshold)
+  const isActive = index => (analog ? strengthOf(index) >= threshold : Boolean(newState.get(index)?.on));
+
   // PHASE 1: Process SIG components (instant propagation)
   const sigComponents = findSigComponents(residues, positionMap);
 
   for (const component of sigComponents) {
+    if (analog) {
+      const members = [...component];
+      const sigAt = index => residues.find(r => r.index === index);
+      const strengths = attenuateThroughComponent(
+        members,
+        index => {
+          const sig = sigAt(index);
+          return getSignalCapableNeighbors(sig.q, sig.r, positionMap)
+            .filter(n => component.has(n.index))
+            .map(n => n.index);
+        },
+        index => {
+          const sig = sigAt(index);
+          return getSignalCapableNeighbors(sig.q, sig.r, positionMap)
+            .filter(n => !component.has(n.index))
+            .reduce((max, n) => Math.max(max, getSignalStrength(currentState.get(n.index))), 0);
+        },
+        attenuation
+      );
+
+      for (const [sigIndex, strength] of strengths) {
+        const current = currentState.get(sigIndex) || { on: false, source: false };
+        const on = strength > 0;
+        if (on !== current.on || strength !== getSignalStrength(current)) {
+          newState.set(sigIndex, { ...current, on, strength });
+          changed = true;
+          if (on && !current.on) {
+            activatedThisTick.push(sigIndex);
+          }
+        }
+      }
+      continue;
+    }
+
     // Check if ANY SIG in this component has an ON source neighbor
     let shouldBeOn = false;
 
@@ -262,16 +443,20 @@ export function computeOneStep(
 
     const signalNeighbors = getSignalCapableNeighbors(residue.q, residue.r, positionMap);
     const prob = config[residue.type] ?? 1.0;
+    const strongest = neighbors => neighbors.reduce((max, n) => Math.max(max, strengthOf(n.index)), 0);
 
     let shouldBeOn = current.on;
+    let strength = 1; // Analog output strength (gates restore full strength)
 
     if (signalingType === 'actuator') {
       // OR logic: on if ANY neighbor is on
       const anyNeighborOn = signalNeighbors.some(neighbor => newState.get(neighbor.index)?.on);
+      strength = strongest(signalNeighbors);
 
       if (anyNeighborOn && !current.on) {
-        // Trying to turn on - roll probability
-        if (randomFn() < prob) {
+        // Trying to turn on - roll probability (scaled by strength in analog mode)
+        const chance = analog ? prob * strength : prob;
+        if (randomFn(chance) < chance) {
           shouldBeOn = true;
           activatedThisTick.push(residue.index);
         }
@@ -280,17 +465,18 @@ export function computeOneStep(
       } else {
         shouldBeOn = false; // Turn off (neighbor went off)
       }
-    } else if (signalingType === 'input_port') {
-      // INP: OR of adjacent sources (SIG, BTx, OUT)
+    } else if (signalingType === 'input_port' || signalingType === 'reset_port') {
+      // INP/RST: OR of adjacent sources (SIG, BTx, OUT)
       // Checks: SIG, OUT, and BTx (sources) - does not check gates
       const sourceNeighbors = signalNeighbors.filter(n => {
         const nType = getSignalingType(n.type);
         return nType === 'conductor' || nType === 'output_port' || isSignalSource(n.type);
       });
       const anySourceOn = sourceNeighbors.some(neighbor => newState.get(neighbor.index)?.on);
+      strength = strongest(sourceNeighbors);
 
       if (anySourceOn && !current.on) {
-        if (randomFn() < prob) {
+        if (randomFn(prob) < prob) {
           shouldBeOn = true;
           activatedThisTick.push(residue.index);
         }
@@ -300,12 +486,10 @@ export function computeOneStep(
         shouldBeOn = false;
       }
     } else if (signalingType === 'output_port') {
-      // OUT: OR of adjacent gates (AND, NOT) OR routed from SGX
-      const gateNeighbors = signalNeighbors.filter(n => {
-        const nType = getSignalingType(n.type);
-        return nType === 'and_gate' || nType === 'not_gate';
-      });
+      // OUT: OR of adjacent gates (AND, NOT, LAT, DLY) OR routed from SGX
+      const gateNeighbors = signalNeighbors.filter(n => isGateType(getSignalingType(n.type)));
       const anyGateOn = gateNeighbors.some(neighbor => newState.get(neighbor.index)?.on);
+      strength = strongest(gateNeighbors);
 
       // Check if routed through SGX crossroads
       const sgxNeighbors = signalNeighbors.filter(n => getSignalingType(n.type) === 'crossroads');
@@ -324,6 +508,7 @@ export function computeOneStep(
         if (oppositeResidue && getSignalingType(oppositeResidue.type) === 'input_port') {
           if (newState.get(oppositeResidue.index)?.on) {
             routedFromSgx = true;
+            strength = Math.max(strength, strengthOf(oppositeResidue.index));
             break;
           }
         }
@@ -332,7 +517,7 @@ export function computeOneStep(
       const shouldActivate = anyGateOn || routedFromSgx;
 
       if (shouldActivate && !current.on) {
-        if (randomFn() < prob) {
+        if (randomFn(prob) < prob) {
           shouldBeOn = true;
           activatedThisTick.push(residue.index);
         }
@@ -348,18 +533,17 @@ export function computeOneStep(
       if (inpNeighbors.length === 0) {
         shouldBeOn = false;
       } else {
-        const allOn = inpNeighbors.every(neighbor => newState.get(neighbor.index)?.on);
+        const allOn = inpNeighbors.every(neighbor => isActive(neighbor.index));
 
         if (allOn && !current.on) {
-          // Trying to turn on - need ATP and probability
-          if (randomFn() < prob) {
-            const atpKey = findAdjacentAtp(residue.q, residue.r, atpPositions);
-            if (atpKey) {
-              shouldBeOn = true;
-              consumedAtp.push(atpKey);
-              atpPositions.delete(atpKey);
-              activatedThisTick.push(residue.index);
-            }
+          // Trying to turn on - need ATP and probability (no roll without ATP)
+          const atpKey = findAdjacentAtp(residue.q, residue.r, atpPositions);
+          if (atpKey && randomFn(prob) < prob) {
+            shouldBeOn = true;
+            consumedAtp.push(atpKey);
+            atpReservations.push({ gate: residue.index, type: residue.type, atp: atpKey });
+            atpPositions.delete(atpKey);
+            activatedThisTick.push(residue.index);
           }
         } else if (allOn) {
           shouldBeOn = true; // Stay on
@@ -374,18 +558,17 @@ export function computeOneStep(
       if (inpNeighbors.length === 0) {
         shouldBeOn = false;
       } else {
-        const allOff = inpNeighbors.every(neighbor => !newState.get(neighbor.index)?.on);
+        const allOff = inpNeighbors.every(neighbor => !isActive(neighbor.index));
 
         if (allOff && !current.on) {
-          // Trying to turn on - need ATP and probability
-          if (randomFn() < prob) {
-            const atpKey = findAdjacentAtp(residue.q, residue.r, atpPositions);
-            if (atpKey) {
-              shouldBeOn = true;
-              consumedAtp.push(atpKey);
-              atpPositions.delete(atpKey);
-              activatedThisTick.push(residue.index);
-            }
+          // Trying to turn on - need ATP and probability (no roll without ATP)
+          const atpKey = findAdjacentAtp(residue.q, residue.r, atpPositions);
+          if (atpKey && randomFn(prob) < prob) {
+            shouldBeOn = true;
+            consumedAtp.push(atpKey);
+            atpReservations.push({ gate: residue.index, type: residue.type, atp: atpKey });
+            atpPositions.delete(atpKey);
+            activatedThisTick.push(residue.index);
           }
         } else if (allOff) {
           shouldBeOn = true; // Stay on
@@ -393,15 +576,56 @@ export function computeOneStep(
           shouldBeOn = false; // Turn off (an INP turned on)
         }
       }
+    } else if (signalingType === 'latch') {
+      // LAT: set by any adjacent INP, cleared by any adjacent RST (reset wins)
+      const setOn = signalNeighbors.some(n =>
+        getSignalingType(n.type) === 'input_port' && isActive(n.index));
+      const resetOn = signalNeighbors.some(n =>
+        getSignalingType(n.type) === 'reset_port' && isActive(n.index));
+
+      if (resetOn) {
+        shouldBeOn = false;
+      } else if (setOn && !current.on) {
+        if (randomFn(prob) < prob) {
+          shouldBeOn = true;
+          activatedThisTick.push(residue.index);
+        }
+      }
+      // Otherwise hold the current state
+    } else if (signalingType === 'delay') {
+      // DLY: output the OR of adjacent INPs from `delay` steps ago
+      const inputOn = signalNeighbors.some(n =>
+        getSignalingType(n.type) === 'input_port' && isActive(n.index));
+      const { history, output } = advanceDelayLine(current.history, inputOn, getDelayTicks(config));
+
+      if (output && !current.on) {
+        if (randomFn(prob) < prob) {
+          shouldBeOn = true;
+          activatedThisTick.push(residue.index);
+        }
+      } else {
+        shouldBeOn = output;
+      }
+
+      if (!sameHistory(history, current.history)) {
+        newState.set(residue.index, { ...current, history });
+        changed = true;
+      }
     }
 
-    if (shouldBeOn !== current.on) {
-      newState.set(residue.index, { ...current, on: shouldBeOn });
+    if (analog) {
+      const nextStrength = shouldBeOn ? strength : 0;
+      if (shouldBeOn !== current.on || nextStrength !== getSignalStrength(current)) {
+        newState.set(residue.index, { ...newState.get(residue.index), on: shouldBeOn, strength: nextStrength });
+        changed = true;
+      }
+    } else if (shouldBeOn !== current.on) {
+      newState.set(residue.index, { ...newState.get(residue.index), on: shouldBeOn });
       changed = true;
     }
   }
 
-  return { state: newState, consumedAtp, activatedThisTick, changed };
+  return { state: newState, consumedAtp, atpReservations, activatedThisTick, changed };
 }
 
 /**
@@ -414,7 +638,7 @@ export function computeOneStep(
  * @param {Set} atpPositions - Set of "q,r" strings where ATP is present
  * @param {Object} config - Per-type propagation probabilities
  * @param {Function} randomFn - Random function (for testing)
- * @returns {Object} {state: Map, consumedAtp: string[], iterations: number}
+ * @returns {Object} {state: Map, consumedAtp: string[], atpReservations: [{gate, type, atp}], iterations: number}
  */
 export function computeSteadyState(
   residues,
@@ -426,20 +650,24 @@ export function computeSteadyState(
   const positionMap = buildPositionMap(residues);
   let state = initializeSignalState(residues, boundPairs);
 
+  // Reservations hold across iterations: an ATP is only ever used once
+  const availableAtp = new Set(atpPositions);
   const allConsumedAtp = [];
+  const allReservations = [];
   let iterations = 0;
   const maxIterations = residues.length * 10; // Safety limit (with probability, may need more iterations)
 
   let changed = true;
   while (changed && iterations < maxIterations) {
     iterations++;
-    const result = computeOneStep(residues, state, positionMap, atpPositions, config, randomFn);
+    const result = computeOneStep(residues, state, positionMap, availableAtp, config, randomFn);
     state = result.state;
     changed = result.changed;
     allConsumedAtp.push(...result.consumedAtp);
+    allReservations.push(...result.atpReservations);
   }
 
-  return { state, consumedAtp: allConsumedAtp, iterations };
+  return { state, consumedAtp: allConsumedAtp, atpReservations: allReservations, iterations };
 }
 
 /**
@@ -452,7 +680,7 @@ export function computeSteadyState(
  * @param {Set} atpPositions - Set of "q,r" strings where ATP is present
  * @param {Object} config - Per-type propagation probabilities
  * @param {Function} randomFn - Random function (for testing)
- * @returns {Object} {state: Map, consumedAtp: string[], activatedThisTick: number[]}
+ * @returns {Object} {state: Map, consumedAtp: string[], atpReservations: [{gate, type, atp}], activatedThisTick: number[]}
  */
 export function computeSteppedUpdate(
   residues,
@@ -464,13 +692,202 @@ export function computeSteppedUpdate(
 ) {
   const positionMap = buildPositionMap(residues);
 
-  // If no previous state, initialize from sources
+  // If no previous state, initialize from sources; otherwise pick up
+  // bindings made or broken since the last step
   let state = previousState;
   if (!state || state.size === 0) {
     state = initializeSignalState(residues, boundPairs);
+  } else {
+    state = refreshSources(residues, state, boundPairs);
+  }
+
+  return computeOneStep(residues, state, positionMap, new Set(atpPositions), config, randomFn);
+}
+
+/**
+ * Enumerate every outcome of one propagation step with its probability
+ * Runs computeOneStep once per combination of roll results. Each roll
+ * branches into success (weight p) and failure (weight 1 - p); rolls with
+ * p <= 0 or p >= 1 are certain and do not branch. Outcomes are yielded as
+ * they are found so callers can stop early.
+ *
+ * @param {Array} residues - [{index, type, q, r}, ...]
+ * @param {Map} state - Current signal state
+ * @param {Map} positionMap - Position -> residue map
+ * @param {Set} atpPositions - ATP still available
+ * @param {Object} config - Per-type propagation probabilities
+ * @yields {Object} {weight, state: Map, atp: Set, changed: boolean}
+ */
+function* enumerateStepOutcomes(residues, state, positionMap, atpPositions, config) {
+  // One entry per uncertain roll: true while its success branch is explored
+  const choices = [];
+
+  for (;;) {
+    let call = 0;
+    let weight = 1;
+    const randomFn = prob => {
+      if (prob <= 0) return 1;
+      if (prob >= 1) return 0;
+      if (call === choices.length) choices.push(true);
+      const success = choices[call++];
+      weight *= success ? prob : 1 - prob;
+      return success ? 0 : 1;
+    };
+
+    const atp = new Set(atpPositions);
+    const result = computeOneStep(residues, state, positionMap, atp, config, randomFn);
+    yield { weight, state: result.state, atp, changed: result.changed };
+
+    // Next combination: flip the last roll still on its success branch
+    choices.length = call;
+    while (choices.length > 0 && !choices[choices.length - 1]) choices.pop();
+    if (choices.length === 0) break;
+    choices[choices.length - 1] = false;
+  }
+}
+
+/**
+ * Identify a chain state by its signal state, remaining ATP and whether it has settled
+ * @param {Map} state
+ * @param {Set} atp
+ * @param {boolean} settled
+ * @returns {string}
+ */
+function chainStateKey(state, atp, settled) {
+  const entries = [...state]
+    .sort((a, b) => a[0] - b[0])
+    .map(([index, s]) => [index, s.on, s.source, s.history || []]);
+  return JSON.stringify([entries, [...atp].sort(), settled]);
+}
+
+/**
+ * Probability of each residue being ON in a state distribution
+ * @param {Map} distribution - key -> {weight, state}
+ * @returns {Map} residueIndex -> probability
+ */
+function onProbabilities(distribution) {
+  const probabilities = new Map();
+  for (const { weight, state } of distribution.values()) {
+    for (const [index, s] of state) {
+      probabilities.set(index, (probabilities.get(index) || 0) + (s.on ? weight : 0));
+    }
+  }
+  return probabilities;
+}
+
+/**
+ * Compute exact ON probabilities instead of sampling (digital mode only)
+ * Follows the Markov chain of stepped mode: every step, each possible
+ * state branches into all outcomes of its probability rolls, and equal
+ * states are merged. ATP reserved in a branch stays used in that branch.
+ *
+ * With `instant`, a run stops at its first step without any change, as
+ * computeSteadyState does, so the limit is the exact distribution of
+ * computeSteadyState results. Without it, failed rolls are retried every
+ * step, as in stepped mode.
+ *
+ * @param {Array} residues - [{index, type, q, r}, ...]
+ * @param {Object} options
+ * @param {Map} options.boundPairs - Map of residueIndex -> nucleotide
+ * @param {Set} options.atpPositions - Set of "q,r" strings where ATP is present
+ * @param {Map} options.previousState - State to start from (default: fresh from sources)
+ * @param {Object} options.config - Per-type propagation probabilities
+ * @param {boolean} options.instant - Stop each run at its first quiet step (default false)
+ * @param {number} options.steps - Steps to report (default 0: limit only)
+ * @param {number} options.maxSteps - Give up on the limit after this many steps (default 1000)
+ * @param {number} options.tolerance - Total probability change that counts as converged (default 1e-9)
+ * @param {number} options.maxStates - Refuse chains with more reachable states (default 10000)
+ * @param {number} options.maxOutcomes - Refuse chains needing more roll outcomes in total (default 50000)
+ * @returns {Object} {byStep: Map[] (after step 1..steps), limit: Map|null, converged: boolean,
+ *   stepsToConverge: number|null, states: number}
+ */
+export function computeSignalProbabilities(residues, options = {}) {
+  const {
+    boundPairs = new Map(),
+    atpPositions = new Set(),
+    previousState = null,
+    config = DEFAULT_SIGNAL_CONFIG,
+    instant = false,
+    steps = 0,
+    maxSteps = 1000,
+    tolerance = 1e-9,
+    maxStates = 10000,
+    maxOutcomes = 50000
+  } = options;
+
+  if (config.analog === true) {
+    throw new Error('Exact signal probabilities are not available in analog mode');
+  }
+
+  const positionMap = buildPositionMap(residues);
+  const start = previousState && previousState.size > 0
+    ? refreshSources(residues, previousState, boundPairs)
+    : initializeSignalState(residues, boundPairs);
+  const startAtp = new Set(atpPositions);
+
+  let distribution = new Map([[
+    chainStateKey(start, startAtp, false),
+    { weight: 1, state: start, atp: startAtp, settled: false }
+  ]]);
+  const byStep = [];
+  let stepsToConverge = null;
+  let states = 1;
+  let outcomes = 0;
+
+  for (let step = 1; step <= Math.max(steps, maxSteps); step++) {
+    const next = new Map();
+    for (const [key, current] of distribution) {
+      if (current.settled) {
+        next.set(key, current);
+        continue;
+      }
+
+      const { weight, state, atp } = current;
+      for (const outcome of enumerateStepOutcomes(residues, state, positionMap, atp, config)) {
+        if (++outcomes > maxOutcomes) {
+          throw new Error(`Signal chain needs more than ${maxOutcomes} roll outcomes`);
+        }
+        if (outcome.weight === 0) continue;
+        const settled = instant && !outcome.changed;
+        const outcomeKey = chainStateKey(outcome.state, outcome.atp, settled);
+        const entry = next.get(outcomeKey);
+        if (entry) {
+          entry.weight += weight * outcome.weight;
+        } else {
+          next.set(outcomeKey, { ...outcome, weight: weight * outcome.weight, settled });
+          if (next.size > maxStates) {
+            throw new Error(`Signal chain has more than ${maxStates} reachable states`);
+          }
+        }
+      }
+    }
+    states = Math.max(states, next.size);
+
+    let change = 0;
+    for (const [key, { weight }] of next) {
+      change += Math.abs(weight - (distribution.get(key)?.weight || 0));
+    }
+    for (const [key, { weight }] of distribution) {
+      if (!next.has(key)) change += weight;
+    }
+
+    distribution = next;
+    if (step <= steps) byStep.push(onProbabilities(distribution));
+
+    if (stepsToConverge === null && change < tolerance) {
+      stepsToConverge = step;
+    }
+    if (stepsToConverge !== null && step >= steps) break;
   }
 
-  return computeOneStep(residues, state, positionMap, atpPositions, config, randomFn);
+  const converged = stepsToConverge !== null;
+  return {
+    byStep,
+    limit: converged ? onProbabilities(distribution) : null,
+    converged,
+    stepsToConverge,
+    states
+  };
 }
 
 /**
@@ -515,7 +932,7 @@ export function findAdjacentAtp(q, r, atpPositions) {
  * @param {boolean} options.stepped - If true, compute one step only; if false, compute to steady-state
  * @param {boolean} options.tickMode - DEPRECATED: Use 'stepped' instead
  * @param {Function} options.randomFn - Random function for testing
- * @returns {Object} {state: Map, consumedAtp: string[], ...}
+ * @returns {Object} {state: Map, consumedAtp: string[], atpReservations: [{gate, type, atp}], ...}
  */
 export function computeSignals(residues, options = {}) {
   const {
@@ -550,11 +967,18 @@ export default {
   isSignalSource,
   isActiveSource,
   initializeSignalState,
+  findSigComponents,
   computeOneStep,
   computeSteadyState,
   computeSteppedUpdate,
   computeTickUpdate, // Deprecated alias
   computeSignals,
+  computeSignalProbabilities,
   hasAdjacentAtp,
-  findAdjacentAtp
+  findAdjacentAtp,
+  isGateType,
+  getDelayTicks,
+  advanceDelayLine,
+  getSignalStrength,
+  attenuateThroughComponent
 };
@@ -10,6 +10,7 @@ import {
   computeSteadyState,
   computeTickUpdate,
   computeSignals,
+  computeSignalProbabilities,
   hasAdjacentAtp,
   findAdjacentAtp
 } from './signal.js';
@@ -809,6 +810,29 @@ describe('Signal Propagation - INP/OUT/NOT Gates', () => {
     expect(result.state.get(7).on).toBe(true);   // AND ON (both INPs ON)
     expect(result.state.get(8).on).toBe(true);   // Final OUT ON
   });
+
+  // INPUT: Two NOT gates with OFF inputs, one ATP between them
+  // EXPECTED: Only the first NOT fires, and the reservation names its ATP
+  // WHY: Each gate firing uses its own ATP molecule
+  test('Gates never share the same ATP', () => {
+    const config = { ...DEFAULT_SIGNAL_CONFIG, NOT: 1.0 };
+
+    const residues = [
+      createResidue(0, 'INP', 0, 0),   // OFF
+      createResidue(1, 'NOT', 1, 0),   // Touches ATP at (2,0)
+      createResidue(2, 'NOT', 3, 0),   // Also touches ATP at (2,0)
+      createResidue(3, 'INP', 4, 0)    // OFF
+    ];
+    const atpPositions = createAtpPositions([[2, 0]]);
+
+    const result = computeSteadyState(residues, new Map(), atpPositions, config, () => 0);
+
+    expect(result.state.get(1).on).toBe(true);
+    expect(result.state.get(2).on).toBe(false);
+    expect(result.atpReservations).toEqual([{ gate: 1, type: 'NOT', atp: '2,0' }]);
+    // The caller's ATP set is left alone
+    expect(atpPositions.has('2,0')).toBe(true);
+  });
 });
 
 // =============================================================================
@@ -933,3 +957,312 @@ describe('Signal Propagation - SGX Crossroads', () => {
     // No OUT to activate - that's fine, no error
   });
 });
+
+// =============================================================================
+// SEQUENTIAL RESIDUE TESTS (LAT, RST, DLY)
+// =============================================================================
+
+describe('Signal Propagation - Sequential Residues', () => {
+  const config = { ...DEFAULT_SIGNAL_CONFIG, SIG: 1.0 };
+
+  // INPUT: Latch set by BTA, then BTA unbinds, then BTG drives RST
+  // EXPECTED: LAT stays ON after its input goes OFF, and clears on reset
+  // WHY: An SR latch remembers a pulse until it is reset
+  test('LAT holds its state until reset', () => {
+    const residues = [
+      createResidue(0, 'BTA', 0, 0),   // Set source
+      createResidue(1, 'INP', 1, 0),   // Set input
+      createResidue(2, 'LAT', 2, 0),
+      createResidue(3, 'OUT', 2, 1),   // Latch output
+      createResidue(4, 'RST', 3, -1),  // Reset input
+      createResidue(5, 'BTG', 4, -1)   // Reset source
+    ];
+    const set = createBoundPairs([[0, 'A']]);
+    const none = createBoundPairs([]);
+    const reset = createBoundPairs([[5, 'G']]);
+
+    let state = initializeSignalState(residues, set);
+    state = computeTickUpdate(residues, state, set, new Set(), config, () => 0).state;
+    expect(state.get(2).on).toBe(true);
+    expect(state.get(3).on).toBe(true);
+
+    // Set input released: latch holds
+    state = computeTickUpdate(residues, state, none, new Set(), config, () => 0).state;
+    expect(state.get(1).on).toBe(false);
+    expect(state.get(2).on).toBe(true);
+
+    // Reset: RST turns on, then the latch clears
+    state = computeTickUpdate(residues, state, reset, new Set(), config, () => 0).state;
+    expect(state.get(4).on).toBe(true);
+    state = computeTickUpdate(residues, state, reset, new Set(), config, () => 0).state;
+    expect(state.get(2).on).toBe(false);
+    expect(state.get(3).on).toBe(false);
+  });
+
+  // INPUT: DLY fed by BTA for four steps, then BTA unbinds
+  // EXPECTED: DLY output follows its input three steps behind
+  // WHY: A delay line replays its input N ticks later
+  test('DLY outputs its input three steps later', () => {
+    const residues = [
+      createResidue(0, 'BTA', 0, 0),
+      createResidue(1, 'INP', 1, 0),
+      createResidue(2, 'DLY', 2, 0),
+      createResidue(3, 'OUT', 3, 0)
+    ];
+    const bound = createBoundPairs([[0, 'A']]);
+    const unbound = createBoundPairs([]);
+
+    let state = initializeSignalState(residues, bound);
+    const outputs = [];
+    for (let step = 0; step < 8; step++) {
+      const boundPairs = step < 4 ? bound : unbound;
+      state = computeTickUpdate(residues, state, boundPairs, new Set(), config, () => 0).state;
+      outputs.push(state.get(2).on);
+    }
+
+    expect(outputs).toEqual([false, false, false, true, true, true, true, false]);
+    expect(state.get(2).history).toEqual([false, false, false]);
+  });
+
+  // INPUT: Same delay line with config delay 1, fed for two steps
+  // EXPECTED: Output follows the input one step behind
+  // WHY: The delay comes from the signal config
+  test('DLY uses the configured delay', () => {
+    const residues = [
+      createResidue(0, 'BTA', 0, 0),
+      createResidue(1, 'INP', 1, 0),
+      createResidue(2, 'DLY', 2, 0),
+      createResidue(3, 'OUT', 3, 0)
+    ];
+    const shortDelay = { ...config, delay: 1 };
+
+    let state = initializeSignalState(residues, createBoundPairs([[0, 'A']]));
+    const outputs = [];
+    for (let step = 0; step < 4; step++) {
+      const boundPairs = createBoundPairs(step < 2 ? [[0, 'A']] : []);
+      state = computeTickUpdate(residues, state, boundPairs, new Set(), shortDelay, () => 0).state;
+      outputs.push(state.get(2).on);
+    }
+
+    expect(outputs).toEqual([false, true, true, false]);
+    expect(state.get(2).history).toEqual([false]);
+  });
+
+  // INPUT: DLY with a constant ON input in instant mode
+  // EXPECTED: Steady state has the delay line full and its output ON
+  // WHY: Instant mode runs until the delay line settles
+  test('DLY settles in steady-state mode', () => {
+    const residues = [
+      createResidue(0, 'BTA', 0, 0),
+      createResidue(1, 'INP', 1, 0),
+      createResidue(2, 'DLY', 2, 0),
+      createResidue(3, 'OUT', 3, 0)
+    ];
+
+    const result = computeSteadyState(residues, createBoundPairs([[0, 'A']]), new Set(), config, () => 0);
+
+    expect(result.state.get(2).on).toBe(true);
+    expect(result.state.get(3).on).toBe(true);
+  });
+});
+
+// =============================================================================
+// ANALOG MODE TESTS
+// =============================================================================
+
+describe('Signal Propagation - Analog Mode', () => {
+  const analogConfig = { ...DEFAULT_SIGNAL_CONFIG, SIG: 1.0, AND: 1.0, analog: true, attenuation: 0.5, threshold: 0.5 };
+
+  // INPUT: Bound BTA driving a three-SIG wire, attenuation 0.5
+  // EXPECTED: Strength halves at every hop
+  // WHY: Long wires lose signal in analog mode
+  test('SIG strength decays per hop', () => {
+    const residues = [
+      createResidue(0, 'BTA', 0, 0),
+      createResidue(1, 'SIG', 1, 0),
+      createResidue(2, 'SIG', 2, 0),
+      createResidue(3, 'SIG', 3, 0)
+    ];
+
+    const result = computeSteadyState(residues, createBoundPairs([[0, 'A']]), new Set(), analogConfig, () => 0);
+
+    expect(result.state.get(0).strength ?? 1).toBe(1);
+    expect(result.state.get(1).strength).toBe(0.5);
+    expect(result.state.get(2).strength).toBe(0.25);
+    expect(result.state.get(3).strength).toBe(0.125);
+    expect(result.state.get(3).on).toBe(true);
+  });
+
+  // INPUT: AND fed through one SIG (0.5) vs two SIGs (0.25), threshold 0.5
+  // EXPECTED: Only the short wire reaches the threshold; the gate output is full strength
+  // WHY: Gates apply thresholds to weak inputs
+  test('AND only counts inputs at or above the threshold', () => {
+    const build = wire => [
+      createResidue(0, 'BTA', 0, 0),
+      ...wire.map((type, i) => createResidue(1 + i, type, 1 + i, 0)),
+      createResidue(1 + wire.length, 'INP', 1 + wire.length, 0),
+      createResidue(2 + wire.length, 'AND', 2 + wire.length, 0)
+    ];
+    const boundPairs = createBoundPairs([[0, 'A']]);
+
+    const short = computeSteadyState(build(['SIG']), boundPairs, createAtpPositions([[3, 1]]), analogConfig, () => 0);
+    expect(short.state.get(2).strength).toBe(0.5);
+    expect(short.state.get(3)).toMatchObject({ on: true, strength: 1 });
+
+    const long = computeSteadyState(build(['SIG', 'SIG']), boundPairs, createAtpPositions([[4, 1]]), analogConfig, () => 0);
+    expect(long.state.get(3).strength).toBe(0.25);
+    expect(long.state.get(4).on).toBe(false);
+    expect(long.consumedAtp).toEqual([]);
+  });
+
+  // INPUT: ATR behind one SIG (strength 0.5), ATR probability 1.0
+  // EXPECTED: Roll 0.6 fails, roll 0.4 succeeds
+  // WHY: Actuators fire with probability proportional to strength
+  test('actuator activation scales with strength', () => {
+    const config = { ...analogConfig, ATR: 1.0 };
+    const residues = [
+      createResidue(0, 'BTA', 0, 0),
+      createResidue(1, 'SIG', 1, 0),
+      createResidue(2, 'ATR', 2, 0)
+    ];
+    const boundPairs = createBoundPairs([[0, 'A']]);
+    const state = initializeSignalState(residues, boundPairs);
+
+    const failed = computeTickUpdate(residues, state, boundPairs, new Set(), config, () => 0.6);
+    expect(failed.state.get(2).on).toBe(false);
+
+    const fired = computeTickUpdate(residues, state, boundPairs, new Set(), config, () => 0.4);
+    expect(fired.state.get(2)).toMatchObject({ on: true, strength: 0.5 });
+  });
+});
+
+// =============================================================================
+// EXACT PROBABILITY TESTS
+// =============================================================================
+
+describe('Signal Propagation - Exact Probabilities', () => {
+  // BTA-INP-AND-OUT-SIG-PSH in a line, ATP next to the AND
+  const andChain = [
+    createResidue(0, 'BTA', 0, 0),
+    createResidue(1, 'INP', 1, 0),
+    createResidue(2, 'AND', 2, 0),
+    createResidue(3, 'OUT', 3, 0),
+    createResidue(4, 'SIG', 4, 0),
+    createResidue(5, 'PSH', 5, 0)
+  ];
+
+  // INPUT: Bound BTA-SIG-PSH, PSH probability 0.75
+  // EXPECTED: PSH ON with 1 - 0.25^n after n steps, and 1 in the limit
+  // WHY: Stepped mode retries a failed roll every step
+  test('gives per-step probabilities of a retried roll', () => {
+    const residues = [
+      createResidue(0, 'BTA', 0, 0),
+      createResidue(1, 'SIG', 1, 0),
+      createResidue(2, 'PSH', 2, 0)
+    ];
+
+    const result = computeSignalProbabilities(residues, {
+      boundPairs: createBoundPairs([[0, 'A']]),
+      steps: 3
+    });
+
+    expect(result.byStep.map(p => p.get(2))).toEqual([0.75, 0.9375, 0.984375]);
+    expect(result.byStep[0].get(1)).toBe(1);
+    expect(result.converged).toBe(true);
+    expect(result.limit.get(2)).toBeCloseTo(1, 6);
+  });
+
+  // INPUT: AND chain in instant mode, AND and PSH at 0.75
+  // EXPECTED: AND 1 - 0.25^2, PSH (1 - 0.25^2)^2
+  // WHY: Instant mode stops at the first step where nothing changes, so each
+  //      roll gets exactly one retry while something else is still changing
+  test('instant mode gives the exact distribution of computeSteadyState', () => {
+    const result = computeSignalProbabilities(andChain, {
+      boundPairs: createBoundPairs([[0, 'A']]),
+      atpPositions: createAtpPositions([[2, 1]]),
+      instant: true
+    });
+
+    expect(result.converged).toBe(true);
+    expect(result.limit.get(2)).toBeCloseTo(0.9375, 12);
+    expect(result.limit.get(5)).toBeCloseTo(0.87890625, 12);
+  });
+
+  // INPUT: AND chain with no ATP; then with every probability at 1.0
+  // EXPECTED: AND never ON; fully deterministic chain has probabilities 0 or 1 and one state
+  // WHY: Gates need ATP; probability 1 rolls never branch
+  test('handles missing ATP and deterministic configs', () => {
+    const boundPairs = createBoundPairs([[0, 'A']]);
+
+    const noAtp = computeSignalProbabilities(andChain, { boundPairs });
+    expect(noAtp.limit.get(2)).toBe(0);
+    expect(noAtp.limit.get(5)).toBe(0);
+
+    const config = { ...DEFAULT_SIGNAL_CONFIG, AND: 1.0, PSH: 1.0 };
+    const certain = computeSignalProbabilities(andChain, {
+      boundPairs,
+      atpPositions: createAtpPositions([[2, 1]]),
+      config
+    });
+    expect(certain.limit.get(5)).toBe(1);
+    expect(certain.states).toBe(1);
+  });
+
+  // INPUT: NOT whose OUT feeds its own INP, plenty of ATP, 5 steps allowed
+  // EXPECTED: Not converged, no limit
+  // WHY: The circuit oscillates while ATP lasts
+  test('reports no limit for a chain that has not settled', () => {
+    const residues = [
+      createResidue(0, 'INP', 0, 0),
+      createResidue(1, 'NOT', 1, 0),
+      createResidue(2, 'OUT', 1, -1)
+    ];
+    const config = { ...DEFAULT_SIGNAL_CONFIG, NOT: 1.0 };
+
+    const result = computeSignalProbabilities(residues, {
+      atpPositions: createAtpPositions([[2, 0], [1, 1], [2, -1], [0, 1]]),
+      config,
+      steps: 4,
+      maxSteps: 5
+    });
+
+    expect(result.converged).toBe(false);
+    expect(result.limit).toBeNull();
+    expect(result.byStep).toHaveLength(4);
+  });
+
+  // INPUT: Bound BTA with a row of SIGs, each with its own PSH; 4, 12 and 10 pairs
+  // EXPECTED: 4 pairs: 16 states, PSHs reach 1; 12 pairs: throws on the state
+  //           budget; 10 pairs: throws on the outcome budget
+  // WHY: Each PSH roll branches in two, so states and outcomes grow as 2^n and
+  //      3^n; enumeration stops as soon as a budget is passed
+  test('stops as soon as a state or outcome budget is exceeded', () => {
+    const fanOut = n => {
+      const residues = [createResidue(0, 'BTA', 0, 0)];
+      for (let i = 1; i <= n; i++) {
+        residues.push(createResidue(i, 'SIG', i, 0));
+        residues.push(createResidue(n + i, 'PSH', i, 1));
+      }
+      return residues;
+    };
+    const boundPairs = createBoundPairs([[0, 'A']]);
+
+    const small = computeSignalProbabilities(fanOut(4), { boundPairs });
+    expect(small.states).toBe(16);
+    expect(small.limit.get(5)).toBeCloseTo(1, 6);
+
+    expect(() => computeSignalProbabilities(fanOut(12), { boundPairs, maxStates: 100 }))
+      .toThrow(/more than 100 reachable states/);
+    expect(() => computeSignalProbabilities(fanOut(10), { boundPairs, maxOutcomes: 2000 }))
+      .toThrow(/more than 2000 roll outcomes/);
+  });
+
+  // INPUT: Analog config
+  // EXPECTED: Throws
+  // WHY: Analog rolls depend on continuous strengths
+  test('rejects analog mode', () => {
+    expect(() => computeSignalProbabilities(andChain, {
+      config: { ...DEFAULT_SIGNAL_CONFIG, analog: true }
+    })).toThrow(/analog/);
+  });
+});
@@ -1,5 +1,5 @@
 import { describe, test, expect } from '@jest/globals';
-import { sequenceToHexGrid, dnaToHexGrid, applyBend, moveInDirection, getNeighbors, hexManhattanDistance, hexEuclideanDistance } from './core/hex-layout.js';
+import { sequenceToHexGrid, dnaToHexGrid, applyBend, moveInDirection, getNeighbors, rotateHex, reflectHex, hexManhattanDistance, hexEuclideanDistance } from './core/hex-layout.js';
 import ASCIIRenderer from './renderers/ascii-renderer.js';
 import { Complex } from './core/complex.js';
 import { Molecule } from './core/molecule.js';
@@ -1441,6 +1441,40 @@ describe('Unified Molecular Rendering Tests', () => {
     });
   });
 
+  describe('rotateHex helper function', () => {
+    test('rotates each direction vector one step clockwise', () => {
+      for (let dir = 0; dir < 6; dir++) {
+        const [q, r] = moveInDirection(0, 0, dir);
+        expect(rotateHex(q, r, 1)).toEqual(moveInDirection(0, 0, (dir + 1) % 6));
+      }
+    });
+
+    test('rotates about a center and undoes with negative steps', () => {
+      const center = { q: 2, r: -1 };
+      const [q, r] = rotateHex(4, 1, 2, center);
+      expect(rotateHex(q, r, -2, center)).toEqual([4, 1]);
+      expect(rotateHex(4, 1, 6, center)).toEqual([4, 1]);
+    });
+  });
+
+  describe('reflectHex helper function', () => {
+    test('maps each direction vector d to 2·axis − d', () => {
+      for (let axis = 0; axis < 6; axis++) {
+        for (let dir = 0; dir < 6; dir++) {
+          const [q, r] = moveInDirection(0, 0, dir);
+          expect(reflectHex(q, r, axis)).toEqual(moveInDirection(0, 0, (2 * axis - dir + 12) % 6));
+        }
+      }
+    });
+
+    test('reflects about a center and undoes itself', () => {
+      const center = { q: 2, r: -1 };
+      const [q, r] = reflectHex(4, 1, 1, center);
+      expect(reflectHex(q, r, 1, center)).toEqual([4, 1]);
+      expect(reflectHex(3, -1, 0, center)).toEqual([3, -1]); // On the mirror line
+    });
+  });
+
   describe('hexManhattanDistance helper function', () => {
     // INPUT: Same hex (0,0) to (0,0)
     // EXPECTED: Returns 0